@@ -0,0 +1,146 @@
+/**
+ * Glossary Database Functions
+ *
+ * Per-organisation glossary: terms that must always be translated a fixed
+ * way, or must never be translated at all (names, ministries, places)
+ */
+
+import { supabaseAdmin } from '../supabase.js';
+
+/**
+ * Get all glossary terms for an organisation
+ * @param {string} organisationId - Organisation UUID
+ * @returns {Array} Glossary terms ordered by source term
+ */
+async function getGlossaryTerms(organisationId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('glossary_terms')
+      .select('*')
+      .eq('organisation_id', organisationId)
+      .order('source_term', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching glossary terms:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getGlossaryTerms:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a glossary term
+ * @param {string} organisationId - Organisation UUID
+ * @param {Object} term - Term data
+ * @param {string} term.source_term - Term as it appears in the transcript
+ * @param {Object} term.translations - Forced translation per language, e.g. { es: "..." }
+ * @param {boolean} term.keep_verbatim - Never translate the term
+ * @returns {Object} Created term
+ */
+async function createGlossaryTerm(organisationId, term) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('glossary_terms')
+      .insert([{
+        organisation_id: organisationId,
+        source_term: term.source_term,
+        translations: term.translations || {},
+        keep_verbatim: term.keep_verbatim === true
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating glossary term:', error);
+      throw error;
+    }
+
+    console.log(`✅ Created glossary term "${data.source_term}" for organisation ${organisationId}`);
+    return data;
+  } catch (error) {
+    console.error('Error in createGlossaryTerm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a glossary term
+ * @param {string} organisationId - Organisation UUID (terms can only be changed by their owner)
+ * @param {string} termId - Glossary term UUID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated term or null if not found
+ */
+async function updateGlossaryTerm(organisationId, termId, updates) {
+  try {
+    // Only allow specific fields to be updated
+    const allowedFields = ['source_term', 'translations', 'keep_verbatim'];
+    const filteredUpdates = {};
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        filteredUpdates[field] = updates[field];
+      }
+    }
+
+    filteredUpdates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('glossary_terms')
+      .update(filteredUpdates)
+      .eq('id', termId)
+      .eq('organisation_id', organisationId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error updating glossary term:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updateGlossaryTerm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a glossary term
+ * @param {string} organisationId - Organisation UUID
+ * @param {string} termId - Glossary term UUID
+ * @returns {boolean} True if a term was deleted
+ */
+async function deleteGlossaryTerm(organisationId, termId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('glossary_terms')
+      .delete()
+      .eq('id', termId)
+      .eq('organisation_id', organisationId)
+      .select();
+
+    if (error) {
+      console.error('Error deleting glossary term:', error);
+      throw error;
+    }
+
+    return data.length > 0;
+  } catch (error) {
+    console.error('Error in deleteGlossaryTerm:', error);
+    throw error;
+  }
+}
+
+export {
+  getGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm
+};
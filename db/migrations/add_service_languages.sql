@@ -0,0 +1,11 @@
+-- Migration: Per-service languages
+-- Purpose: Let an organisation run several services at once (e.g. main hall
+--          and youth hall), each with its own source and translation languages
+-- Date: 2026-10-19
+
+ALTER TABLE services
+    ADD COLUMN IF NOT EXISTS host_language TEXT,
+    ADD COLUMN IF NOT EXISTS translation_languages JSONB;
+
+COMMENT ON COLUMN services.host_language IS 'Source language locale (e.g. en-GB). NULL uses the organisation''s host_language';
+COMMENT ON COLUMN services.translation_languages IS 'Languages offered to participants. NULL uses the organisation''s translation_languages';
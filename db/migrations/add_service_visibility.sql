@@ -0,0 +1,12 @@
+-- Migration: Private services
+-- Purpose: Let a service be hidden from anyone without a signed join link
+--          or its PIN (counselling groups, staff meetings)
+-- Date: 2026-10-19
+
+ALTER TABLE services
+    ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+        CHECK (visibility IN ('public', 'private')),
+    ADD COLUMN IF NOT EXISTS access_pin_hash TEXT;
+
+COMMENT ON COLUMN services.visibility IS 'public: anyone with the service ID can join. private: a signed join link or the PIN is needed';
+COMMENT ON COLUMN services.access_pin_hash IS 'scrypt hash of the participant PIN (scrypt:<salt>:<hash>), NULL if there is none';
@@ -0,0 +1,9 @@
+-- Migration: Per-organisation speech-to-text engine
+-- Purpose: Let each organisation choose how its services are transcribed
+--          (Deepgram in the cloud, or a local offline engine on the server)
+-- Date: 2026-10-19
+
+ALTER TABLE organisations
+    ADD COLUMN IF NOT EXISTS stt_engine TEXT;
+
+COMMENT ON COLUMN organisations.stt_engine IS 'Speech-to-text engine name (deepgram, local). NULL uses the server default';
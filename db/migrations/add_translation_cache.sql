@@ -0,0 +1,45 @@
+-- Migration: Translation cache
+-- Purpose: Persist translations of repeated text (liturgy, songs, announcements)
+--          and record characters served from the cache separately from billed ones
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS translation_cache (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_hash CHAR(64) NOT NULL,
+    source_language VARCHAR(10) NOT NULL,
+    target_language VARCHAR(10) NOT NULL,
+    source_text TEXT NOT NULL,
+    translated_text TEXT NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT translation_cache_unique_key UNIQUE (source_hash, source_language, target_language)
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_cache_last_used
+    ON translation_cache(last_used_at);
+
+COMMENT ON TABLE translation_cache IS 'Translations keyed by source text, source language and target language';
+COMMENT ON COLUMN translation_cache.source_hash IS 'SHA-256 of the whitespace-normalised source text';
+
+-- Only the server (service role) reads and writes the cache
+ALTER TABLE translation_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage translation cache"
+    ON translation_cache
+    FOR ALL
+    TO service_role
+    USING (true);
+
+-- Cache hits are recorded with character_count = 0
+ALTER TABLE translation_usage
+    ADD COLUMN IF NOT EXISTS cached_character_count INTEGER DEFAULT 0;
+
+ALTER TABLE translation_usage
+    DROP CONSTRAINT IF EXISTS translation_usage_positive_chars;
+
+ALTER TABLE translation_usage
+    ADD CONSTRAINT translation_usage_positive_chars
+    CHECK (character_count >= 0 AND cached_character_count >= 0 AND character_count + cached_character_count > 0);
+
+COMMENT ON COLUMN translation_usage.cached_character_count IS 'Number of characters served from the translation cache (not billed)';
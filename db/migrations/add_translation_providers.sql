@@ -0,0 +1,18 @@
+-- Migration: Per-organisation translation providers
+-- Purpose: Let each organisation choose its translation provider (and override
+--          it for individual languages), and record which provider was billed
+-- Date: 2026-10-19
+
+ALTER TABLE organisations
+    ADD COLUMN IF NOT EXISTS translation_provider TEXT,
+    ADD COLUMN IF NOT EXISTS translation_provider_overrides JSONB DEFAULT '{}'::jsonb;
+
+ALTER TABLE translation_usage
+    ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_translation_usage_provider
+    ON translation_usage(provider);
+
+COMMENT ON COLUMN organisations.translation_provider IS 'Translation provider name (google-cloud, google-free, deepl, libretranslate, mock). NULL uses the server default';
+COMMENT ON COLUMN organisations.translation_provider_overrides IS 'Per-language provider overrides, e.g. {"am": "google-cloud", "es": "libretranslate"}';
+COMMENT ON COLUMN translation_usage.provider IS 'Translation provider that produced this translation';
@@ -0,0 +1,40 @@
+-- Migration: Glossary terms
+-- Purpose: Per-organisation glossary of forced translations and do-not-translate terms
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS glossary_terms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organisation_id UUID NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    source_term VARCHAR(200) NOT NULL,
+    translations JSONB NOT NULL DEFAULT '{}'::jsonb,
+    keep_verbatim BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT glossary_terms_unique_term UNIQUE (organisation_id, source_term),
+    CONSTRAINT glossary_terms_not_empty CHECK (length(trim(source_term)) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_glossary_terms_organisation
+    ON glossary_terms(organisation_id);
+
+COMMENT ON TABLE glossary_terms IS 'Terms translated a fixed way (or not at all) for an organisation';
+COMMENT ON COLUMN glossary_terms.source_term IS 'Term as spoken in the host language, matched case-insensitively on word boundaries';
+COMMENT ON COLUMN glossary_terms.translations IS 'Forced translation per target language, e.g. {"es": "Iglesia de Cristo"}';
+COMMENT ON COLUMN glossary_terms.keep_verbatim IS 'Keep the term as spoken in languages without a forced translation';
+
+ALTER TABLE glossary_terms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their organisation glossary"
+    ON glossary_terms
+    FOR ALL
+    USING (
+        organisation_id IN (
+            SELECT id FROM organisations WHERE user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Service role can manage glossary terms"
+    ON glossary_terms
+    FOR ALL
+    TO service_role
+    USING (true);
@@ -0,0 +1,45 @@
+-- Migration: Presentation targets
+-- Purpose: ProPresenter machines the server pushes a service's transcript or
+--          one of its translations to, each into its own message
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS presentation_targets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    name TEXT NOT NULL DEFAULT 'ProPresenter',
+    host TEXT NOT NULL,
+    port INTEGER NOT NULL DEFAULT 1025 CHECK (port BETWEEN 1 AND 65535),
+    message_name TEXT NOT NULL DEFAULT 'Translation',
+    language TEXT NOT NULL DEFAULT 'transcript',
+    lines SMALLINT NOT NULL DEFAULT 2 CHECK (lines BETWEEN 1 AND 5),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_presentation_targets_service
+    ON presentation_targets(service_id);
+
+COMMENT ON TABLE presentation_targets IS 'ProPresenter messages a service''s captions are pushed to';
+COMMENT ON COLUMN presentation_targets.message_name IS 'Name of the ProPresenter message whose Message token is filled in';
+COMMENT ON COLUMN presentation_targets.language IS '"transcript" for the spoken language, otherwise a translation language code';
+COMMENT ON COLUMN presentation_targets.lines IS 'How many of the latest lines are shown together';
+
+ALTER TABLE presentation_targets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their services' presentation targets"
+    ON presentation_targets
+    FOR ALL
+    USING (
+        service_id IN (
+            SELECT services.id FROM services
+            JOIN organisations ON organisations.id = services.organisation_id
+            WHERE organisations.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Service role can manage presentation targets"
+    ON presentation_targets
+    FOR ALL
+    TO service_role
+    USING (true);
@@ -0,0 +1,47 @@
+-- Migration: Service schedules
+-- Purpose: Start and stop services automatically from weekly slots in the
+--          organisation's time zone, with a waiting window before each start
+-- Date: 2026-10-19
+
+ALTER TABLE organisations
+    ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC';
+
+COMMENT ON COLUMN organisations.timezone IS 'IANA time zone (e.g. Europe/London) the service schedule is written in';
+
+CREATE TABLE IF NOT EXISTS service_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organisation_id UUID NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    waiting_minutes INTEGER NOT NULL DEFAULT 15 CHECK (waiting_minutes BETWEEN 0 AND 240),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_schedules_organisation
+    ON service_schedules(organisation_id);
+
+COMMENT ON TABLE service_schedules IS 'Weekly slots in which a service runs by itself';
+COMMENT ON COLUMN service_schedules.weekday IS '0 = Sunday ... 6 = Saturday, in the organisation''s time zone';
+COMMENT ON COLUMN service_schedules.end_time IS 'Hard end; at or before start_time means the next day';
+COMMENT ON COLUMN service_schedules.waiting_minutes IS 'Participants see the waiting message and a countdown this long before the start';
+
+ALTER TABLE service_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their organisation schedule"
+    ON service_schedules
+    FOR ALL
+    USING (
+        organisation_id IN (
+            SELECT id FROM organisations WHERE user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Service role can manage service schedules"
+    ON service_schedules
+    FOR ALL
+    TO service_role
+    USING (true);
@@ -0,0 +1,82 @@
+-- Migration: Transcript archive
+-- Purpose: Keep every final transcript and translation, grouped by the run of
+--          the service it was spoken in
+-- Date: 2026-10-19
+
+-- One row per run of a service (the existing sessions table tracks participants)
+CREATE TABLE IF NOT EXISTS service_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    organisation_id UUID NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    source_language VARCHAR(20),
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_sessions_service_started
+    ON service_sessions(service_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_service_sessions_organisation
+    ON service_sessions(organisation_id);
+
+CREATE TABLE IF NOT EXISTS transcript_segments (
+    id BIGSERIAL PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES service_sessions(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    language VARCHAR(20) NOT NULL,
+    is_source BOOLEAN NOT NULL DEFAULT false,
+    text TEXT NOT NULL,
+    provider VARCHAR(50),
+    spoken_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT transcript_segments_unique_line UNIQUE (session_id, seq, language, is_source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_session_seq
+    ON transcript_segments(session_id, seq);
+
+COMMENT ON TABLE service_sessions IS 'One run of a service, from the first transcript (or start) to stop or going idle';
+COMMENT ON COLUMN service_sessions.source_language IS 'Host language the service was spoken in, e.g. en-GB';
+COMMENT ON COLUMN service_sessions.ended_at IS 'NULL while the session is still running';
+COMMENT ON TABLE transcript_segments IS 'Final transcripts and their translations, one row per line and language';
+COMMENT ON COLUMN transcript_segments.seq IS 'Transcript sequence number; a transcript and its translations share it';
+COMMENT ON COLUMN transcript_segments.language IS 'Language of the text: the host language for transcripts, the target language for translations';
+COMMENT ON COLUMN transcript_segments.is_source IS 'True for the transcript itself, false for translations';
+COMMENT ON COLUMN transcript_segments.provider IS 'Translation provider (or cache) that produced a translation';
+COMMENT ON COLUMN transcript_segments.spoken_at IS 'When the transcript was received, shared by its translations';
+
+ALTER TABLE service_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transcript_segments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their organisation service sessions"
+    ON service_sessions
+    FOR SELECT
+    USING (
+        organisation_id IN (
+            SELECT id FROM organisations WHERE user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can view their organisation transcripts"
+    ON transcript_segments
+    FOR SELECT
+    USING (
+        session_id IN (
+            SELECT id FROM service_sessions WHERE organisation_id IN (
+                SELECT id FROM organisations WHERE user_id = auth.uid()
+            )
+        )
+    );
+
+CREATE POLICY "Service role can manage service sessions"
+    ON service_sessions
+    FOR ALL
+    TO service_role
+    USING (true);
+
+CREATE POLICY "Service role can manage transcript segments"
+    ON transcript_segments
+    FOR ALL
+    TO service_role
+    USING (true);
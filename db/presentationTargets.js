@@ -0,0 +1,153 @@
+/**
+ * Presentation Target Database Functions
+ *
+ * ProPresenter machines a service's transcript or translations are pushed
+ * to, each filling in one message
+ */
+
+import { supabaseAdmin } from '../supabase.js';
+
+/**
+ * Get a service's presentation targets
+ * @param {string} serviceUuid - Service UUID (services.id)
+ * @returns {Array} Targets, oldest first
+ */
+async function getPresentationTargets(serviceUuid) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('presentation_targets')
+      .select('*')
+      .eq('service_id', serviceUuid)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching presentation targets:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getPresentationTargets:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a presentation target
+ * @param {string} serviceUuid - Service UUID
+ * @param {Object} target - Target data
+ * @param {string} target.name - Label shown on the control panel
+ * @param {string} target.host - ProPresenter machine
+ * @param {number} target.port - ProPresenter network port
+ * @param {string} target.message_name - ProPresenter message to fill in
+ * @param {string} target.language - "transcript" or a translation language
+ * @param {number} target.lines - Latest lines shown together
+ * @returns {Object} Created target
+ */
+async function createPresentationTarget(serviceUuid, target) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('presentation_targets')
+      .insert([{
+        service_id: serviceUuid,
+        name: target.name || 'ProPresenter',
+        host: target.host,
+        port: target.port ?? 1025,
+        message_name: target.message_name || 'Translation',
+        language: target.language || 'transcript',
+        lines: target.lines ?? 2,
+        enabled: target.enabled !== false
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating presentation target:', error);
+      throw error;
+    }
+
+    console.log(`✅ Created presentation target ${data.id} for service ${serviceUuid}`);
+    return data;
+  } catch (error) {
+    console.error('Error in createPresentationTarget:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a presentation target
+ * @param {string} serviceUuid - Service UUID (targets can only be changed through their service)
+ * @param {string} targetId - Target UUID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated target or null if not found
+ */
+async function updatePresentationTarget(serviceUuid, targetId, updates) {
+  try {
+    // Only allow specific fields to be updated
+    const allowedFields = ['name', 'host', 'port', 'message_name', 'language', 'lines', 'enabled'];
+    const filteredUpdates = {};
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        filteredUpdates[field] = updates[field];
+      }
+    }
+
+    filteredUpdates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('presentation_targets')
+      .update(filteredUpdates)
+      .eq('id', targetId)
+      .eq('service_id', serviceUuid)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error updating presentation target:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updatePresentationTarget:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a presentation target
+ * @param {string} serviceUuid - Service UUID
+ * @param {string} targetId - Target UUID
+ * @returns {boolean} True if a target was deleted
+ */
+async function deletePresentationTarget(serviceUuid, targetId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('presentation_targets')
+      .delete()
+      .eq('id', targetId)
+      .eq('service_id', serviceUuid)
+      .select();
+
+    if (error) {
+      console.error('Error deleting presentation target:', error);
+      throw error;
+    }
+
+    return data.length > 0;
+  } catch (error) {
+    console.error('Error in deletePresentationTarget:', error);
+    throw error;
+  }
+}
+
+export {
+  getPresentationTargets,
+  createPresentationTarget,
+  updatePresentationTarget,
+  deletePresentationTarget
+};
@@ -0,0 +1,217 @@
+/**
+ * Service Schedule Database Functions
+ *
+ * Weekly slots in which an organisation's services start and stop by
+ * themselves, written in the organisation's time zone
+ */
+
+import { supabaseAdmin } from '../supabase.js';
+
+/**
+ * Get an organisation's schedule slots
+ * @param {string} organisationId - Organisation UUID
+ * @returns {Array} Slots, with the service_id and name of their service
+ */
+async function getScheduleSlots(organisationId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_schedules')
+      .select(`
+        *,
+        services (service_id, name)
+      `)
+      .eq('organisation_id', organisationId)
+      .order('weekday', { ascending: true })
+      .order('start_time', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching schedule slots:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getScheduleSlots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the enabled slots of every organisation, for the scheduler
+ * @returns {Array} Slots, with their service_id and their organisation's timezone and waiting_message
+ */
+async function getEnabledScheduleSlots() {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_schedules')
+      .select(`
+        *,
+        services (service_id, active_languages),
+        organisations (timezone, waiting_message)
+      `)
+      .eq('enabled', true);
+
+    if (error) {
+      console.error('Error fetching enabled schedule slots:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getEnabledScheduleSlots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of an organisation's schedule slots
+ * @param {string} organisationId - Organisation UUID
+ * @param {string} slotId - Slot UUID
+ * @returns {Object|null} Slot or null if not found
+ */
+async function getScheduleSlot(organisationId, slotId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_schedules')
+      .select('*')
+      .eq('id', slotId)
+      .eq('organisation_id', organisationId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error fetching schedule slot:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getScheduleSlot:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a schedule slot
+ * @param {string} organisationId - Organisation UUID
+ * @param {Object} slot - Slot data
+ * @param {string} slot.service_id - Service UUID
+ * @param {number} slot.weekday - 0 (Sunday) to 6 (Saturday)
+ * @param {string} slot.start_time - "HH:MM"
+ * @param {string} slot.end_time - "HH:MM", the hard end
+ * @param {number} slot.waiting_minutes - Waiting window before the start
+ * @returns {Object} Created slot
+ */
+async function createScheduleSlot(organisationId, slot) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_schedules')
+      .insert([{
+        organisation_id: organisationId,
+        service_id: slot.service_id,
+        weekday: slot.weekday,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        waiting_minutes: slot.waiting_minutes ?? 15,
+        enabled: slot.enabled !== false
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating schedule slot:', error);
+      throw error;
+    }
+
+    console.log(`✅ Created schedule slot ${data.id} for organisation ${organisationId}`);
+    return data;
+  } catch (error) {
+    console.error('Error in createScheduleSlot:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a schedule slot
+ * @param {string} organisationId - Organisation UUID (slots can only be changed by their owner)
+ * @param {string} slotId - Slot UUID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated slot, with its service's service_id and name, or null if not found
+ */
+async function updateScheduleSlot(organisationId, slotId, updates) {
+  try {
+    // Only allow specific fields to be updated
+    const allowedFields = ['service_id', 'weekday', 'start_time', 'end_time', 'waiting_minutes', 'enabled'];
+    const filteredUpdates = {};
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        filteredUpdates[field] = updates[field];
+      }
+    }
+
+    filteredUpdates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('service_schedules')
+      .update(filteredUpdates)
+      .eq('id', slotId)
+      .eq('organisation_id', organisationId)
+      .select(`
+        *,
+        services (service_id, name)
+      `)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error updating schedule slot:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updateScheduleSlot:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a schedule slot
+ * @param {string} organisationId - Organisation UUID
+ * @param {string} slotId - Slot UUID
+ * @returns {boolean} True if a slot was deleted
+ */
+async function deleteScheduleSlot(organisationId, slotId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_schedules')
+      .delete()
+      .eq('id', slotId)
+      .eq('organisation_id', organisationId)
+      .select();
+
+    if (error) {
+      console.error('Error deleting schedule slot:', error);
+      throw error;
+    }
+
+    return data.length > 0;
+  } catch (error) {
+    console.error('Error in deleteScheduleSlot:', error);
+    throw error;
+  }
+}
+
+export {
+  getScheduleSlots,
+  getScheduleSlot,
+  getEnabledScheduleSlots,
+  createScheduleSlot,
+  updateScheduleSlot,
+  deleteScheduleSlot
+};
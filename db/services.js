@@ -67,6 +67,34 @@ async function getServiceById(id) {
   }
 }
 
+/**
+ * Get who may join a service
+ * @param {string} serviceId - Service ID string
+ * @returns {Object|null} { visibility, access_pin_hash }, null if there is no such service
+ */
+async function getServiceAccess(serviceId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('services')
+      .select('visibility, access_pin_hash')
+      .eq('service_id', serviceId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error fetching service access:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getServiceAccess:', error);
+    throw error;
+  }
+}
+
 /**
  * Get all services for an organisation
  * @param {string} organisationId - Organisation UUID
@@ -143,7 +171,9 @@ async function createService(organisationId, serviceData) {
         service_id: serviceId,
         name: serviceData.name || 'Main Service',
         status: 'inactive',
-        active_languages: serviceData.active_languages || []
+        active_languages: serviceData.active_languages || [],
+        host_language: serviceData.host_language || null,
+        translation_languages: serviceData.translation_languages || null
       }])
       .select()
       .single();
@@ -153,7 +183,7 @@ async function createService(organisationId, serviceData) {
       throw error;
     }
 
-    console.log(`✅ Created service ${data.service_id} for church ${churchId}`);
+    console.log(`✅ Created service ${data.service_id} for organisation ${organisationId}`);
     return data;
   } catch (error) {
     console.error('Error in createService:', error);
@@ -437,6 +467,7 @@ async function getServiceStats(serviceId) {
 export {
   getServiceByServiceId,
   getServiceById,
+  getServiceAccess,
   getServicesByOrganisation,
   getServicesByChurch, // Deprecated: Use getServicesByOrganisation
   getServicesByUser,
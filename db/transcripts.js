@@ -0,0 +1,242 @@
+/**
+ * Transcript Archive Database Functions
+ *
+ * Service sessions (one per run of a service) and the final transcripts and
+ * translations spoken in them
+ */
+
+import { supabaseAdmin } from '../supabase.js';
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Create a service session
+ * @param {Object} sessionData - Session data
+ * @param {string} sessionData.service_id - Service UUID (services.id)
+ * @param {string} sessionData.organisation_id - Organisation UUID
+ * @param {string} sessionData.source_language - Host language, e.g. en-GB
+ * @param {string} sessionData.started_at - ISO timestamp, defaults to now
+ * @returns {Object} Created session
+ */
+async function createServiceSession(sessionData) {
+  try {
+    const { service_id, organisation_id, source_language = null, started_at = new Date().toISOString() } = sessionData;
+
+    const { data, error } = await supabaseAdmin
+      .from('service_sessions')
+      .insert([{ service_id, organisation_id, source_language, started_at }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating service session:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in createServiceSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a service session as ended
+ * @param {string} sessionId - Session UUID
+ * @param {string} endedAt - ISO timestamp, defaults to now
+ * @returns {Object|null} Updated session, or null if not found
+ */
+async function endServiceSession(sessionId, endedAt = new Date().toISOString()) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_sessions')
+      .update({ ended_at: endedAt })
+      .eq('id', sessionId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error ending service session:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in endServiceSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * End any sessions of a service that were never closed (e.g. the server was
+ * restarted mid-service)
+ * @param {string} serviceUuid - Service UUID (services.id)
+ * @returns {number} Number of sessions closed
+ */
+async function endOpenServiceSessions(serviceUuid) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_sessions')
+      .update({ ended_at: new Date().toISOString() })
+      .eq('service_id', serviceUuid)
+      .is('ended_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('Error ending open service sessions:', error);
+      throw error;
+    }
+
+    return data?.length || 0;
+  } catch (error) {
+    console.error('Error in endOpenServiceSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the sessions of a service that have anything in them, newest first.
+ * Sessions without a single line (a run in which nothing was said) have
+ * nothing to export, so they are left out.
+ * @param {string} serviceUuid - Service UUID (services.id)
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum sessions to return (default 50)
+ * @param {number} options.offset - Sessions to skip
+ * @returns {Array} Sessions
+ */
+async function getServiceSessions(serviceUuid, options = {}) {
+  try {
+    const { limit = 50, offset = 0 } = options;
+
+    // The inner join drops empty sessions; one segment each is enough to know
+    const { data, error } = await supabaseAdmin
+      .from('service_sessions')
+      .select('*, transcript_segments!inner(id)')
+      .eq('service_id', serviceUuid)
+      .order('started_at', { ascending: false })
+      .limit(1, { referencedTable: 'transcript_segments' })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching service sessions:', error);
+      throw error;
+    }
+
+    return (data || []).map(({ transcript_segments, ...session }) => session);
+  } catch (error) {
+    console.error('Error in getServiceSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one session of a service
+ * @param {string} serviceUuid - Service UUID (services.id)
+ * @param {string} sessionId - Session UUID
+ * @returns {Object|null} Session, or null if it doesn't belong to the service
+ */
+async function getServiceSession(serviceUuid, sessionId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('service_sessions')
+      .select('*')
+      .eq('service_id', serviceUuid)
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Error fetching service session:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getServiceSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store transcript and translation lines.  Lines already stored (same
+ * session, seq, language and kind) are left as they are.
+ * @param {Array} segments - { session_id, seq, language, is_source, text, provider, spoken_at }
+ * @returns {boolean} Success status
+ */
+async function saveTranscriptSegments(segments) {
+  try {
+    if (segments.length === 0) return true;
+
+    const { error } = await supabaseAdmin
+      .from('transcript_segments')
+      .upsert(segments, { onConflict: 'session_id,seq,language,is_source', ignoreDuplicates: true });
+
+    if (error) {
+      console.error('Error saving transcript segments:', error);
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in saveTranscriptSegments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every line of a session in transcript order
+ * @param {string} sessionId - Session UUID
+ * @param {Object} options - Query options
+ * @param {Array} options.languages - Only these translation languages (the transcript is always included)
+ * @returns {Array} Segments ordered by seq, transcript first
+ */
+async function getSessionSegments(sessionId, options = {}) {
+  try {
+    const segments = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabaseAdmin
+        .from('transcript_segments')
+        .select('seq, language, is_source, text, provider, spoken_at')
+        .eq('session_id', sessionId);
+
+      if (options.languages?.length > 0) {
+        query = query.or(`is_source.eq.true,language.in.(${options.languages.join(',')})`);
+      }
+
+      const { data, error } = await query
+        .order('seq', { ascending: true })
+        .order('is_source', { ascending: false })
+        .order('language', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('Error fetching transcript segments:', error);
+        throw error;
+      }
+
+      segments.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return segments;
+  } catch (error) {
+    console.error('Error in getSessionSegments:', error);
+    throw error;
+  }
+}
+
+export {
+  createServiceSession,
+  endServiceSession,
+  endOpenServiceSessions,
+  getServiceSessions,
+  getServiceSession,
+  saveTranscriptSegments,
+  getSessionSegments
+};
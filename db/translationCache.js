@@ -0,0 +1,77 @@
+/**
+ * Translation Cache Database Functions
+ *
+ * Persistent store behind the in-memory translation cache, so repeated
+ * liturgy, songs and announcements survive a server restart
+ */
+
+import { supabaseAdmin } from '../supabase.js';
+
+/**
+ * Get a cached translation
+ * @param {Object} lookup - Cache lookup
+ * @param {string} lookup.source_hash - SHA-256 of the normalised source text
+ * @param {string} lookup.source_language - Source language code (or 'auto')
+ * @param {string} lookup.target_language - Target language code
+ * @returns {Object|null} Cache row or null
+ */
+async function getCachedTranslation({ source_hash, source_language, target_language }) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('translation_cache')
+      .select('translated_text, provider')
+      .eq('source_hash', source_hash)
+      .eq('source_language', source_language)
+      .eq('target_language', target_language)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching cached translation:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getCachedTranslation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save (or refresh) a cached translation
+ * @param {Object} entry - Cache entry
+ * @param {string} entry.source_hash - SHA-256 of the normalised source text
+ * @param {string} entry.source_language - Source language code (or 'auto')
+ * @param {string} entry.target_language - Target language code
+ * @param {string} entry.source_text - Normalised source text
+ * @param {string} entry.translated_text - Translation
+ * @param {string} entry.provider - Provider that produced the translation
+ * @returns {Object|null} Saved row
+ */
+async function saveCachedTranslation(entry) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('translation_cache')
+      .upsert([{
+        ...entry,
+        last_used_at: new Date().toISOString()
+      }], { onConflict: 'source_hash,source_language,target_language' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving cached translation:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in saveCachedTranslation:', error);
+    throw error;
+  }
+}
+
+export {
+  getCachedTranslation,
+  saveCachedTranslation
+};
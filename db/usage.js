@@ -9,18 +9,20 @@ import { supabaseAdmin } from '../supabase.js';
 /**
  * Record translation character usage
  * @param {Object} usageData - Usage data
- * @param {string} usageData.church_id - Church UUID
+ * @param {string} usageData.organisation_id - Organisation UUID
  * @param {string} usageData.service_id - Service ID string
  * @param {string} usageData.language - Target language code
- * @param {number} usageData.character_count - Number of characters translated
+ * @param {number} usageData.character_count - Number of characters sent to the provider (billed)
+ * @param {number} usageData.cached_character_count - Number of characters served from the translation cache
  * @param {number} usageData.client_count - Number of clients receiving translation
+ * @param {string} usageData.provider - Translation provider that produced it
  * @returns {Object|null} Created usage record
  */
 export async function recordTranslationUsage(usageData) {
   try {
-    const { church_id, service_id, language, character_count, client_count = 0 } = usageData;
+    const { organisation_id, service_id, language, character_count = 0, cached_character_count = 0, client_count = 0, provider = null } = usageData;
 
-    if (!church_id || !service_id || !language || !character_count) {
+    if (!organisation_id || !service_id || !language || (!character_count && !cached_character_count)) {
       console.warn('Missing required usage data fields');
       return null;
     }
@@ -28,11 +30,13 @@ export async function recordTranslationUsage(usageData) {
     const { data, error } = await supabaseAdmin
       .from('translation_usage')
       .insert([{
-        church_id,
+        organisation_id,
         service_id,
         language,
         character_count,
+        cached_character_count,
         client_count,
+        provider,
         date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
         created_at: new Date().toISOString()
       }])
@@ -64,8 +68,8 @@ export async function getChurchUsage(churchId, options = {}) {
   try {
     let query = supabaseAdmin
       .from('translation_usage')
-      .select('character_count, language, date, client_count')
-      .eq('church_id', churchId);
+      .select('character_count, cached_character_count, language, date, client_count, provider')
+      .eq('organisation_id', churchId);
 
     if (options.startDate) {
       query = query.gte('date', options.startDate);
@@ -82,9 +86,12 @@ export async function getChurchUsage(churchId, options = {}) {
       throw error;
     }
 
-    // Calculate total characters
+    // Calculate total (billed) characters
     const totalCharacters = data.reduce((sum, record) => sum + record.character_count, 0);
 
+    // Characters served from the translation cache are not billed
+    const cachedCharacters = data.reduce((sum, record) => sum + (record.cached_character_count || 0), 0);
+
     // Group by language
     const byLanguage = data.reduce((acc, record) => {
       if (!acc[record.language]) {
@@ -94,6 +101,17 @@ export async function getChurchUsage(churchId, options = {}) {
       return acc;
     }, {});
 
+    const cachedByLanguage = data.reduce((acc, record) => {
+      if (!record.cached_character_count) {
+        return acc;
+      }
+      if (!acc[record.language]) {
+        acc[record.language] = 0;
+      }
+      acc[record.language] += record.cached_character_count;
+      return acc;
+    }, {});
+
     // Group by date
     const byDate = data.reduce((acc, record) => {
       if (!acc[record.date]) {
@@ -103,10 +121,23 @@ export async function getChurchUsage(churchId, options = {}) {
       return acc;
     }, {});
 
+    // Group by translation provider (older records have none)
+    const byProvider = data.reduce((acc, record) => {
+      const provider = record.provider || 'unknown';
+      if (!acc[provider]) {
+        acc[provider] = 0;
+      }
+      acc[provider] += record.character_count;
+      return acc;
+    }, {});
+
     return {
       totalCharacters,
+      cachedCharacters,
       byLanguage,
+      cachedByLanguage,
       byDate,
+      byProvider,
       recordCount: data.length
     };
   } catch (error) {
@@ -3,12 +3,61 @@
  * ES Module Version
  * 
  * Provides middleware functions for:
- * - Verifying Supabase JWT tokens
+ * - Verifying Supabase JWT tokens (HTTP requests and Socket.IO handshakes)
  * - Checking user ownership of resources (services, organisations)
  * - Rate limiting (optional)
  */
 
 import { supabase, supabaseAdmin } from '../supabase.js';
+import { getServiceByServiceId } from '../db/services.js';
+
+/**
+ * Verify a Supabase access token
+ * Shared by the HTTP middleware and the Socket.IO handshake
+ * 
+ * @param {string} token - Access token, without the 'Bearer ' prefix
+ * @returns {Promise<Object|null>} The token's user, or null if it is invalid or expired
+ */
+export async function verifyAccessToken(token) {
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+
+  if (error || !user) {
+    console.error('❌ Token verification failed:', error?.message || 'No user');
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Read the access token from an Authorization header
+ * Shared by every way a client can authenticate
+ * 
+ * @param {string} [authHeader] - The Authorization header
+ * @returns {string|null} The token, or null unless the header is 'Bearer <token>'
+ */
+export function getBearerToken(authHeader) {
+  return authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+}
+
+/**
+ * Check that a service belongs to the user's organisation
+ * 
+ * @param {string} serviceId - Service ID
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<boolean>} Whether the service may be used
+ * @throws When the check itself fails
+ */
+export async function userOwnsService(serviceId, userId) {
+  if (!userId) return false;
+
+  try {
+    const service = await getServiceByServiceId(serviceId);
+    return service?.organisations?.user_id === userId;
+  } catch (error) {
+    console.error('❌ Authorization check failed:', error);
+    throw error;
+  }
+}
 
 /**
  * Middleware to verify Supabase JWT token
@@ -23,9 +72,9 @@ import { supabase, supabaseAdmin } from '../supabase.js';
 export async function authenticateUser(req, res, next) {
   try {
     // Get token from Authorization header
-    const authHeader = req.headers.authorization;
+    const token = getBearerToken(req.headers.authorization);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token) {
       console.warn('⚠️  No authorization token provided');
       return res.status(401).json({ 
         success: false,
@@ -34,13 +83,10 @@ export async function authenticateUser(req, res, next) {
       });
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
     // Verify token with Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    const user = await verifyAccessToken(token);
 
-    if (error || !user) {
-      console.error('❌ Token verification failed:', error?.message || 'No user');
+    if (!user) {
       return res.status(401).json({ 
         success: false,
         error: 'Unauthorized',
@@ -65,6 +111,92 @@ export async function authenticateUser(req, res, next) {
   }
 }
 
+/**
+ * Socket.IO middleware that verifies the Supabase access token sent in the
+ * handshake, the same way authenticateUser does for HTTP requests
+ * Attaches the user to socket.data if valid
+ * 
+ * Usage:
+ *   io.of('/control').use(authenticateSocket);
+ * 
+ *   // Browser
+ *   io('/control', { auth: { token: session.access_token } });
+ */
+export async function authenticateSocket(socket, next) {
+  const reject = (code, message) => {
+    const error = new Error(message);
+    error.data = { code, message };
+    next(error);
+  };
+
+  try {
+    // Browsers send the token in auth, other clients may use the header
+    const token = socket.handshake.auth?.token ||
+      getBearerToken(socket.handshake.headers.authorization);
+
+    if (!token) {
+      console.warn(`⚠️  No authorization token provided by socket ${socket.id}`);
+      return reject('unauthorized', 'No authentication token provided');
+    }
+
+    const user = await verifyAccessToken(token);
+
+    if (!user) {
+      return reject('unauthorized', 'Invalid or expired token');
+    }
+
+    socket.data.user = user;
+    socket.data.userId = user.id;
+
+    console.log(`✅ Authenticated socket ${socket.id}: ${user.email} (${user.id})`);
+    next();
+  } catch (error) {
+    console.error('❌ Socket authentication error:', error);
+    reject('auth_failed', 'Authentication failed');
+  }
+}
+
+/**
+ * Check a native WebSocket upgrade request (e.g. an audio source) is made
+ * by the owner of the service, with the same checks as authenticateSocket
+ * and the /control handlers.  The token comes in the Authorization header,
+ * or ?access_token= for clients that can't set headers.
+ * 
+ * Usage:
+ *   new WebSocketServer({ server, verifyClient: ({ req }, done) => {
+ *     authenticateUpgrade(req, serviceId).then(({ status, message }) => done(!status, status, message));
+ *   }});
+ * 
+ * @param {Object} req - The upgrade request
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object>} { user } if allowed, otherwise { status: 401 | 403 | 500, message }
+ */
+export async function authenticateUpgrade(req, serviceId) {
+  try {
+    const token = getBearerToken(req.headers.authorization) ||
+      new URL(req.url, 'http://localhost').searchParams.get('access_token');
+
+    if (!token) {
+      console.warn(`⚠️  No authorization token provided for a WebSocket to service ${serviceId}`);
+      return { status: 401, message: 'No authentication token provided' };
+    }
+
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      return { status: 401, message: 'Invalid or expired token' };
+    }
+
+    if (!(await userOwnsService(serviceId, user.id))) {
+      console.warn(`⚠️  User ${user.id} attempted to open a WebSocket to service ${serviceId} without permission`);
+      return { status: 403, message: 'You do not have access to this service' };
+    }
+    return { user };
+  } catch (error) {
+    console.error('❌ WebSocket authentication error:', error);
+    return { status: 500, message: 'Authentication failed' };
+  }
+}
+
 /**
  * Middleware to check if user owns a specific service
  * Must be used after authenticateUser
@@ -80,7 +212,8 @@ export async function authenticateUser(req, res, next) {
  */
 export async function authorizeService(req, res, next) {
   try {
-    const { serviceId } = req.params;
+    // From the path, or the body for routes like POST /qrcode/generate
+    const serviceId = req.params.serviceId || req.body?.serviceId;
     const userId = req.userId;
 
     if (!serviceId) {
@@ -99,13 +232,10 @@ export async function authorizeService(req, res, next) {
       });
     }
 
-    // Check if user owns this service using RPC function
-    const { data, error } = await supabaseAdmin.rpc('user_owns_service', {
-      service_id_param: serviceId
-    });
-
-    if (error) {
-      console.error('❌ Authorization check failed:', error);
+    let ownsService;
+    try {
+      ownsService = await userOwnsService(serviceId, userId);
+    } catch (error) {
       return res.status(500).json({ 
         success: false,
         error: 'Internal Server Error',
@@ -113,7 +243,7 @@ export async function authorizeService(req, res, next) {
       });
     }
 
-    if (!data) {
+    if (!ownsService) {
       console.warn(`⚠️  User ${userId} attempted to access service ${serviceId} without permission`);
       return res.status(403).json({ 
         success: false,
@@ -3,9 +3,19 @@ const fiveMinutes = 5 * 60 * 1000;
 
 
 // Use the control namespace to communicate to the server via WSS.
-const controlSocket = io('/control', { autoConnect: false });
+// auth is read again on every reconnect, so a refreshed token is picked up
+const controlSocket = io('/control', {
+    autoConnect: false,
+    auth: (cb) => cb({ protocol: 2, token: localStorage.getItem('access_token') })
+});
+
+// Acknowledgement callback that reports events the server turned down
+const warnIfRejected = (event) => (response) => {
+    if (response && !response.ok) console.warn(`Server rejected ${event}: ${response.error.message}`);
+}
 
 let selectedLocale = "en-GB";
+let serviceHasOwnLocale = false;
 let defaultServiceCode = null;
 let serviceCode;
 let streamingStatus = "offline";
@@ -15,6 +25,10 @@ let healthInterval;
 let serviceTimerDuration = 90 * 60 * 1000; // default to 90 minutes
 
 let use_endpointing = localStorage.getItem('USE_ENDPOINTING') != null ? localStorage.getItem('USE_ENDPOINTING') : false;
+// Send the microphone audio to our server, which holds the Deepgram connection,
+// instead of connecting to Deepgram from this page
+let useServerTranscription = localStorage.getItem('USE_SERVER_TRANSCRIPTION') === 'true';
+let serverTranscriptionActive = false;
 let currentPhrase = [];
 
 const languages = [
@@ -539,6 +553,14 @@ const setupDeepgram = () => {
         const churchKey = document.querySelector('#key').value;
         const serviceId = sessionStorage.getItem('serviceId');
 
+        if (useServerTranscription) {
+            document.querySelector('#audioForm').style.display = "none";
+            startServerTranscription();
+            setupStopStreaming();
+            localStorage.setItem('churchKey', churchKey);
+            return;
+        }
+
         // Validate the key with server/Deepgram
         const resp = await fetch('/deepgram/auth', {
             method: 'POST',
@@ -551,7 +573,15 @@ const setupDeepgram = () => {
 
         document.querySelector('#audioForm').style.display = "none";
 
-        const deepgramUrl = buildDeepgramUrl();
+        // Engines other than Deepgram can only be reached through the server
+        if (resp.responseObject.serverStreaming) {
+            startServerTranscription();
+            setupStopStreaming();
+            localStorage.setItem('churchKey', churchKey);
+            return;
+        }
+
+        const deepgramUrl = buildDeepgramUrl(resp.responseObject.model);
         ws = new WebSocket(deepgramUrl, ['token', resp.responseObject.deepgramToken])
         ws.onopen = startStreamingToDeepgram;
         ws.onmessage = handleDeepgramResponse;
@@ -562,16 +592,7 @@ const setupDeepgram = () => {
             stopStreamingToDeepgram();
         }
 
-        const stopStreaming = document.querySelector(`#disableStreaming`);
-        stopStreaming.style.display = "block";
-        stopStreaming.addEventListener('click', async () => {
-            stopServiceTimers();
-            await closeMicrophone();
-            ws.close();
-            stopStreaming.style.display = "none";
-            document.getElementById('recording-status').style.display = "none";
-            audioForm.style.display = "block";
-        })
+        setupStopStreaming();
 
         // Store values in local storage in case of a refresh
         localStorage.setItem('churchKey', churchKey);
@@ -579,6 +600,61 @@ const setupDeepgram = () => {
     });
 }
 
+const setupStopStreaming = () => {
+    const audioForm = document.getElementById('audioForm');
+    const stopStreaming = document.querySelector(`#disableStreaming`);
+    stopStreaming.style.display = "block";
+    stopStreaming.onclick = async () => {
+        stopServiceTimers();
+        controlSocket.emit('streamingStopped', { serviceId: serviceCode });
+        await closeMicrophone();
+        stopServerTranscription();
+        if (typeof ws !== "undefined") {
+            ws.close();
+        }
+        stopStreaming.style.display = "none";
+        document.getElementById('recording-status').style.display = "none";
+        audioForm.style.display = "block";
+    }
+}
+
+const startServerTranscription = () => {
+    console.log(`Streaming audio to the server for transcription`);
+    serverTranscriptionActive = true;
+    controlSocket.emit('audioStart', { serviceId: serviceCode, language: selectedLocale, interim: useInterim }, warnIfRejected('audioStart'));
+
+    document.getElementById('recording-status').style.display = "inline-flex";
+    mediaRecorder.addEventListener('dataavailable', async event => {
+        // Volatile so stale audio isn't queued up while the socket is reconnecting
+        if (event.data.size > 0 && serverTranscriptionActive && controlSocket.connected) {
+            controlSocket.volatile.emit('audioChunk', await event.data.arrayBuffer());
+        }
+    })
+    mediaRecorder.start(250)
+    controlSocket.emit('streamingStarted', { serviceId: serviceCode }, followScheduledEnd);
+
+    // Start timer to protect from streaming going too long
+    startServiceTimers();
+}
+
+// After a reconnect the server needs a fresh stream, and a webm stream is only
+// decodable from its first chunk, so the recorder is restarted too
+const resumeServerTranscription = () => {
+    console.log(`Resuming server transcription after reconnect`);
+    controlSocket.emit('audioStart', { serviceId: serviceCode, language: selectedLocale, interim: useInterim }, warnIfRejected('audioStart'));
+    if (mediaRecorder && mediaRecorder.state !== "inactive") {
+        mediaRecorder.stop();
+        mediaRecorder.start(250);
+    }
+}
+
+const stopServerTranscription = () => {
+    if (!serverTranscriptionActive) return;
+    serverTranscriptionActive = false;
+    streamingStatus = "offline";
+    controlSocket.emit('audioStop');
+}
+
 const getQRCode = async (data) => {
     const serviceId = data.serviceId;
     const format = data.format || 'svg'; // Default to svg for backward compatibility
@@ -588,7 +664,8 @@ const getQRCode = async (data) => {
 
     console.log(`🔍 Generating QR code - Service ID: ${serviceId}, Church Key: ${churchKey}, Format: ${format}`);
 
-    const requestBody = { serviceId, format };
+    // Signed, so the code also lets people into the service while it is private
+    const requestBody = { serviceId, format, signed: true };
     if (churchKey) {
         requestBody.churchKey = churchKey;
     }
@@ -596,7 +673,10 @@ const getQRCode = async (data) => {
     const resp = await fetch('/qrcode/generate', {
         method: 'POST',
         body: JSON.stringify(requestBody),
-        headers: { 'Content-Type': 'application/json' }
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('access_token')}`
+        }
     }).then(r => r.json()).catch(error => alert(error))
 
     if (resp.error) return alert(resp.error);
@@ -608,6 +688,50 @@ const getQRCode = async (data) => {
 // Global church data
 let churchData = null;
 
+// List the organisation's services so the operator can choose which one this
+// page drives.  The choice is kept per tab, so the main hall and the youth hall
+// can each be run from their own tab or device at the same time.
+// Returns the current service, or null if it isn't one of them.
+const setupServicePicker = async () => {
+    const picker = document.getElementById('serviceSelect');
+    const resp = await fetch('/api/services', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('access_token')}` }
+    }).then(r => r.json()).catch(error => {
+        console.error('❌ Failed to load services:', error);
+        return null;
+    });
+    if (!resp || !resp.success) return null;
+
+    const services = resp.data;
+    services.forEach(service => {
+        const option = document.createElement("option");
+        option.value = service.service_id;
+        option.text = `${service.name} (${service.service_id})${service.isLive ? ' - live' : ''}`;
+        picker.add(option);
+    });
+    if (!services.some(service => service.service_id === serviceCode)) {
+        const option = document.createElement("option");
+        option.value = serviceCode;
+        option.text = serviceCode;
+        picker.add(option);
+    }
+    picker.value = serviceCode;
+    picker.style.display = picker.options.length > 1 ? 'block' : 'none';
+
+    picker.addEventListener("change", () => {
+        if (streamingStatus !== "offline") {
+            alert('Stop streaming before switching to another service');
+            picker.value = serviceCode;
+            return;
+        }
+        console.log(`Switching to service ${picker.value}`);
+        sessionStorage.setItem('serviceId', picker.value);
+        location.search = `?id=${encodeURIComponent(picker.value)}`;
+    });
+
+    return services.find(service => service.service_id === serviceCode) || null;
+}
+
 const processConfigurationProperties = async () => {
     // Get access token from localStorage (set during login)
     const accessToken = localStorage.getItem('access_token');
@@ -706,13 +830,14 @@ const getLanguageString = (locale) => {
     return locale;
 }
 
-const buildDeepgramUrl = () => {
+const buildDeepgramUrl = (model = "nova-2") => {
     const deepgramUrl = `wss://api.deepgram.com/v1/listen`;
     const locale = `language=${selectedLocale}`;
     const smartFormat = `smart_format=true`;
-    const aiModel = `&model=nova-2`;
+    const aiModel = `&model=${model}`;
+    const interimResults = useInterim ? `&interim_results=true` : "";
 
-    return `${deepgramUrl}?${locale}&${smartFormat}${aiModel != null ? aiModel : ""}`;
+    return `${deepgramUrl}?${locale}&${smartFormat}${aiModel != null ? aiModel : ""}${interimResults}`;
 }
 
 const startStreamingToDeepgram = () => {
@@ -726,6 +851,7 @@ const startStreamingToDeepgram = () => {
         }
     })
     mediaRecorder.start(250)
+    controlSocket.emit('streamingStarted', { serviceId: serviceCode }, followScheduledEnd);
 
     // Start timer to protect from streaming going too long
     startServiceTimers();
@@ -733,7 +859,9 @@ const startStreamingToDeepgram = () => {
 const stopStreamingToDeepgram = async () => {
     const stopStreaming = document.querySelector(`#disableStreaming`);
     const audioForm = document.getElementById('audioForm');
+    controlSocket.emit('streamingStopped', { serviceId: serviceCode });
     await closeMicrophone();
+    stopServerTranscription();
     if (typeof ws !== "undefined") {
         ws.close();
     }
@@ -757,6 +885,16 @@ const stopHeartbeatTimer = () => {
     clearInterval(heartbeatTimer);
 }
 
+// During a scheduled run the server stops the service at the run's end, so
+// the timeout doesn't apply
+const followScheduledEnd = (response) => {
+    warnIfRejected('streamingStarted')(response);
+    if (response?.scheduledEnd) {
+        console.log(`Scheduled service, streaming until ${new Date(response.scheduledEnd).toLocaleTimeString()}`);
+        clearTimeout(serviceTimer);
+    }
+}
+
 const startServiceTimers = () => {
     stopServiceTimers();
     startServiceTimer();
@@ -792,34 +930,120 @@ const stopServiceTimers = () => {
     console.log(`Cleared all service timers`);
 }
 
-let propresenterHost = "localhost";
-let propresenterPort = "1025";
-let previousTranscript = "";
-const pushTranscriptToProPresenter = async (transcript) => {
-    propresenterHost = document.querySelector('#host').value;
-    propresenterPort = document.querySelector('#port').value;
-    const resp = await fetch(`http://${propresenterHost}:${propresenterPort}/v1/message/Translation/trigger`, {
-        method: 'POST',
-        body: JSON.stringify([
-            {
-                name: "Message",
-                text: {
-                    text: previousTranscript + "\n" + transcript
-                }
-            }
-        ]),
-        headers: { 'Content-Type': 'application/json' }
-    }).then(r => r.json()).catch(error => console.log(error))
-    previousTranscript = transcript;
+const authorisedFetch = (url, options = {}) => fetch(url, {
+    ...options,
+    headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('access_token')}`,
+        ...options.headers
+    }
+}).then(r => r.json());
+
+// ProPresenter machines the server pushes this service's captions to, with
+// how each is doing.  The list is loaded once and then kept up to date by
+// the presentationStatus events the server sends when a status changes.
+const PRESENTATION_STATUS = {
+    connected: '🟢 Connected',
+    retrying: '🟡 Retrying',
+    failing: '🔴 Not reachable',
+    unknown: '⚪ Waiting for the first line',
+    idle: '⚪ Idle until the service starts',
+    disabled: '⚫ Off'
+};
+let presentationTargets = [];
+
+const renderPresentationTargets = () => {
+    const list = document.getElementById('presentation-targets');
+    list.replaceChildren();
+    presentationTargets.forEach(target => {
+        const listItem = document.createElement('li');
+        const language = target.language === 'transcript' ? 'Transcript' : getLanguageString(target.language);
+        const status = PRESENTATION_STATUS[target.status] || target.status;
+        listItem.textContent = `${target.name} (${target.host}:${target.port}, "${target.message_name}") ${language}: ${status}`;
+        if (target.lastError && target.status !== 'connected') {
+            listItem.title = target.lastError;
+        }
+
+        const testButton = document.createElement('button');
+        testButton.textContent = 'Test';
+        testButton.addEventListener('click', async () => {
+            const resp = await authorisedFetch(`/api/service/${serviceCode}/presentation/${target.id}/test`, { method: 'POST' })
+                .catch(error => ({ success: false, error: error.message }));
+            if (!resp.success) return alert(resp.error);
+            alert(resp.data.ok ? `${target.name} is reachable` : `${target.name} is not reachable: ${resp.data.error}`);
+        });
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', async () => {
+            const resp = await authorisedFetch(`/api/service/${serviceCode}/presentation/${target.id}`, { method: 'DELETE' })
+                .catch(error => ({ success: false, error: error.message }));
+            if (!resp.success) return alert(resp.error);
+            await loadPresentationTargets();
+        });
+        listItem.append(' ', testButton, ' ', removeButton);
+        list.appendChild(listItem);
+    });
+}
 
+const loadPresentationTargets = async () => {
+    const resp = await authorisedFetch(`/api/service/${serviceCode}/presentation`).catch(error => {
+        console.error('❌ Failed to load the ProPresenter targets:', error);
+        return null;
+    });
+    if (!resp || !resp.success) return;
+    presentationTargets = resp.data;
+    renderPresentationTargets();
 }
 
+const setupPresentationForm = () => {
+    const form = document.getElementById('presentation-form');
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const resp = await authorisedFetch(`/api/service/${serviceCode}/presentation`, {
+            method: 'POST',
+            body: JSON.stringify({
+                host: document.getElementById('presentationHost').value.trim(),
+                port: parseInt(document.getElementById('presentationPort').value),
+                message_name: document.getElementById('presentationMessage').value.trim() || undefined,
+                language: document.getElementById('presentationLanguage').value.trim() || 'transcript'
+            })
+        }).catch(error => ({ success: false, error: error.message }));
+        if (!resp.success) return alert(resp.error);
+        form.reset();
+        await loadPresentationTargets();
+    });
+}
+
+
+// Partial line shown while the speaker is mid-sentence
+const showInterimTranscript = (interimTranscript) => {
+    const transcriptText = document.getElementById('transcript');
+    const transcriptTextBox = document.getElementById('transcript-text-box');
+    let item = transcriptText.querySelector('li.interim');
+    if (!item) {
+        item = document.createElement('li');
+        item.className = 'interim';
+        transcriptText.appendChild(item);
+    }
+    item.textContent = interimTranscript;
+    transcriptText.scrollTop = transcriptText.scrollHeight;
+    transcriptTextBox.scrollTo(0, transcriptText.scrollHeight);
+}
+
+const showFinalTranscript = async (finalTranscript) => {
+    const transcriptText = document.getElementById('transcript');
+    const transcriptTextBox = document.getElementById('transcript-text-box');
+    transcriptText.querySelectorAll('li.interim').forEach(item => item.remove());
+    var item = document.createElement('li');
+    item.textContent = finalTranscript;
+    transcriptText.appendChild(item);
+    transcriptText.scrollTop = transcriptText.scrollHeight;
+    transcriptTextBox.scrollTo(0, transcriptText.scrollHeight);
+}
 
 const handleDeepgramResponse = async (message) => {
     const data = JSON.parse(message.data)
     const transcript = data.channel.alternatives[0].transcript
-    const transcriptText = document.getElementById('transcript');
-    const transcriptTextBox = document.getElementById('transcript-text-box');
 
     // NOTE:  if speech_final is true, is_final will always be true at this point in time
     //        as well
@@ -846,21 +1070,17 @@ const handleDeepgramResponse = async (message) => {
 
     if (theEnd) {
         if (localStorage.getItem('PRINT_FULL_DEEPGRAM_RESPONSE')) console.log(`DEEPGRAM RESPONSE: ${message.data}`);
-        var item = document.createElement('li');
-        item.textContent = finalTranscript;
-        transcriptText.appendChild(item);
-        transcriptText.scrollTop = transcriptText.scrollHeight;
-        transcriptTextBox.scrollTo(0, transcriptText.scrollHeight);
-
-        // If requested, push latest transcript to ProPresenter
-        if (pushToProPresenter) {
-            await pushTranscriptToProPresenter(finalTranscript);
-        }
+        await showFinalTranscript(finalTranscript);
 
         // Send to our server
         const data = { serviceCode, transcript: finalTranscript };
         if (localStorage.getItem('PRINT_FULL_TRANSCRIPT')) console.log(`Emitting transcript ready: ${data.transcript}`);
-        controlSocket.emit('transcriptReady', data)
+        controlSocket.emit('transcriptReady', data, warnIfRejected('transcriptReady'))
+    } else if (transcript && useInterim) {
+        // Let participants see the sentence so far; it is replaced by the final one
+        const interimTranscript = data.is_final ? currentPhrase.join(" ") : [...currentPhrase, transcript].join(" ");
+        showInterimTranscript(interimTranscript);
+        controlSocket.emit('transcriptInterim', { serviceCode, transcript: interimTranscript });
     }
 }
 
@@ -883,24 +1103,26 @@ const setupSourceLanguage = () => {
 
     localeDropDown.addEventListener("change", () => {
         selectedLocale = localeDropDown.value;
-        localStorage.setItem('selectedLocale', selectedLocale);
+        localStorage.setItem(`selectedLocale:${serviceCode}`, selectedLocale);
     });
 
-    // select the initial value
-    if (localStorage.getItem('selectedLocale') != null) {
-        selectedLocale = localStorage.getItem('selectedLocale');
+    // select the initial value, remembered per service (older pages kept one for all)
+    const savedLocale = localStorage.getItem(`selectedLocale:${serviceCode}`) ??
+        (serviceHasOwnLocale ? null : localStorage.getItem('selectedLocale'));
+    if (savedLocale != null) {
+        selectedLocale = savedLocale;
     }
     console.log(`Setting initial locale to ${selectedLocale}`);
     localeDropDown.value = selectedLocale;
 }
 
 let useInterim = false;
-let pushToProPresenter = false;
 
 window.addEventListener("load", async () => {
     const serviceId = document.getElementById('serviceId');
     const interimCheckbox = document.getElementById('interimCheckbox')
     const dynamicMonitorList = document.getElementById('dynamic-monitor-list')
+    const translationErrorList = document.getElementById('translation-errors')
 
     // Reload from local storage if available
     document.querySelector('#key').value = localStorage.getItem('churchKey');
@@ -934,6 +1156,13 @@ window.addEventListener("load", async () => {
     sessionStorage.setItem('serviceId', serviceCode);
     serviceId.innerHTML = serviceCode;
 
+    // A service's own source language replaces the organisation's
+    const currentService = await setupServicePicker();
+    if (currentService && currentService.host_language) {
+        selectedLocale = currentService.host_language;
+        serviceHasOwnLocale = true;
+    }
+
     // Start communicating via websocket to the server
     controlSocket.connect();
 
@@ -944,13 +1173,59 @@ window.addEventListener("load", async () => {
         // Start sending heartbeats to the server
         startHeartbeatTimer();
         // Register the service Code
-        controlSocket.emit('monitor', serviceCode);
+        controlSocket.emit('monitor', { serviceId: serviceCode }, warnIfRejected('monitor'));
+        if (serverTranscriptionActive) {
+            resumeServerTranscription();
+        }
+    })
+    controlSocket.on('connect_error', (error) => {
+        console.error(`Control socket.io connection refused: ${error.message}`);
+        // Socket.IO does not retry after a middleware error, so sign in again
+        if (error.data?.code === 'unauthorized') {
+            localStorage.removeItem('access_token');
+            window.location.href = '/login';
+        }
     })
     controlSocket.on('disconnect', (reason) => {
         console.log(`Control page disconnected from the control socket.io: ${controlSocket.id}, reason-> ${reason}`);
+        // Server transcription carries on once the socket reconnects
+        if (serverTranscriptionActive) {
+            streamingStatus = "offline";
+            return;
+        }
         console.log(`Stop streaming due to control socket disconnection`);
         stopStreamingToDeepgram();
     })
+    controlSocket.on('serverTranscript', (msg) => {
+        if (msg.final === false) {
+            showInterimTranscript(msg.text);
+        } else {
+            showFinalTranscript(msg.text);
+        }
+    })
+    controlSocket.on('ingestStatus', (data) => {
+        console.log(`Server transcription for ${data.serviceId}: ${data.status}`);
+        if (!serverTranscriptionActive) return;
+        streamingStatus = data.status === "connected" ? "livestreaming" : "offline";
+    })
+    controlSocket.on('schedule', ({ serviceId, phase, startsAt, endsAt }) => {
+        console.log(`Scheduled run of ${serviceId} ${phase} (${new Date(startsAt).toLocaleTimeString()} to ${new Date(endsAt).toLocaleTimeString()})`);
+        if (phase === 'ended' && serviceId === serviceCode && streamingStatus !== "offline") {
+            console.log(`Stop streaming, the scheduled service has ended`);
+            stopServiceTimers();
+            stopStreamingToDeepgram();
+        }
+    })
+    controlSocket.on('presentationStatus', ({ serviceId, targets }) => {
+        if (serviceId !== serviceCode) return;
+        // Targets this page hasn't listed yet (e.g. added from another tab) are loaded afresh
+        if (targets.some(({ id }) => !presentationTargets.some(target => target.id === id))) {
+            loadPresentationTargets();
+            return;
+        }
+        presentationTargets = presentationTargets.map(target => ({ ...target, ...targets.find(({ id }) => id === target.id) }));
+        renderPresentationTargets();
+    })
     controlSocket.on('subscribers', (json) => {
         //debug        console.log(`Received subscriber list: ${JSON.stringify(json, null, 2)}`);
         // Update the list in the monitor, first clear out current entries
@@ -967,6 +1242,27 @@ window.addEventListener("load", async () => {
         }
     })
 
+    // Show languages whose translations are failing.  Each entry is removed
+    // again once that language has gone a minute without a new error.
+    const translationErrorTimers = new Map();
+    controlSocket.on('translationError', (error) => {
+        console.warn(`Translation error for ${error.language}: ${error.message}`);
+        let listItem = document.getElementById(`translation-error-${error.language}`);
+        if (!listItem) {
+            listItem = document.createElement('li');
+            listItem.id = `translation-error-${error.language}`;
+            translationErrorList.appendChild(listItem);
+        }
+        const time = new Date(error.timestamp).toLocaleTimeString();
+        listItem.textContent = `⚠️ ${getLanguageString(error.language)} translation failing at ${time}: ${error.message}`;
+
+        clearTimeout(translationErrorTimers.get(error.language));
+        translationErrorTimers.set(error.language, setTimeout(() => {
+            listItem.remove();
+            translationErrorTimers.delete(error.language);
+        }, 60000));
+    })
+
     // Populate the dropdown list of audio input devices
     await getUserAudioDevices();
 
@@ -986,24 +1282,16 @@ window.addEventListener("load", async () => {
         }
     })
 
-    const propresenterCheckbox = document.getElementById('propresenterCheckbox')
-
-    if (propresenterCheckbox.checked) {
-        pushToProPresenter = true;
-    } else {
-        pushToProPresenter = false;
-    }
-
-    propresenterCheckbox.addEventListener("change", () => {
-        if (propresenterCheckbox.checked) {
-            console.log(`Push to ProPresenter`);
-            pushToProPresenter = true;
-        } else {
-            console.log(`Not pushing to ProPresenter`);
-            pushToProPresenter = false;
-        }
+    const serverTranscriptionCheckbox = document.getElementById('serverTranscriptionCheckbox')
+    serverTranscriptionCheckbox.checked = useServerTranscription;
+    serverTranscriptionCheckbox.addEventListener("change", () => {
+        useServerTranscription = serverTranscriptionCheckbox.checked;
+        localStorage.setItem('USE_SERVER_TRANSCRIPTION', useServerTranscription);
     })
 
+    setupPresentationForm();
+    await loadPresentationTargets();
+
     // Get a QR Code for this service
     const qrcodeResponse = await getQRCode({ serviceId: serviceCode });
     const qrcodeBox = document.getElementById('qrcode');
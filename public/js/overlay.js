@@ -0,0 +1,66 @@
+// Lower-third captions for OBS browser sources.  The page is rendered with
+// its options in OVERLAY_CONFIG (see src/services/overlay.js); private
+// services are joined with the ?token= or ?pin= of the page's URL.
+const { serviceId, language, lines, interim, hold } = window.OVERLAY_CONFIG;
+const search = new URLSearchParams(location.search);
+const captions = document.getElementById('captions');
+const event = language === 'transcript' ? 'transcript' : 'translation';
+
+const overlaySocket = io('/participant', { auth: { protocol: 2 } });
+
+// Newest final lines, and the partial line being spoken after them
+let shown = [];
+let pending = null;
+let lastSeq = 0;
+let holdTimer = null;
+
+const render = () => {
+    captions.replaceChildren(...[...shown, ...(pending ? [pending] : [])].map((line, index, all) => {
+        const span = document.createElement('span');
+        span.textContent = line.text;
+        if (line === pending) span.className = 'interim';
+        const fragment = document.createDocumentFragment();
+        fragment.append(span);
+        if (index < all.length - 1) fragment.append(document.createElement('br'));
+        return fragment;
+    }));
+
+    clearTimeout(holdTimer);
+    if (hold > 0) {
+        holdTimer = setTimeout(() => {
+            shown = [];
+            pending = null;
+            captions.replaceChildren();
+        }, hold * 1000);
+    }
+}
+
+const show = (msg) => {
+    if (msg.seq <= lastSeq) return;
+    if (msg.final === false) {
+        if (!interim) return;
+        pending = msg;
+    } else {
+        lastSeq = msg.seq;
+        pending = null;
+        shown = [...shown, msg].slice(-lines);
+    }
+    render();
+}
+
+const join = () => {
+    const credentials = {};
+    if (search.get('token')) credentials.token = search.get('token');
+    if (search.get('pin')) credentials.pin = search.get('pin');
+    overlaySocket.emit('join', { serviceId, language, ...credentials }, (response) => {
+        if (!response.ok) console.warn(`Unable to show captions for ${serviceId}:${language}: ${response.error.message}`);
+    });
+}
+
+// Rooms are joined again after a reconnect
+overlaySocket.on('connect', join);
+overlaySocket.on(event, show);
+overlaySocket.on('history', (msg) => {
+    if (msg.language !== language || shown.length > 0) return;
+    msg.lines.slice(-lines).forEach(show);
+});
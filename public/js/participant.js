@@ -1,7 +1,10 @@
-const serviceSocket = io('/');
+const serviceSocket = io('/participant', { auth: { protocol: 2 } });
 const url = new URL(location.href)
 const search = new URLSearchParams(url.search)
 const id = search.get('id')
+// Private services are joined with a signed link (?token=) or a PIN
+const joinToken = search.get('token')
+let joinPin = null
 
 const setupLanguages = () => {
     let currentLanguage = undefined;
@@ -13,9 +16,8 @@ const setupLanguages = () => {
             if (currentLanguage === undefined) {
                 console.log(`No unsubscribe required`);
             } else if (selectedLanguage !== "") {
-                const room = `${id}:${currentLanguage}`;
-                console.log(`Leaving room-> ${room}`);
-                serviceSocket.emit("leave", room);
+                console.log(`Leaving room-> ${id}:${currentLanguage}`);
+                serviceSocket.emit("leave", { serviceId: id, language: currentLanguage });
             }
             currentLanguage = selectedLanguage;
         }
@@ -24,15 +26,60 @@ const setupLanguages = () => {
             console.log(`No language is selected.`);
         } else {
             console.log(`Selected language: ${selectedLanguage}`);
-            const room = `${id}:${selectedLanguage}`
-                serviceSocket.emit("join", room);
+            joinRoom(id, selectedLanguage);
         }
     });
 }
 
+const joinRoom = (serviceId, language) => {
+    const credentials = {};
+    if (joinToken) credentials.token = joinToken;
+    if (joinPin) credentials.pin = joinPin;
+    serviceSocket.emit("join", { serviceId, language, ...credentials }, (response) => {
+        if (response.ok) return;
+        console.warn(`Unable to join ${serviceId}:${language}: ${response.error.message}`);
+        if (response.error.code === 'access_required' || response.error.code === 'invalid_pin' || response.error.code === 'invalid_link') {
+            const entered = prompt(`${response.error.message}\n\nEnter the PIN for this service:`);
+            if (entered) {
+                joinPin = entered.trim();
+                joinRoom(serviceId, language);
+            }
+        }
+    });
+}
+
+// Spoken translations come as one continuous stream, which keeps playing
+// with the screen locked
+const setupListening = () => {
+    const checkbox = document.getElementById("listenCheckbox");
+    const speech = document.getElementById("speech");
+    const update = () => {
+        const language = document.getElementById("langInputSelect").value;
+        speech.pause();
+        if (!checkbox.checked || language === "") {
+            // Dropping the source closes the stream
+            speech.removeAttribute("src");
+            speech.load();
+            return;
+        }
+        const params = new URLSearchParams();
+        if (joinToken) params.set("token", joinToken);
+        if (joinPin) params.set("pin", joinPin);
+        speech.src = `/audio/${encodeURIComponent(id)}/${encodeURIComponent(language)}?${params}`;
+        speech.play().catch(error => console.warn(`Unable to play the translation: ${error.message}`));
+    }
+    speech.addEventListener("error", () => {
+        if (!speech.getAttribute("src")) return;
+        console.warn(`The spoken translation is not available`);
+        checkbox.checked = false;
+        update();
+    });
+    checkbox.addEventListener("change", update);
+    document.getElementById("langInputSelect").addEventListener("change", update);
+}
+
 const registerForTranscripts = (serviceId) => {
-    const room = `${serviceId}:transcript`;
-    serviceSocket.emit("join", room);
+    joinRoom(serviceId, "transcript");
 }
 
 window.addEventListener("load", async () => {
@@ -45,24 +92,117 @@ window.addEventListener("load", async () => {
 
     // Populate the language select
     setupLanguages();
+    setupListening();
 
     // register to receive transcripts
     registerForTranscripts(id);
 
+    // Messages are {seq, text, timestamp, final}.  The server sends them in
+    // order; anything older than the last line shown is a duplicate and a
+    // jump in seq means lines were lost.  Interim lines (final: false) are
+    // shown as a pending line that each newer partial rewrites and the final
+    // line replaces.  History (lines said before joining) goes above the
+    // first line shown.
+    const createLineRenderer = (list, textBox) => {
+        let firstSeq = undefined;
+        let lastSeq = undefined;
+        let pending = null;
+        const scrollToEnd = () => {
+            list.scrollTop = list.scrollHeight;
+            textBox.scrollTo(0, list.scrollHeight);
+        }
+        const show = (msg) => {
+            if (lastSeq !== undefined && msg.seq <= lastSeq) {
+                if (msg.final !== false) console.log(`Ignoring out of order line #${msg.seq}`);
+                return;
+            }
+            if (msg.final === false) {
+                if (!pending) {
+                    pending = document.createElement('li');
+                    pending.className = 'interim';
+                    list.appendChild(pending);
+                }
+                pending.textContent = msg.text;
+                scrollToEnd();
+                return;
+            }
+            if (pending) {
+                pending.remove();
+                pending = null;
+            }
+            if (lastSeq !== undefined && msg.seq > lastSeq + 1) {
+                console.warn(`Missed lines #${lastSeq + 1} to #${msg.seq - 1}`);
+                var gap = document.createElement('li');
+                gap.textContent = '…';
+                gap.className = 'gap';
+                list.appendChild(gap);
+            }
+            lastSeq = msg.seq;
+            if (firstSeq === undefined) firstSeq = msg.seq;
+
+            var item = document.createElement('li');
+            item.textContent = msg.text;
+            list.appendChild(item);
+            scrollToEnd();
+        }
+        const showHistory = (lines) => {
+            if (firstSeq === undefined) {
+                lines.forEach(show);
+                return;
+            }
+            const older = lines.filter(line => line.seq < firstSeq);
+            const firstLine = list.querySelector('li');
+            older.forEach(line => {
+                var item = document.createElement('li');
+                item.textContent = line.text;
+                list.insertBefore(item, firstLine);
+            });
+            if (older.length > 0) firstSeq = older[0].seq;
+        }
+        return { show, showHistory };
+    }
+
     // Listen for transcript messages coming in from the Server
-    serviceSocket.on('transcript', (msg) => {
-        var item = document.createElement('li');
-        item.textContent = msg;
-        transcript.appendChild(item);
-        transcript.scrollTop = transcript.scrollHeight;
-        transcriptTextBox.scrollTo(0, transcript.scrollHeight);
-    });
+    const renderTranscript = createLineRenderer(transcript, transcriptTextBox);
+    serviceSocket.on('transcript', renderTranscript.show);
 
-    serviceSocket.on('translation', (msg) => {
-        var item = document.createElement('li');
-        item.textContent = msg;
-        translation.appendChild(item);
-        translation.scrollTop = translation.scrollHeight;
-        translationTextBox.scrollTo(0, translation.scrollHeight);
-    })
+    // Translations restart their numbering when the language changes
+    let renderTranslation = createLineRenderer(translation, translationTextBox);
+    document.getElementById("langInputSelect").addEventListener("change", () => {
+        translation.querySelectorAll('li.interim').forEach(item => item.remove());
+        renderTranslation = createLineRenderer(translation, translationTextBox);
+    });
+    serviceSocket.on('translation', (msg) => renderTranslation.show(msg));
+    serviceSocket.on('history', ({ language, lines }) => {
+        if (language === 'transcript') {
+            renderTranscript.showHistory(lines);
+        } else if (language === document.getElementById("langInputSelect").value) {
+            renderTranslation.showHistory(lines);
+        }
+    });
+    // Before a scheduled service starts, show the waiting message and count down
+    const waiting = document.getElementById('waiting');
+    let countdownTimer = null;
+    serviceSocket.on('serviceStartsIn', ({ startsAt, waitingMessage, secondsLeft }) => {
+        clearInterval(countdownTimer);
+        if (secondsLeft <= 0) {
+            waiting.style.display = "none";
+            return;
+        }
+        document.getElementById('waiting-message').textContent = waitingMessage || 'The service will start soon';
+        const startTime = Date.now() + secondsLeft * 1000;
+        const showCountdown = () => {
+            const left = Math.max(0, Math.round((startTime - Date.now()) / 1000));
+            const minutes = Math.floor(left / 60);
+            document.getElementById('waiting-countdown').textContent =
+                `Starts at ${new Date(startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}, in ${minutes}:${String(left % 60).padStart(2, '0')}`;
+            if (left === 0) clearInterval(countdownTimer);
+        }
+        showCountdown();
+        countdownTimer = setInterval(showCountdown, 1000);
+        waiting.style.display = "block";
+    });
+    serviceSocket.on('translationError', (error) => {
+        console.warn(`Translation into ${error.language} failed for lines #${error.seqs.join(', #')}: ${error.message}`);
+    });
 });
\ No newline at end of file
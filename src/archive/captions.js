@@ -0,0 +1,146 @@
+// Readability rules, close to the usual broadcast subtitle guidelines
+const MAX_LINE_LENGTH = 42;
+const MAX_LINES_PER_CUE = 2;
+const MIN_CUE_SECONDS = 1;
+const MAX_CUE_SECONDS = 7;
+// How fast viewers can read, used to decide how long each cue stays up
+const READING_CHARS_PER_SECOND = 17;
+// Transcripts arrive once the sentence has been spoken, so each one is moved
+// back by roughly the time it took to say
+const SPEAKING_CHARS_PER_SECOND = 15;
+
+export const CAPTION_FORMATS = {
+    srt: { contentType: 'application/x-subrip', extension: 'srt' },
+    vtt: { contentType: 'text/vtt', extension: 'vtt' },
+    ttml: { contentType: 'application/ttml+xml', extension: 'ttml' }
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Break text into cues of at most MAX_LINES_PER_CUE lines, each at most
+ * MAX_LINE_LENGTH characters, breaking between words.  A single word longer
+ * than a line gets a line to itself.
+ * @param {string} text - Text of one transcript line
+ * @returns {Array} Cues, each an array of lines
+ */
+export const splitIntoCueLines = (text) => {
+    const lines = [];
+    let current = '';
+    for (const word of text.trim().split(/\s+/).filter(Boolean)) {
+        if (current && current.length + 1 + word.length > MAX_LINE_LENGTH) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    }
+    if (current) lines.push(current);
+
+    const cues = [];
+    for (let i = 0; i < lines.length; i += MAX_LINES_PER_CUE) {
+        cues.push(lines.slice(i, i + MAX_LINES_PER_CUE));
+    }
+    return cues;
+}
+
+/**
+ * Turn archived lines into timed cues for one language
+ * @param {Object} data
+ * @param {Array} data.lines - From groupSegmentsIntoLines
+ * @param {string|null} data.language - Translation language, or null for the transcript
+ * @param {string} data.startedAt - When the session started (ISO), time zero of the captions
+ * @param {number} [data.offsetSeconds] - Added to every cue, to line up with a recording that
+ *                                        didn't start exactly when streaming did
+ * @returns {Array} [{ start, end, lines }] with times in seconds
+ */
+export const buildCues = ({ lines, language, startedAt, offsetSeconds = 0 }) => {
+    const zero = new Date(startedAt).getTime();
+
+    // Where each transcript line starts, before it is split into cues
+    const timed = lines
+        .map(line => ({ line, text: language ? line.translations[language] : line.transcript }))
+        .filter(({ text }) => text && text.trim())
+        .map(({ line, text }) => {
+            const receivedAt = (new Date(line.spokenAt).getTime() - zero) / 1000;
+            const speakingTime = Math.min((line.transcript || text).length / SPEAKING_CHARS_PER_SECOND, MAX_CUE_SECONDS * 2);
+            return { text, start: receivedAt - speakingTime + offsetSeconds };
+        });
+
+    const cues = [];
+    let previousEnd = 0;
+    timed.forEach(({ text, start }, index) => {
+        const nextStart = timed[index + 1]?.start ?? Infinity;
+        let cursor = Math.max(start, previousEnd, 0);
+
+        for (const cueLines of splitIntoCueLines(text)) {
+            const length = cueLines.join(' ').length;
+            let end = cursor + clamp(length / READING_CHARS_PER_SECOND, MIN_CUE_SECONDS, MAX_CUE_SECONDS);
+            // Make way for the next line if this cue can still be read in time
+            if (end > nextStart && nextStart - cursor >= MIN_CUE_SECONDS) {
+                end = nextStart;
+            }
+            cues.push({ start: cursor, end, lines: cueLines });
+            cursor = end;
+        }
+        previousEnd = cursor;
+    });
+    return cues;
+}
+
+const formatTimestamp = (seconds, separator) => {
+    const totalMs = Math.round(seconds * 1000);
+    const ms = totalMs % 1000;
+    const totalSeconds = Math.floor(totalMs / 1000);
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${separator}${pad(ms, 3)}`;
+}
+
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toSrt = (cues) => cues.map((cue, index) =>
+    `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+).join('\n');
+
+// WebVTT cue text is HTML-like, so markup characters are escaped
+const toVtt = (cues) => 'WEBVTT\n\n' + cues.map(cue =>
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.lines.map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')).join('\n')}\n`
+).join('\n');
+
+const toTtml = (cues, language) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xml:lang="${escapeXml(language)}">`,
+    '  <body>',
+    '    <div>',
+    ...cues.map(cue =>
+        `      <p begin="${formatTimestamp(cue.start, '.')}" end="${formatTimestamp(cue.end, '.')}">${cue.lines.map(escapeXml).join('<br/>')}</p>`
+    ),
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+].join('\n');
+
+/**
+ * Write cues in a caption format
+ * @param {Array} cues - From buildCues
+ * @param {string} format - "srt", "vtt" or "ttml"
+ * @param {string} language - Language tag written into TTML
+ * @returns {string} Caption file contents
+ */
+export const formatCaptions = (cues, format, language) => {
+    switch (format) {
+        case 'srt':
+            return toSrt(cues);
+        case 'vtt':
+            return toVtt(cues);
+        case 'ttml':
+            return toTtml(cues, language);
+        default:
+            throw new Error(`Unknown caption format ${format}`);
+    }
+}
@@ -0,0 +1,288 @@
+import PDFDocument from 'pdfkit';
+import { getExportPdfFont } from '../repositories/archive.js';
+
+export const EXPORT_FORMATS = {
+    md: { contentType: 'text/markdown', extension: 'md' },
+    html: { contentType: 'text/html', extension: 'html' },
+    txt: { contentType: 'text/plain', extension: 'txt' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+export const EXPORT_LAYOUTS = ['side-by-side', 'interleaved'];
+
+// Total width of a plain text export
+const TEXT_WIDTH = 100;
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur', 'ps', 'yi'];
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const getLanguageName = (code) => {
+    try {
+        return languageNames.of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+// logo_base64 is normally a data URL, but plain base64 PNGs are accepted too.
+// Anything but base64 is left out, so the logo can't carry markup.
+const parseLogo = (logo) => {
+    if (!logo) return null;
+    const match = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]*)$/.exec(logo);
+    const mimeType = match ? match[1] : 'image/png';
+    const data = (match ? match[2] : logo).replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) return null;
+    return { mimeType, data, dataUrl: `data:${mimeType};base64,${data}` };
+}
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString('en-GB', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+});
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeMarkdownCell = (text) => text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+// Break text into lines of at most width characters, between words
+const wrapText = (text, width) => {
+    const lines = [];
+    let current = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (current && current.length + 1 + word.length > width) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    }
+    if (current || lines.length === 0) lines.push(current);
+    return lines;
+}
+
+const toMarkdown = ({ header, columns, lines, layout }) => {
+    const output = [];
+    if (header.logo) output.push(`![${header.organisationName}](${header.logo.dataUrl})`, '');
+    output.push(`# ${header.organisationName}`, '');
+    if (header.serviceName) output.push(`**${header.serviceName}**  `);
+    output.push(header.date, '');
+
+    if (layout === 'side-by-side') {
+        output.push(`| ${columns.map(({ name }) => name).join(' | ')} |`);
+        output.push(`| ${columns.map(() => '---').join(' | ')} |`);
+        for (const line of lines) {
+            output.push(`| ${columns.map(({ getText }) => escapeMarkdownCell(getText(line))).join(' | ')} |`);
+        }
+    } else {
+        for (const line of lines) {
+            const [source, ...targets] = columns;
+            output.push(source.getText(line));
+            targets.forEach(({ name, getText }) => output.push(`> *${name}:* ${getText(line)}  `));
+            output.push('');
+        }
+    }
+    return output.join('\n') + '\n';
+}
+
+const toHtml = ({ header, columns, lines, layout }) => {
+    const cell = ({ code, getText }, line, tag) =>
+        `<${tag} lang="${escapeHtml(code)}" dir="${RTL_LANGUAGES.includes(code.split('-')[0]) ? 'rtl' : 'auto'}">${escapeHtml(getText(line))}</${tag}>`;
+
+    let body;
+    if (layout === 'side-by-side') {
+        body = [
+            '<table>',
+            `<thead><tr>${columns.map(({ name }) => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead>`,
+            '<tbody>',
+            ...lines.map(line => `<tr>${columns.map(column => cell(column, line, 'td')).join('')}</tr>`),
+            '</tbody>',
+            '</table>'
+        ].join('\n');
+    } else {
+        const [source, ...targets] = columns;
+        body = lines.map(line => [
+            '<div class="line">',
+            cell(source, line, 'p'),
+            ...targets.map(target => `<p class="translation"><span class="label">${escapeHtml(target.name)}</span> ${cell(target, line, 'span')}</p>`),
+            '</div>'
+        ].join('\n')).join('\n');
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(header.organisationName)} - ${escapeHtml(header.date)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; max-width: 1000px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    header { display: flex; align-items: center; gap: 1rem; border-bottom: 2px solid #ddd; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+    header img { max-height: 64px; max-width: 160px; }
+    header h1 { margin: 0; font-size: 1.6rem; }
+    header p { margin: 0.25rem 0 0; color: #555; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: start; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #eee; }
+    .line { margin-bottom: 1rem; }
+    .line p { margin: 0.2rem 0; }
+    .translation { color: #444; padding-inline-start: 1rem; }
+    .label { font-size: 0.8rem; font-weight: bold; color: #777; }
+</style>
+</head>
+<body>
+<header>
+${header.logo ? `<img src="${escapeHtml(header.logo.dataUrl)}" alt="">\n` : ''}<div>
+<h1>${escapeHtml(header.organisationName)}</h1>
+<p>${header.serviceName ? `${escapeHtml(header.serviceName)} &middot; ` : ''}${escapeHtml(header.date)}</p>
+</div>
+</header>
+${body}
+</body>
+</html>
+`;
+}
+
+const toText = ({ header, columns, lines, layout }) => {
+    const title = [header.organisationName, header.serviceName, header.date].filter(Boolean);
+    const output = [...title, '='.repeat(Math.max(...title.map(text => text.length))), ''];
+
+    if (layout === 'side-by-side') {
+        const separator = ' | ';
+        const width = Math.floor((TEXT_WIDTH - separator.length * (columns.length - 1)) / columns.length);
+        const row = (cells) => {
+            const wrapped = cells.map(text => wrapText(text, width));
+            const height = Math.max(...wrapped.map(cellLines => cellLines.length));
+            for (let i = 0; i < height; i++) {
+                output.push(wrapped.map(cellLines => (cellLines[i] || '').padEnd(width)).join(separator).trimEnd());
+            }
+        }
+        row(columns.map(({ name }) => name));
+        output.push(columns.map(() => '-'.repeat(width)).join(separator));
+        lines.forEach(line => {
+            row(columns.map(({ getText }) => getText(line)));
+            output.push('');
+        });
+    } else {
+        const [source, ...targets] = columns;
+        for (const line of lines) {
+            output.push(source.getText(line));
+            targets.forEach(({ name, getText }) => output.push(`  [${name}] ${getText(line)}`));
+            output.push('');
+        }
+    }
+    return output.join('\n');
+}
+
+const toPdf = ({ header, columns, lines, layout }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${header.organisationName} - ${header.date}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // The built in fonts only cover Western European text, so other scripts
+    // need EXPORT_PDF_FONT pointing at a font that has them
+    const fontPath = getExportPdfFont();
+    const regular = fontPath || 'Helvetica';
+    const bold = fontPath || 'Helvetica-Bold';
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    // Header: logo, organisation name and date
+    let textLeft = left;
+    if (header.logo && ['image/png', 'image/jpeg', 'image/jpg'].includes(header.logo.mimeType)) {
+        try {
+            doc.image(Buffer.from(header.logo.data, 'base64'), left, doc.y, { fit: [120, 60] });
+            textLeft = left + 135;
+        } catch (error) {
+            console.warn(`⚠️  Unable to add logo to PDF export: ${error.message}`);
+        }
+    }
+    const headerTop = doc.y;
+    doc.font(bold).fontSize(18).text(header.organisationName, textLeft, headerTop, { width: width - (textLeft - left) });
+    doc.font(regular).fontSize(11).fillColor('#555')
+        .text([header.serviceName, header.date].filter(Boolean).join(' · '), textLeft, doc.y + 2, { width: width - (textLeft - left) });
+    doc.fillColor('#000');
+    doc.y = Math.max(doc.y, headerTop + (textLeft > left ? 60 : 0)) + 10;
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#cccccc').stroke();
+    doc.y += 12;
+
+    doc.fontSize(10.5);
+    if (layout === 'side-by-side') {
+        const gap = 14;
+        const columnWidth = (width - gap * (columns.length - 1)) / columns.length;
+        const drawRow = (cells, font) => {
+            doc.font(font);
+            const height = Math.max(...cells.map(text => doc.heightOfString(text, { width: columnWidth })));
+            if (doc.y + height > bottom()) doc.addPage();
+            const top = doc.y;
+            cells.forEach((text, index) => {
+                doc.text(text, left + index * (columnWidth + gap), top, { width: columnWidth });
+            });
+            doc.x = left;
+            doc.y = top + height + 8;
+        }
+        drawRow(columns.map(({ name }) => name), bold);
+        lines.forEach(line => drawRow(columns.map(({ getText }) => getText(line)), regular));
+    } else {
+        const [source, ...targets] = columns;
+        for (const line of lines) {
+            const text = source.getText(line);
+            const translations = targets.map(({ name, getText }) => `${name}: ${getText(line)}`);
+            const height = [text, ...translations].reduce((sum, part) => sum + doc.heightOfString(part, { width: width - 14 }), 0);
+            if (doc.y + height > bottom()) doc.addPage();
+            doc.font(regular).fillColor('#000').text(text, left, doc.y, { width });
+            translations.forEach(translation => {
+                doc.fillColor('#444').text(translation, left + 14, doc.y + 2, { width: width - 14 });
+            });
+            doc.fillColor('#000');
+            doc.y += 8;
+        }
+    }
+
+    doc.end();
+});
+
+/**
+ * Write an archived session as a bilingual document
+ * @param {Object} data
+ * @param {Object} data.organisation - Organisation row (name, logo_base64)
+ * @param {Object} data.service - Service row (name)
+ * @param {Object} data.session - Session row (started_at, source_language)
+ * @param {Array} data.lines - From groupSegmentsIntoLines
+ * @param {Array} data.languages - Translation languages to include, in order
+ * @param {string} data.layout - "side-by-side" or "interleaved"
+ * @param {string} data.format - "md", "html", "txt" or "pdf"
+ * @returns {Promise<string|Buffer>} Document contents
+ */
+export const buildSessionDocument = async (data) => {
+    const { organisation, service, session, lines, languages, layout, format } = data;
+
+    const sourceLanguage = session.source_language || 'und';
+    const columns = [
+        { code: sourceLanguage, name: getLanguageName(sourceLanguage), getText: line => line.transcript || '' },
+        ...languages.map(code => ({ code, name: getLanguageName(code), getText: line => line.translations[code] || '' }))
+    ];
+    const header = {
+        organisationName: organisation?.name || 'Service transcript',
+        serviceName: service?.name,
+        date: formatDate(session.started_at),
+        logo: parseLogo(organisation?.logo_base64)
+    };
+    const document = { header, columns, lines: lines.filter(line => line.transcript), layout };
+
+    switch (format) {
+        case 'md':
+            return toMarkdown(document);
+        case 'html':
+            return toHtml(document);
+        case 'txt':
+            return toText(document);
+        case 'pdf':
+            return toPdf(document);
+        default:
+            throw new Error(`Unknown export format ${format}`);
+    }
+}
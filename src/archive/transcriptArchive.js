@@ -0,0 +1,188 @@
+import { getServiceByServiceId } from '../../db/services.js';
+import {
+    createServiceSession,
+    endOpenServiceSessions,
+    endServiceSession,
+    saveTranscriptSegments
+} from '../../db/transcripts.js';
+import {
+    getArchiveFlushInterval,
+    getArchiveSessionIdleTimeout,
+    isTranscriptArchiveEnabled
+} from '../repositories/archive.js';
+
+// Lines waiting to be written are flushed early once there are this many
+const MAX_PENDING_SEGMENTS = 100;
+
+// The session currently being recorded for each service
+// serviceCode -> { ready, sourceLanguage, pending, flushTimer, idleTimer }
+const archiveSessions = new Map();
+
+const flushSession = async (serviceCode, session) => {
+    clearTimeout(session.flushTimer);
+    session.flushTimer = null;
+    const segments = session.pending.splice(0);
+    if (segments.length === 0) return;
+
+    const sessionId = await session.ready;
+    if (!sessionId) return;
+    try {
+        await saveTranscriptSegments(segments.map(segment => ({
+            ...segment,
+            session_id: sessionId,
+            language: segment.language || session.sourceLanguage || 'und'
+        })));
+    } catch (error) {
+        console.error(`❌ Unable to archive ${segments.length} line(s) for service ${serviceCode}: ${error.message}`);
+    }
+}
+
+// A session with nothing new for a while is ended; the next line opens another
+const resetIdleTimer = (serviceCode, session) => {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+        if (archiveSessions.get(serviceCode) !== session) return;
+        console.log(`⏰ Service ${serviceCode} has gone quiet, ending its archive session`);
+        endArchiveSession(serviceCode);
+    }, getArchiveSessionIdleTimeout());
+}
+
+const openSession = (serviceCode, startedAt = new Date().toISOString()) => {
+    const session = { ready: null, sourceLanguage: null, pending: [], flushTimer: null, idleTimer: null };
+
+    // Only services stored in the database can be archived
+    session.ready = (async () => {
+        const service = await getServiceByServiceId(serviceCode);
+        if (!service) {
+            console.log(`ℹ️  Not archiving transcripts for service ${serviceCode}, it isn't registered`);
+            return null;
+        }
+        const abandoned = await endOpenServiceSessions(service.id);
+        if (abandoned > 0) {
+            console.log(`🗄️  Closed ${abandoned} unfinished session(s) for service ${serviceCode}`);
+        }
+        session.sourceLanguage = service.host_language || service.organisations?.host_language || null;
+        const row = await createServiceSession({
+            service_id: service.id,
+            organisation_id: service.organisation_id,
+            source_language: session.sourceLanguage,
+            started_at: startedAt
+        });
+        console.log(`🗄️  Archiving service ${serviceCode} in session ${row.id}`);
+        return row.id;
+    })().catch(error => {
+        console.error(`❌ Unable to start the transcript archive for service ${serviceCode}: ${error.message}`);
+        return null;
+    });
+
+    archiveSessions.set(serviceCode, session);
+    resetIdleTimer(serviceCode, session);
+    return session;
+}
+
+const closeSession = async (serviceCode, session) => {
+    clearTimeout(session.idleTimer);
+    await flushSession(serviceCode, session);
+    const sessionId = await session.ready;
+    if (!sessionId) return;
+    try {
+        await endServiceSession(sessionId);
+        console.log(`🗄️  Archive session ${sessionId} for service ${serviceCode} ended`);
+    } catch (error) {
+        console.error(`❌ Unable to end archive session ${sessionId}: ${error.message}`);
+    }
+}
+
+/**
+ * Start the archive session of a run of a service, when its translation
+ * session is registered.  A run that already has one keeps it, so however
+ * many times a run is started it is archived once; the session ends with
+ * endArchiveSession (or after going quiet, see resetIdleTimer).
+ * @param {string} serviceCode - Service ID
+ */
+export const startArchiveSession = (serviceCode) => {
+    if (!isTranscriptArchiveEnabled() || archiveSessions.has(serviceCode)) return;
+    openSession(serviceCode);
+}
+
+/**
+ * Write out a service's remaining lines and mark its session as ended
+ * @param {string} serviceCode - Service ID
+ */
+export const endArchiveSession = async (serviceCode) => {
+    const session = archiveSessions.get(serviceCode);
+    if (!session) return;
+    archiveSessions.delete(serviceCode);
+    await closeSession(serviceCode, session);
+}
+
+export const endAllArchiveSessions = () => {
+    return Promise.all(Array.from(archiveSessions.keys()).map(serviceCode => endArchiveSession(serviceCode)));
+}
+
+const archiveSegment = (serviceCode, segment) => {
+    if (!isTranscriptArchiveEnabled()) return;
+    const session = archiveSessions.get(serviceCode) || openSession(serviceCode);
+
+    // The same line can be reported more than once (e.g. by two subscriptions)
+    const duplicate = session.pending.some(({ seq, language, is_source }) =>
+        seq === segment.seq && language === segment.language && is_source === segment.is_source);
+    if (!duplicate) {
+        session.pending.push(segment);
+    }
+
+    resetIdleTimer(serviceCode, session);
+
+    if (session.pending.length >= MAX_PENDING_SEGMENTS) {
+        flushSession(serviceCode, session);
+    } else if (!session.flushTimer) {
+        session.flushTimer = setTimeout(() => flushSession(serviceCode, session), getArchiveFlushInterval());
+    }
+}
+
+/**
+ * Store a final transcript in the service's current session
+ * @param {Object} data
+ * @param {string} data.serviceCode - Service ID
+ * @param {number} data.seq - Transcript sequence number
+ * @param {string} data.text - Transcript
+ * @param {string} data.timestamp - When the transcript was received (ISO)
+ */
+export const archiveTranscript = ({ serviceCode, seq, text, timestamp }) => {
+    archiveSegment(serviceCode, { seq, language: null, is_source: true, text, provider: null, spoken_at: timestamp });
+}
+
+/**
+ * Store a translation of a transcript in the service's current session
+ * @param {Object} data
+ * @param {string} data.serviceCode - Service ID
+ * @param {number} data.seq - Sequence number of the transcript it translates
+ * @param {string} data.language - Target language
+ * @param {string} data.text - Translation
+ * @param {string} data.timestamp - When the transcript was received (ISO)
+ * @param {string} [data.provider] - Provider (or "cache") that produced it
+ */
+export const archiveTranslation = ({ serviceCode, seq, language, text, timestamp, provider = null }) => {
+    archiveSegment(serviceCode, { seq, language, is_source: false, text, provider, spoken_at: timestamp });
+}
+
+/**
+ * Put the rows of a session back together as bilingual lines
+ * @param {Array} segments - Rows from getSessionSegments, ordered by seq
+ * @returns {Array} [{ seq, spokenAt, transcript, translations: { [language]: text } }]
+ */
+export const groupSegmentsIntoLines = (segments) => {
+    const lines = new Map();
+    for (const segment of segments) {
+        if (!lines.has(segment.seq)) {
+            lines.set(segment.seq, { seq: segment.seq, spokenAt: segment.spoken_at, transcript: null, translations: {} });
+        }
+        const line = lines.get(segment.seq);
+        if (segment.is_source) {
+            line.transcript = segment.text;
+        } else {
+            line.translations[segment.language] = segment.text;
+        }
+    }
+    return Array.from(lines.values()).sort((a, b) => a.seq - b.seq);
+}
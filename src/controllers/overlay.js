@@ -0,0 +1,19 @@
+import { parseOverlayOptions, renderOverlayPage } from "../services/overlay.js";
+import { TRANSCRIPT_ROOM, isLanguageCode } from "../protocol/index.js";
+
+export const overlayController = async (req, res) => {
+    const { serviceId, language } = req.params;
+
+    // A language or the untranslated transcript, as on /participant
+    if (!/^[\w-]{1,64}$/.test(serviceId) || (language !== TRANSCRIPT_ROOM && !isLanguageCode(language))) {
+        return res.status(400).json({ success: false, error: 'Invalid service or language' });
+    }
+
+    try {
+        const html = await renderOverlayPage({ serviceId, language, options: parseOverlayOptions(req.query) });
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('❌ Error rendering caption overlay:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}
@@ -1,91 +1,127 @@
-import { addClientToRoom, addRoomToClient, disconnectClientFromAllRooms, removeClientFromRoom, removeRoomFromClient } from "../../services/room.js";
-import { addTranslationLanguageToService, removeTranslationLanguageFromService } from "../../translate.js";
-import { serviceLanguageMap } from '../../repositories/index.js';
-import { parseRoom } from "../../utils/room.js";
-import { roomEmitter } from "../../globals.js";
-
-export const registerClientHandlers = (io, socket) => {
+import { addAudioListener, addSubscriber, getServiceNotice, removeAudioListener, removeSubscriber } from '../../state/index.js';
+import { TRANSCRIPT_ROOM, createProtocolError, getAudioRoom, isLanguageRoom } from '../../protocol/index.js';
+import { checkServiceAccess, getClientAddress } from '../../services/access.js';
+import { describeNotice } from '../../schedule/index.js';
+
+/**
+ * Handlers for the /participant namespace, see participantEvents in src/protocol/.
+ * What a handler returns goes back in the event's acknowledgement.
+ * @param {Object} deps
+ * @param {Function} deps.sendHistory - (socket, serviceId, language, translateMissing)
+ * @param {Function} deps.notifySubscribers - (serviceId) tells control panels who is listening
+ * @returns {Function} (socket) => handlers
+ */
+export const createParticipantHandlers = ({ sendHistory, notifySubscribers }) => (socket) => {
+    console.log('🔌 Participant connected via Socket.IO:', socket.id);
+
+    // Every room this socket has joined, room -> { serviceId, language, audio }
+    const socketRooms = new Map();
+    // Services this socket has been let into, so changing language doesn't
+    // need the PIN again
+    const admittedServices = new Set();
+    // Wrong PINs and links are counted per address, so reconnecting doesn't reset them
+    const client = getClientAddress(socket.handshake);
+
+    const requireAccess = async (serviceId, credentials) => {
+        if (admittedServices.has(serviceId)) return;
+        const { allowed, code, message } = await checkServiceAccess(serviceId, credentials, client);
+        if (!allowed) {
+            console.warn(`⚠️  Socket ${socket.id} refused entry to service ${serviceId}: ${code}`);
+            throw createProtocolError(code, message);
+        }
+        admittedServices.add(serviceId);
+    }
 
-    const getNumberOfSubscribersInRoom = (room) => {
+    // A participant has left a language room; once nobody on any server is
+    // listening to it the language is no longer translated (or spoken)
+    const removeParticipantLanguage = async (serviceId, language, audio) => {
         try {
-            const subscribers = (io.sockets.adapter.rooms.get(room) == undefined) ?
-                0 : io.sockets.adapter.rooms.get(room).size;
-            return subscribers;
+            if (audio) await removeAudioListener(serviceId, language);
+            await removeSubscriber(serviceId, language);
+            console.log(`📉 Removed a ${language} subscriber from ${serviceId}`);
+            await notifySubscribers(serviceId);
         } catch (error) {
-            console.log(`Error getting subscribers in room ${room}: ${error}`);
-            return 0;
+            console.error(`❌ Error removing subscriber for ${serviceId}:${language}:`, error.message);
         }
     }
 
-    socket.on('disconnect', () => {
-        console.log(`Client ${socket.id} disconnected`);
-
-        // Disconnect all rooms from this client
-        disconnectClientFromAllRooms({ socket })
-    });
-
-    socket.on('register', (serviceId) => {
-        console.log(`Client ${socket.id} registering for messages for service ${serviceId}`);
-        const hearbeats = `${serviceId}:heartbeat`;
-        socket.join(hearbeats);
-    });
-
-    // Rooms defined by <ServiceId:Language>
-    socket.on('join', (room) => {
+    // Participants who arrive during a scheduled service's waiting window are
+    // told when it starts, rather than waiting for the next countdown
+    const sendWaitingNotice = async (serviceId) => {
         try {
-            const { serviceId, language } = parseRoom(room);
-
-            socket.join(room);
-
-            console.log(`Client-> ${socket.id} just joined room-> ${room}`);
-
-            // Add this client to the room
-            let socketId = socket.id;
-            addClientToRoom({ room, socketId });
-
-            // Add this room to the client
-            addRoomToClient({ room, socketId });
+            const notice = await getServiceNotice(serviceId);
+            if (notice && new Date(notice.startsAt) > new Date()) {
+                socket.emit('serviceStartsIn', describeNotice(notice));
+            }
+        } catch (error) {
+            console.error(`❌ Error reading the waiting notice of ${serviceId}:`, error.message);
+        }
+    }
 
-            const joinData = { serviceId, language, serviceLanguageMap };
-            if (language != "transcript") {
-                addTranslationLanguageToService(joinData);
+    const join = async ({ serviceId, language, token, pin, audio }) => {
+        const room = `${serviceId}:${language}`;
+
+        // Joining a room twice must not count the participant twice
+        if (socketRooms.has(room)) return { room };
+        await requireAccess(serviceId, { token, pin });
+        // The same room may have been joined while access was being checked
+        if (socketRooms.has(room)) return { room };
+        const withAudio = audio === true && isLanguageRoom(language);
+        socketRooms.set(room, { serviceId, language, audio: withAudio });
+
+        socket.join(room);
+        if (withAudio) socket.join(getAudioRoom(serviceId, language));
+        console.log(`📥 Socket ${socket.id} joined room: ${room}${withAudio ? ' with audio' : ''}`);
+        sendWaitingNotice(serviceId);
+
+        // Count real language rooms, so they are translated and shown on the control panel
+        if (isLanguageRoom(language)) {
+            try {
+                if (withAudio) await addAudioListener(serviceId, language);
+                const total = await addSubscriber(serviceId, language);
+                console.log(`🌐 Added language ${language} to service ${serviceId}`);
+                notifySubscribers(serviceId);
+
+                // Catch the participant up with what has already been said
+                sendHistory(socket, serviceId, language, total === 1);
+            } catch (error) {
+                console.error(`❌ Error counting subscriber for ${room}:`, error.message);
             }
+        } else if (language === TRANSCRIPT_ROOM) {
+            sendHistory(socket, serviceId, language, false);
+        }
+        return { room };
+    }
 
-            // Let subscribers know that something has changed
-            roomEmitter.emit('subscriptionChange', serviceId);
+    return {
+        join,
 
-        } catch (error) {
-            console.log(`ERROR joining room: ${error}`);
-        }
-    })
-    socket.on('leave', (room) => {
-        try {
-            const { serviceId, language } = parseRoom(room);
+        // Older clients: register(serviceId) joins the service's heartbeat room
+        register: join,
 
+        leave: ({ serviceId, language }) => {
+            const room = `${serviceId}:${language}`;
+            console.log(`👋 Participant leaving room: ${room}`);
             socket.leave(room);
-            console.log(`Client -> ${socket.id} is leaving room-> ${room}`);
+            socket.leave(getAudioRoom(serviceId, language));
 
-            // Remove this client from the room
-            const socketId = socket.id;
-            removeClientFromRoom({ room, socketId });
+            const joined = socketRooms.get(room);
+            if (socketRooms.delete(room) && isLanguageRoom(language)) {
+                removeParticipantLanguage(serviceId, language, joined.audio);
+            }
+            return { room };
+        },
 
-            // Remove this room from the client
-            removeRoomFromClient({ room, socketId });
+        disconnect: () => {
+            console.log('🔌 Participant disconnected:', socket.id);
 
-            const leaveData = { serviceId, language, serviceLanguageMap };
-            if (language != "transcript") {
-                // If no other subscribers to this language, remove it
-                const subscribersInRoom = getNumberOfSubscribersInRoom(room);
-                if (subscribersInRoom == 0) {
-                    removeTranslationLanguageFromService(leaveData);
+            // Clean up every room this socket was in
+            for (const { serviceId, language, audio } of socketRooms.values()) {
+                if (isLanguageRoom(language)) {
+                    removeParticipantLanguage(serviceId, language, audio);
                 }
             }
-
-            // Let subscribers know that something has changed
-            roomEmitter.emit('subscriptionChange', serviceId);
-
-        } catch (error) {
-            console.log(`ERROR in leave room: ${error}`);
+            socketRooms.clear();
         }
-    })
-}
\ No newline at end of file
+    };
+}
@@ -1,55 +1,174 @@
 import * as dotenv from 'dotenv';
-import { roomEmitter, transcriptAvailServiceSub } from "../../globals.js";
-import { registerForServiceTranscripts } from "../../translate.js";
-import { getActiveLanguages } from '../../services/church.js';
-import { serviceLanguageMap, serviceSubscriptionMap, streamingStatusMap } from '../../repositories/index.js';
+import { getServiceNotice, getSubscribers, markServiceLive, markServiceOffline } from '../../state/index.js';
+import { pushAudio, stopAudioIngest, stopAudioIngestForOwner } from '../../stt/ingest.js';
+import { streamingStatusMap } from '../../repositories/index.js';
+import { HEARTBEAT_ROOM, createProtocolError } from '../../protocol/index.js';
+import { userOwnsService } from '../../../middleware/auth.js';
+import { serviceTimers } from '../../schedule/index.js';
 
 // Environment variables
 dotenv.config();
 
-export const registerControlHandlers = (controlIo, clientIo, socket) => {
-    
-    console.log(`Registering ${socket.id} connected to our socket.io control namespace`);
-
-    socket.on('disconnect', (reason) => {
-        console.log(`Control io disconnected for client-> ${socket.id}, reason-> ${reason}`);
-    });
-    socket.on('transcriptReady', (data) => {
-        const { serviceCode, transcript } = data;
-
-        // Let all observers know that a new transcript is available
-        if (process.env.EXTRA_DEBUGGING) console.log(`Received a transcriptReady message: ${transcript}`);
-        const transciptData = { serviceCode, transcript, serviceLanguageMap };
-        transcriptAvailServiceSub.next(transciptData);
-    });
-    // Listen for changes in the rooms
-    socket.on('monitor', (data) => {
-        const room = data;
-        console.log(`Control is monitoring ${room}`);
-        socket.join(room);
-        // Start up our transcript listerner for this service code
-        const listenerData = { io: clientIo, serviceId: room, serviceLanguageMap, serviceSubscriptionMap };
-        registerForServiceTranscripts(listenerData);
-
-        roomEmitter.on('subscriptionChange', (service) => {
-            if (process.env.EXTRA_DEBUGGING) console.log(`Detected subscription change for service: ${service}`);
-            const jsonString = getActiveLanguages(clientIo, service);
-            const room = service;
-            
-            if (process.env.EXTRA_DEBUGGING) console.log(`Attempting to emit: ${JSON.stringify(jsonString, null, 2)} to control room: ${room}`);
-            socket.emit(room, jsonString);
-        })
-    })
-    socket.on('heartbeat', (data) => {
-        const { serviceCode, status } = data;
-        streamingStatusMap.set(serviceCode, status);
-        // Send the heartbeat out to all subscribers in this service
-        if (status == "livestreaming") {
-            const room = `${serviceCode}:heartbeat`;
-            clientIo.to(room).emit('livestreaming');
+/**
+ * Handlers for the /control namespace, see controlEvents in src/protocol/.
+ * What a handler returns goes back in the event's acknowledgement.
+ * Sockets are authenticated when they connect (authenticateSocket) and may
+ * only use services their user owns.
+ * @param {Object} deps
+ * @param {Object} deps.participantIo - The /participant namespace
+ * @param {Function} deps.runOnTranslator - (serviceId, action, payload) on the service's translator
+ * @param {Function} deps.startServerTranscription - Start transcribing audio sent by the control panel
+ * @returns {Function} (socket) => handlers
+ */
+export const createControlHandlers = ({ participantIo, runOnTranslator, startServerTranscription }) => (socket) => {
+    console.log('🔌 Control panel connected via Socket.IO:', socket.id);
+
+    const logError = (action, serviceId) => (error) => console.error(`❌ Error ${action} ${serviceId}:`, error.message);
+    // Version 1 clients are sent confirmation events as well as acknowledgements
+    const isVersion1 = socket.data.protocol === 1;
+
+    // Ownership checks, serviceId -> Promise<boolean>, made once per socket
+    const ownedServices = new Map();
+    const requireService = async (serviceId) => {
+        if (!ownedServices.has(serviceId)) {
+            // A failed check is not remembered, so the next event tries again
+            const check = userOwnsService(serviceId, socket.data.userId).catch(() => {
+                ownedServices.delete(serviceId);
+                throw createProtocolError('auth_failed', `Could not check access to service ${serviceId}`);
+            });
+            ownedServices.set(serviceId, check);
+        }
+        if (!await ownedServices.get(serviceId)) {
+            console.warn(`⚠️  User ${socket.data.userId} attempted to use service ${serviceId} without permission`);
+            throw createProtocolError('forbidden', `You do not have access to service ${serviceId}`);
+        }
+    }
+
+    return {
+        monitor: async ({ serviceId }) => {
+            await requireService(serviceId);
+            console.log(`📊 Monitoring service: ${serviceId}`);
+            socket.join(`service-${serviceId}`);
+
+            // Send initial subscriber list, from every server's participants
+            let languages = [];
+            try {
+                languages = await getSubscribers(serviceId);
+            } catch (error) {
+                logError('reading subscribers for', serviceId)(error);
+            }
+            socket.emit('subscribers', { languages });
+
+            if (isVersion1) socket.emit('registered', { serviceId });
+            return { serviceId, languages };
+        },
+
+        heartbeat: async ({ serviceCode, status }) => {
+            await requireService(serviceCode);
+            console.log(`💓 Heartbeat from service ${serviceCode}:`, status);
+            streamingStatusMap.set(serviceCode, status);
+
+            // Any heartbeat means the console is running, so the language
+            // selector is shown to participants even before streaming starts
+            await markServiceLive(serviceCode).catch(logError('marking live', serviceCode));
+            console.log(`✅ Service ${serviceCode} marked as active (status: ${status})`);
+
+            // The livestream indicator (OFF/ON) only follows actual streaming
+            if (status === 'livestreaming' || status === 'streaming') {
+                const heartbeatRoom = `${serviceCode}:${HEARTBEAT_ROOM}`;
+                participantIo.to(heartbeatRoom).emit('livestreaming');
+                console.log(`📡 Broadcasting livestreaming to room: ${heartbeatRoom}`);
+            }
+
+            // Send back the current subscriber list
+            socket.emit('subscribers', { languages: await getSubscribers(serviceCode) });
+        },
+
+        transcriptReady: async ({ serviceCode, transcript }) => {
+            await requireService(serviceCode);
+            console.log(`📝 Transcript ready for service ${serviceCode}:`, transcript);
+            const message = await runOnTranslator(serviceCode, 'publishTranscript', transcript);
+
+            if (isVersion1) {
+                socket.emit('transcriptSent', {
+                    success: message !== null,
+                    serviceCode
+                });
+            }
+            if (!message) {
+                throw createProtocolError('not_published', `Transcript for service ${serviceCode} could not be published`);
+            }
+            return { seq: message.seq, timestamp: message.timestamp };
+        },
+
+        // Partial transcripts while the speaker is mid-sentence
+        transcriptInterim: async ({ serviceCode, transcript }) => {
+            await requireService(serviceCode);
+            if (process.env.DEBUG_TRANSCRIPT) console.log(`📝 Interim transcript for service ${serviceCode}:`, transcript);
+            const message = await runOnTranslator(serviceCode, 'publishInterimTranscript', transcript);
+            if (!message) {
+                throw createProtocolError('not_published', `Interim transcript for service ${serviceCode} could not be published`);
+            }
+            return { seq: message.seq };
+        },
+
+        streamingStarted: async ({ serviceId }) => {
+            await requireService(serviceId);
+            console.log(`🎙️ Streaming started for service ${serviceId}`);
+            markServiceLive(serviceId).catch(logError('marking live', serviceId));
+
+            // During a scheduled run the schedule's hard end stops the service
+            const run = await getServiceNotice(serviceId).catch(() => null);
+            if (run && new Date(run.startsAt) <= new Date() && new Date(run.endsAt) > new Date()) {
+                serviceTimers.clear(serviceId, 'autoStop');
+                return { scheduledEnd: run.endsAt };
+            }
+
+            // Otherwise auto-deactivate after SERVICE_TIMEOUT minutes
+            const timeout = parseInt(process.env.SERVICE_TIMEOUT || '60') * 60 * 1000;
+            serviceTimers.set(serviceId, 'autoStop', timeout, () => {
+                console.log(`⏰ Service ${serviceId} timeout reached - auto-deactivating`);
+                markServiceOffline(serviceId).catch(logError('marking offline', serviceId));
+                runOnTranslator(serviceId, 'stopStreaming');
+            });
+        },
+
+        streamingStopped: async ({ serviceId }) => {
+            await requireService(serviceId);
+            console.log(`🛑 Streaming stopped for service ${serviceId}`);
+            serviceTimers.clear(serviceId, 'autoStop');
+            markServiceOffline(serviceId).catch(logError('marking offline', serviceId));
+            runOnTranslator(serviceId, 'stopStreaming');
+        },
+
+        // Server-side transcription: the control panel streams microphone audio
+        // (webm/Opus from MediaRecorder, or raw linear16 PCM) and the server holds
+        // the Deepgram connection
+        // audioChunk and audioStop act on this service, so only it is checked
+        audioStart: async ({ serviceId, language, encoding, sampleRate, interim }) => {
+            await requireService(serviceId);
+            socket.data.ingestServiceId = serviceId;
+            startServerTranscription({ serviceId, language, encoding, sampleRate, interim: interim === true, ownerId: socket.id });
+        },
+
+        audioChunk: (chunk) => {
+            const serviceId = socket.data.ingestServiceId;
+            if (!serviceId || !pushAudio(serviceId, chunk)) {
+                if (process.env.EXTRA_DEBUGGING) console.log(`Dropping audio from ${socket.id}, no transcription running`);
+            }
+        },
+
+        audioStop: () => {
+            const serviceId = socket.data.ingestServiceId;
+            if (serviceId) {
+                stopAudioIngest(serviceId);
+                socket.data.ingestServiceId = undefined;
+            }
+        },
+
+        disconnect: () => {
+            console.log('🔌 Control panel disconnected:', socket.id);
+            stopAudioIngestForOwner(socket.id);
         }
-        // Send back the current subscriber list
-        const jsonString = getActiveLanguages(clientIo, serviceCode);
-        socket.emit('subscribers', jsonString); 
-    })
-}
\ No newline at end of file
+    };
+}
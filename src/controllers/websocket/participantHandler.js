@@ -0,0 +1,102 @@
+import { NATIVE_PROTOCOL_VERSION, nativeMessages } from '../../protocol/index.js';
+import { validatePayload } from '../../protocol/validate.js';
+
+const isBinary = (value) => Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+let connectionCount = 0;
+
+/**
+ * Send a message to a native WebSocket client as JSON.  Binary audio can't
+ * go in JSON, so it follows in a binary message of its own.
+ * @param {WebSocket} ws
+ * @param {Object} message - { type, ...payload }
+ */
+export const sendNativeMessage = (ws, message) => {
+    if (ws.readyState !== 1) return; // WebSocket.OPEN
+    const { audio, ...rest } = message;
+    if (isBinary(audio)) {
+        ws.send(JSON.stringify({ ...rest, bytes: audio.byteLength }));
+        ws.send(audio);
+    } else {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Speak the participant protocol to a native WebSocket client, see
+ * nativeMessages in src/protocol/.  The connection is given the parts of a
+ * Socket.IO socket the /participant handlers use (id, handshake, rooms,
+ * join, leave, emit), so joining, access checks, subscriber counts and
+ * history work the same for both.  What is sent to its rooms reaches it
+ * through broadcastToService, which looks at the rooms of the returned
+ * connection.
+ * @param {Object} options
+ * @param {WebSocket} options.ws
+ * @param {string} options.serviceId - From the URL
+ * @param {Object} options.credentials - { token, pin } from the URL
+ * @param {Object} options.handshake - { headers, address } of the upgrade request
+ * @param {Function} options.createHandlers - (socket) => participant handlers
+ * @returns {Object} The connection: { id, handshake, rooms, join, leave, emit, subscribe }
+ */
+export const handleNativeParticipant = ({ ws, serviceId, credentials, handshake, createHandlers }) => {
+    const connection = {
+        id: `ws-${serviceId}-${++connectionCount}`,
+        handshake,
+        rooms: new Set(),
+        join: (room) => connection.rooms.add(room),
+        leave: (room) => connection.rooms.delete(room),
+        emit: (event, payload) => sendNativeMessage(ws, { type: event, ...payload })
+    };
+    const handlers = createHandlers(connection);
+
+    const ack = (id, response) => sendNativeMessage(ws, { type: 'ack', id, ...response });
+    const reject = (id, code, message) => ack(id, { ok: false, error: { code, message } });
+
+    const handleMessage = async ({ type, id, ...fields }) => {
+        const schema = Object.hasOwn(nativeMessages, type) ? nativeMessages[type] : null;
+        if (!schema) {
+            return reject(id, 'unknown_message', `${type} is not a message of protocol version ${NATIVE_PROTOCOL_VERSION}`);
+        }
+        const { data, error } = validatePayload(schema, fields);
+        if (error) {
+            console.warn(`⚠️  Rejected ${type} from ${connection.id}: ${error}`);
+            return reject(id, 'invalid_payload', error);
+        }
+        if (type === 'ping') {
+            return sendNativeMessage(ws, { type: 'pong', id, timestamp: new Date().toISOString() });
+        }
+
+        try {
+            const result = await handlers[schema.event]({ ...credentials, ...data, serviceId });
+            ack(id, { ok: true, ...(result || {}) });
+        } catch (error) {
+            console.error(`❌ Error handling ${type} from ${connection.id}:`, error.message);
+            reject(id, error.code || 'failed', error.message);
+        }
+    }
+
+    ws.on('message', (data, binary) => {
+        let message;
+        try {
+            message = binary ? null : JSON.parse(data.toString());
+        } catch (error) {
+            message = null;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return reject(undefined, 'invalid_message', 'Messages must be JSON objects with a type');
+        }
+        handleMessage(message);
+    });
+
+    ws.on('close', () => {
+        try {
+            handlers.disconnect?.();
+        } catch (error) {
+            console.error(`❌ Error cleaning up ${connection.id}:`, error.message);
+        }
+    });
+
+    // Clients that can only open a URL subscribe with ?language= (and &audio=true)
+    connection.subscribe = (fields) => handleMessage({ type: 'subscribe', ...fields });
+    return connection;
+}
@@ -3,4 +3,6 @@ import EventEmitter from 'events';
 
 export const roomEmitter = new EventEmitter();
 export const transcriptSubject = new Rx.Subject();
-export const transcriptAvailServiceSub = new Rx.Subject();
\ No newline at end of file
+export const transcriptAvailServiceSub = new Rx.Subject();
+// Partial transcripts, replaced by the next final one
+export const transcriptInterimServiceSub = new Rx.Subject();
@@ -0,0 +1,110 @@
+/**
+ * Fake ProPresenter network API
+ *
+ * Answers the message requests the presentation outputs make, so captions
+ * can be pushed without a ProPresenter machine.  Each message it is sent is
+ * logged, and what every message shows right now is at GET /fake/messages.
+ *
+ *   npm run fake-propresenter
+ *
+ * then start the server with PROPRESENTER_ALLOWED_HOSTS=localhost and add a
+ * presentation target with host localhost and port 1025 (or
+ * FAKE_PROPRESENTER_PORT).  Set FAKE_PROPRESENTER_FAIL_RATE (0 to 1) to
+ * fail that share of requests, to watch the retries and the health shown
+ * on the control panel.
+ */
+
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { getFakeProPresenterPort } from '../repositories/presentation.js';
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the fake server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {number} [options.failRate] - Share of requests answered with a 503
+ * @returns {Promise<Object>} { server, port, messages, close() } where messages maps message name -> text on screen
+ */
+export const startFakeProPresenter = (options = {}) => {
+    const {
+        port = getFakeProPresenterPort(),
+        failRate = parseFloat(process.env.FAKE_PROPRESENTER_FAIL_RATE || '0')
+    } = options;
+
+    const messages = new Map();
+
+    const server = createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && pathname === '/fake/messages') {
+            return sendJson(res, 200, Object.fromEntries(messages));
+        }
+        if (Math.random() < failRate) {
+            console.log(`💥 Fake ProPresenter failing ${req.method} ${pathname}`);
+            return sendJson(res, 503, { error: 'Fake failure' });
+        }
+        if (req.method === 'GET' && pathname === '/version') {
+            return sendJson(res, 200, { name: 'Fake ProPresenter', platform: process.platform, host_description: 'ProPresenter 7 (fake)' });
+        }
+
+        const match = /^\/v1\/message\/([^/]+)\/(trigger|clear)$/.exec(pathname);
+        if (!match) {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+        const name = decodeURIComponent(match[1]);
+
+        if (match[2] === 'clear' && req.method === 'GET') {
+            messages.delete(name);
+            console.log(`🧽 Fake ProPresenter cleared "${name}"`);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (match[2] === 'trigger' && req.method === 'POST') {
+            let tokens;
+            try {
+                tokens = JSON.parse(await readBody(req));
+            } catch (error) {
+                return sendJson(res, 400, { error: 'Body must be JSON' });
+            }
+            const token = Array.isArray(tokens) && tokens.find(token => token?.name === 'Message');
+            if (!token || typeof token.text?.text !== 'string') {
+                return sendJson(res, 400, { error: 'Expected [{ name: "Message", text: { text } }]' });
+            }
+            messages.set(name, token.text.text);
+            console.log(`📺 Fake ProPresenter "${name}": ${token.text.text.replace(/\n/g, ' / ')}`);
+            res.writeHead(204);
+            return res.end();
+        }
+        sendJson(res, 405, { error: 'Method not allowed' });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, () => {
+            const actualPort = server.address().port;
+            console.log(`📺 Fake ProPresenter listening on http://localhost:${actualPort}`);
+            resolve({
+                server,
+                port: actualPort,
+                messages,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Allow running directly: node src/presentation/fakeProPresenter.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await startFakeProPresenter();
+}
@@ -0,0 +1,67 @@
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns/promises';
+import { getProPresenterAllowedHosts } from '../repositories/presentation.js';
+
+// Addresses a target may not point at unless PROPRESENTER_ALLOWED_HOSTS says
+// so: this machine, the local network and link-local (cloud metadata), so
+// the server can't be used to reach or probe what sits beside it
+const blocked = new BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    blocked.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked as IPv4
+const unmap = (address) => address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+const family = (address) => isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+// Entries of PROPRESENTER_ALLOWED_HOSTS: host names, addresses or networks (192.168.1.0/24)
+const readAllowList = () => {
+    const names = new Set();
+    const addresses = new BlockList();
+    for (const entry of getProPresenterAllowedHosts()) {
+        const [network, prefix] = entry.split('/');
+        const type = isIP(unmap(network));
+        if (!type) {
+            names.add(entry.toLowerCase());
+        } else if (prefix === undefined) {
+            addresses.addAddress(unmap(network), family(unmap(network)));
+        } else {
+            addresses.addSubnet(unmap(network), parseInt(prefix), family(unmap(network)));
+        }
+    }
+    return { names, addresses };
+}
+
+/**
+ * Find the address to send a target's requests to, refusing hosts that are
+ * (or resolve to) a private, loopback or link-local address unless they
+ * are allowed by PROPRESENTER_ALLOWED_HOSTS.  Requests go to the address
+ * returned, so a name can't resolve to somewhere else by the time they are
+ * made.
+ * @param {string} host - Host name or IP address
+ * @returns {Promise<string>} IP address
+ * @throws When the host can't be resolved or may not be used
+ */
+export const resolvePresentationHost = async (host) => {
+    const { names, addresses } = readAllowList();
+    const allowedName = names.has(String(host).toLowerCase());
+
+    let resolved;
+    try {
+        resolved = isIP(host) ? [host] : (await lookup(host, { all: true })).map(({ address }) => address);
+    } catch (error) {
+        throw new Error(`${host} could not be resolved`);
+    }
+    const refused = resolved.map(unmap).find(address =>
+        blocked.check(address, family(address)) && !allowedName && !addresses.check(address, family(address)));
+    if (refused) {
+        throw new Error(`${host} is a private or local address (${refused}), add it to PROPRESENTER_ALLOWED_HOSTS to use it`);
+    }
+    return unmap(resolved[0]);
+}
@@ -0,0 +1,209 @@
+import { triggerMessage, clearMessage, getVersion } from './propresenter.js';
+import { getProPresenterRetries, getProPresenterTimeoutMs } from '../repositories/presentation.js';
+
+// Target language meaning the spoken language rather than a translation
+export const TRANSCRIPT = 'transcript';
+
+// Wait before each retry: 0.5s, 1s, 2s ... up to 5s
+const getRetryDelay = (attempt) => Math.min(500 * 2 ** attempt, 5000);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check a target can be reached, without showing anything on it
+ * @param {Object} target - { host, port }
+ * @returns {Object} { ok: true, version } or { ok: false, error }
+ */
+export const checkTarget = async (target) => {
+    try {
+        return { ok: true, version: await getVersion(target, getProPresenterTimeoutMs()) };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+/**
+ * Push services' captions to their ProPresenter targets.  Each target shows
+ * the latest few lines of the transcript or of one translation in its own
+ * message.  Lines are sent one at a time per target and retried with a
+ * growing delay; a newer line replaces one still being retried, so a target
+ * that comes back shows what is being said now.  Targets are loaded the
+ * first time a service needs them and again after reload().
+ * @param {Object} deps
+ * @param {Function} deps.loadTargets - (serviceId) => the service's presentation targets
+ * @param {Function} deps.onHealth - (serviceId, health) when a target's status changes, see getHealth
+ * @returns {Object} { push, getLanguages, getHealth, reload, closeService, closeAll }
+ */
+export const createPresentationOutputs = ({ loadTargets, onHealth }) => {
+    // serviceId -> Promise of Map(targetId -> output)
+    const services = new Map();
+
+    const describe = ({ target, status, lastError, lastAttemptAt, lastSuccessAt }) => ({
+        id: target.id,
+        name: target.name,
+        host: target.host,
+        port: target.port,
+        message_name: target.message_name,
+        language: target.language,
+        enabled: target.enabled !== false,
+        status: target.enabled === false ? 'disabled' : status,
+        lastError,
+        lastAttemptAt,
+        lastSuccessAt
+    });
+
+    const getOutputs = (serviceId) => {
+        if (!services.has(serviceId)) {
+            const loading = Promise.resolve(loadTargets(serviceId)).then(targets => new Map(targets.map(target => [target.id, {
+                target,
+                lines: [],
+                pending: null,
+                sending: false,
+                closed: false,
+                status: 'unknown',
+                lastError: null,
+                lastAttemptAt: null,
+                lastSuccessAt: null
+            }]))).catch(error => {
+                // Try again the next time the service needs them
+                console.error(`❌ Unable to load the presentation targets of ${serviceId}:`, error.message);
+                if (services.get(serviceId) === loading) services.delete(serviceId);
+                return new Map();
+            });
+            services.set(serviceId, loading);
+        }
+        return services.get(serviceId);
+    }
+
+    const getHealth = async (serviceId) => Array.from((await getOutputs(serviceId)).values()).map(describe);
+
+    const setStatus = (serviceId, output, status, error = null) => {
+        const changed = output.status !== status;
+        output.status = status;
+        output.lastError = error?.message ?? (status === 'connected' ? null : output.lastError);
+        if (status === 'connected') output.lastSuccessAt = new Date().toISOString();
+        if (changed && !output.closed) {
+            getHealth(serviceId).then(health => onHealth(serviceId, health)).catch(() => {});
+        }
+    }
+
+    const drain = async (serviceId, output) => {
+        output.sending = true;
+        const { target } = output;
+        while (output.pending !== null && !output.closed) {
+            const text = output.pending;
+            output.pending = null;
+            for (let attempt = 0; !output.closed; attempt++) {
+                try {
+                    output.lastAttemptAt = new Date().toISOString();
+                    await triggerMessage(target, text, getProPresenterTimeoutMs());
+                    setStatus(serviceId, output, 'connected');
+                    break;
+                } catch (error) {
+                    if (output.closed) break;
+                    if (attempt >= getProPresenterRetries()) {
+                        console.warn(`⚠️  Unable to reach ProPresenter "${target.name}" at ${target.host}:${target.port} for ${serviceId}: ${error.message}`);
+                        setStatus(serviceId, output, 'failing', error);
+                        break;
+                    }
+                    setStatus(serviceId, output, 'retrying', error);
+                    // A newer line is sent in place of this one
+                    if (output.pending !== null) break;
+                    await wait(getRetryDelay(attempt));
+                    if (output.pending !== null) break;
+                }
+            }
+        }
+        output.sending = false;
+    }
+
+    // Take what a service's targets show off screen and stop sending to them
+    const close = (serviceId, outputs, clear) => {
+        for (const output of outputs.values()) {
+            output.closed = true;
+            if (clear && output.lines.length > 0 && output.target.enabled !== false) {
+                clearMessage(output.target, getProPresenterTimeoutMs()).catch(error => {
+                    console.warn(`⚠️  Unable to clear ProPresenter "${output.target.name}" for ${serviceId}: ${error.message}`);
+                });
+            }
+        }
+    }
+
+    return {
+        /**
+         * Show a final line on the targets following its language
+         * @param {string} serviceId
+         * @param {string} language - TRANSCRIPT or a translation language
+         * @param {Object} line - { seq, text }
+         */
+        push: async (serviceId, language, { text }) => {
+            if (!text) return;
+            for (const output of (await getOutputs(serviceId)).values()) {
+                const { target } = output;
+                if (target.enabled === false || target.language !== language || output.closed) continue;
+                output.lines = [...output.lines, text].slice(-(target.lines || 1));
+                output.pending = output.lines.join('\n');
+                if (!output.sending) drain(serviceId, output);
+            }
+        },
+
+        /**
+         * Translation languages the service's targets need, whether or not
+         * any participant has chosen them
+         * @param {string} serviceId
+         * @returns {string[]}
+         */
+        getLanguages: async (serviceId) => {
+            const languages = Array.from((await getOutputs(serviceId)).values())
+                .filter(({ target }) => target.enabled !== false && target.language !== TRANSCRIPT)
+                .map(({ target }) => target.language);
+            return [...new Set(languages)];
+        },
+
+        /**
+         * The service's targets and how each is doing: unknown (nothing sent
+         * yet), connected, retrying, failing or disabled
+         * @param {string} serviceId
+         * @returns {Object[]} { id, name, host, port, message_name, language, enabled, status, lastError, lastAttemptAt, lastSuccessAt }
+         */
+        getHealth,
+
+        /**
+         * Load a service's targets again after they have been edited.
+         * Targets that are still there keep their lines and status.
+         * @param {string} serviceId
+         * @returns {Object[]} The service's health, as getHealth
+         */
+        reload: async (serviceId) => {
+            const previous = services.has(serviceId) ? await services.get(serviceId) : new Map();
+            services.delete(serviceId);
+            const outputs = await getOutputs(serviceId);
+            for (const [id, old] of previous) {
+                const output = outputs.get(id);
+                const moved = !output || ['host', 'port', 'message_name', 'language', 'enabled']
+                    .some(field => output.target[field] !== old.target[field]);
+                // The message is cleared where it was left unless the target still shows it
+                close(serviceId, new Map([[id, old]]), moved);
+                if (!output) continue;
+                const { lines, status, lastError, lastAttemptAt, lastSuccessAt } = old;
+                Object.assign(output, moved ? {} : { lines }, { status, lastError, lastAttemptAt, lastSuccessAt });
+            }
+            const health = await getHealth(serviceId);
+            onHealth(serviceId, health);
+            return health;
+        },
+
+        // Stop sending a service's captions and clear them from its targets
+        closeService: async (serviceId) => {
+            const outputs = services.get(serviceId);
+            if (!outputs) return;
+            services.delete(serviceId);
+            close(serviceId, await outputs, true);
+        },
+
+        closeAll: async () => {
+            const all = Array.from(services);
+            services.clear();
+            for (const [serviceId, outputs] of all) close(serviceId, await outputs, false);
+        }
+    };
+}
@@ -0,0 +1,61 @@
+// The parts of the ProPresenter 7 network API used to show captions.  A
+// message is set up in ProPresenter with a text token called "Message";
+// triggering it with new text puts the text on screen, clearing it takes
+// it off again.
+
+import { isIP } from 'net';
+import { resolvePresentationHost } from './hosts.js';
+
+// The host is checked on every request, not only when the target is saved,
+// in case its name now resolves to somewhere it may not go.  Redirects
+// aren't followed, as they could lead anywhere; they fail like errors.
+const request = async ({ host, port }, path, { method = 'GET', body, timeoutMs }) => {
+    const address = await resolvePresentationHost(host);
+    const response = await fetch(`http://${isIP(address) === 6 ? `[${address}]` : address}:${port}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+        redirect: 'manual'
+    });
+    if (!response.ok) {
+        throw new Error(`ProPresenter answered ${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+const messagePath = (messageName, action) => `/v1/message/${encodeURIComponent(messageName)}/${action}`;
+
+/**
+ * Show text in a ProPresenter message
+ * @param {Object} target - { host, port, message_name }
+ * @param {string} text - Replaces the message's "Message" token
+ * @param {number} timeoutMs
+ */
+export const triggerMessage = async (target, text, timeoutMs) => {
+    await request(target, messagePath(target.message_name, 'trigger'), {
+        method: 'POST',
+        body: [{ name: 'Message', text: { text } }],
+        timeoutMs
+    });
+}
+
+/**
+ * Take a ProPresenter message off screen
+ * @param {Object} target - { host, port, message_name }
+ * @param {number} timeoutMs
+ */
+export const clearMessage = async (target, timeoutMs) => {
+    await request(target, messagePath(target.message_name, 'clear'), { timeoutMs });
+}
+
+/**
+ * Check ProPresenter is there
+ * @param {Object} target - { host, port }
+ * @param {number} timeoutMs
+ * @returns {Object} What ProPresenter says about itself, e.g. { name, host_description }
+ */
+export const getVersion = async (target, timeoutMs) => {
+    const response = await request(target, '/version', { timeoutMs });
+    return response.json().catch(() => ({}));
+}
@@ -0,0 +1,122 @@
+import {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION
+} from './schemas.js';
+import { validatePayload } from './validate.js';
+
+export {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    TRANSCRIPT_ROOM,
+    HEARTBEAT_ROOM,
+    isLanguageRoom,
+    isLanguageCode,
+    getAudioRoom,
+    controlEvents,
+    participantEvents,
+    nativeMessages,
+    NATIVE_PROTOCOL_VERSION,
+    serverEvents
+} from './schemas.js';
+
+/**
+ * Error a handler throws to reject an event with a specific code
+ * @param {string} code - Machine readable, e.g. "not_published"
+ * @param {string} message - For people
+ */
+export const createProtocolError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Pick the protocol version to speak with a client.  Clients that don't ask
+ * get version 1; clients asking for a newer version than this server knows
+ * get the newest one it does.
+ * @param {*} requested - From the handshake, e.g. io('/participant', { auth: { protocol: 2 } })
+ * @returns {number|null} Version, or null if the client needs one this server no longer speaks
+ */
+export const negotiateProtocolVersion = (requested) => {
+    if (requested === undefined || requested === null || requested === '') return MIN_PROTOCOL_VERSION;
+    const version = Number(requested);
+    if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION) return null;
+    return Math.min(version, PROTOCOL_VERSION);
+}
+
+// Events that exist in a protocol version
+const eventsForVersion = (events, version) => Object.entries(events)
+    .filter(([, schema]) => schema.since <= version && (schema.until === undefined || version <= schema.until));
+
+/**
+ * Route a namespace's events through their schemas to handlers.  The
+ * protocol version is agreed when a client connects.  Every connection gets
+ * its own set of handlers from createHandlers(socket), so handlers can keep
+ * per-connection state in closures.
+ *
+ * Handlers get the validated payload and may return an object, which is
+ * sent in the acknowledgement as { ok: true, ...result }.  Invalid payloads
+ * and failed handlers are acknowledged with { ok: false, error: { code, message } }.
+ * @param {Object} namespace - Socket.IO namespace
+ * @param {Object} events - Event schemas, e.g. controlEvents
+ * @param {Function} createHandlers - (socket) => { [event]: (data) => result, disconnect }
+ */
+export const registerProtocolHandlers = (namespace, events, createHandlers) => {
+    namespace.use((socket, next) => {
+        const requested = socket.handshake.auth?.protocol ?? socket.handshake.query?.protocol;
+        const version = negotiateProtocolVersion(requested);
+        if (version === null) {
+            const error = new Error(`Unsupported protocol version ${requested}`);
+            error.data = { code: 'unsupported_version', min: MIN_PROTOCOL_VERSION, latest: PROTOCOL_VERSION };
+            return next(error);
+        }
+        socket.data.protocol = version;
+        next();
+    });
+
+    namespace.on('connection', (socket) => {
+        const version = socket.data.protocol;
+        const handlers = createHandlers(socket);
+        const available = new Map(eventsForVersion(events, version).filter(([event]) => handlers[event]));
+
+        for (const [event, schema] of available) {
+            socket.on(event, async (...args) => {
+                const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+                const reply = schema.noAck ? () => {} : (response) => ack?.(response);
+
+                // Version 1 clients may still use the shorthand payloads
+                const payload = version === 1 && schema.legacy ? schema.legacy(args[0]) : args[0];
+                const { data, error } = validatePayload(schema, payload);
+                if (error) {
+                    console.warn(`⚠️  Rejected ${event} from ${socket.id} on ${namespace.name}: ${error}`);
+                    return reply({ ok: false, error: { code: 'invalid_payload', message: error } });
+                }
+
+                try {
+                    const result = await handlers[event](data);
+                    reply({ ok: true, ...(result || {}) });
+                } catch (error) {
+                    console.error(`❌ Error handling ${event} from ${socket.id} on ${namespace.name}:`, error.message);
+                    reply({ ok: false, error: { code: error.code || 'failed', message: error.message } });
+                }
+            });
+        }
+
+        // Anything else is answered, if the client is waiting for an answer
+        socket.onAny((event, ...args) => {
+            if (available.has(event)) return;
+            const ack = args[args.length - 1];
+            if (typeof ack === 'function') {
+                ack({ ok: false, error: { code: 'unknown_event', message: `${event} is not an event of protocol version ${version}` } });
+            }
+        });
+
+        if (version >= 2) {
+            socket.emit('protocol', { version, latest: PROTOCOL_VERSION, events: Array.from(available.keys()) });
+        }
+
+        socket.on('disconnect', (reason) => {
+            try {
+                handlers.disconnect?.(reason);
+            } catch (error) {
+                console.error(`❌ Error cleaning up ${socket.id} on ${namespace.name}:`, error.message);
+            }
+        });
+    });
+}
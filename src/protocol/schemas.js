@@ -0,0 +1,158 @@
+// Events of the Socket.IO protocol spoken on the /control and /participant
+// namespaces.  Every event says which protocol version introduced it (and,
+// if it has been retired, the last version that has it).  Clients ask for a
+// version when they connect; see negotiateProtocolVersion in ./index.js.
+//
+// Version 1: the original events.  Payloads may also be given in their old
+//            shorthand forms (e.g. join("1234:es")), and the server confirms
+//            some events with events of its own (registered, transcriptSent).
+// Version 2: payloads must be objects matching the schema, confirmations
+//            come in acknowledgements only and register is gone.
+//
+// Every event except audioChunk can take an acknowledgement callback in
+// either version.
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Rooms are "<serviceId>:<language>", where language can also be
+// "transcript" (the untranslated text) or "heartbeat" (livestream status)
+export const TRANSCRIPT_ROOM = 'transcript';
+export const HEARTBEAT_ROOM = 'heartbeat';
+
+export const isLanguageRoom = (language) => language !== TRANSCRIPT_ROOM && language !== HEARTBEAT_ROOM;
+
+/**
+ * Check a language code, a BCP 47 style tag such as es, pt-BR or zh-Hant-TW.
+ * Everything that takes a language (rooms, overlays, exports, presentation
+ * targets, service settings) checks it with this.
+ * @param {*} language
+ * @returns {boolean}
+ */
+export const isLanguageCode = (language) =>
+    typeof language === 'string' && language.length <= 35 && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language);
+
+// A room's language: a language code, "transcript" or "heartbeat"
+const isRoomLanguage = (language) => !isLanguageRoom(language) || isLanguageCode(language);
+
+// Participants who join a language room with audio: true are also put in its
+// audio room, which is sent the spoken translation
+export const getAudioRoom = (serviceId, language) => `${serviceId}:${language}:audio`;
+
+// Field types, checked by validatePayload
+const serviceId = { type: 'string', required: true, pattern: /^[\w-]{1,64}$/ };
+const language = { type: 'string', required: true, check: isRoomLanguage };
+const transcript = { type: 'string', required: true, maxLength: 5000 };
+// Private services need a join link token or the service's PIN
+const joinToken = { type: 'string', maxLength: 512 };
+const pin = { type: 'string', pattern: /^\d{4,8}$/ };
+
+const asObject = (payload) => (payload && typeof payload === 'object' ? payload : {});
+
+// Rooms were given as "serviceId:language", a bare serviceId or { serviceId, language };
+// without a language it is the service's livestream status, as with register
+const legacyRoom = (payload) => {
+    if (typeof payload === 'string') {
+        const [serviceId, language] = payload.split(':');
+        return { serviceId, language: language || HEARTBEAT_ROOM };
+    }
+    const { serviceId, language, ...credentials } = asObject(payload);
+    return { ...credentials, serviceId, language: language || HEARTBEAT_ROOM };
+}
+
+// A bare serviceId or { serviceId }
+const legacyServiceId = (payload) => ({ serviceId: typeof payload === 'string' ? payload : asObject(payload).serviceId });
+
+/**
+ * Events sent by control panels.  fields describes the payload; legacy turns
+ * a version 1 payload into that shape first.
+ */
+export const controlEvents = {
+    monitor: { since: 1, fields: { serviceId }, legacy: legacyServiceId },
+    heartbeat: {
+        since: 1,
+        fields: { serviceCode: serviceId, status: { type: 'string', maxLength: 64 } }
+    },
+    transcriptReady: { since: 1, fields: { serviceCode: serviceId, transcript } },
+    transcriptInterim: { since: 1, fields: { serviceCode: serviceId, transcript } },
+    streamingStarted: { since: 1, fields: { serviceId } },
+    streamingStopped: { since: 1, fields: { serviceId } },
+    audioStart: {
+        since: 1,
+        fields: {
+            serviceId,
+            language,
+            // "linear16" for raw PCM, omitted for webm/ogg Opus
+            encoding: { type: 'string', maxLength: 32 },
+            sampleRate: { type: 'number', min: 8000, max: 48000 },
+            interim: { type: 'boolean' }
+        }
+    },
+    // Raw audio; sent very often, so never acknowledged
+    audioChunk: { since: 1, binary: true, noAck: true },
+    audioStop: { since: 1, fields: {}, optional: true }
+};
+
+/**
+ * Events sent by participants
+ */
+export const participantEvents = {
+    join: { since: 1, fields: { serviceId, language, token: joinToken, pin, audio: { type: 'boolean' } }, legacy: legacyRoom },
+    leave: { since: 1, fields: { serviceId, language }, legacy: legacyRoom },
+    // Older clients ask for livestream status with register(serviceId);
+    // newer ones join the "heartbeat" room
+    register: {
+        since: 1,
+        until: 1,
+        fields: { serviceId, language },
+        legacy: (payload) => ({ ...legacyServiceId(payload), language: HEARTBEAT_ROOM })
+    }
+};
+
+/**
+ * JSON messages participants send over the native WebSocket endpoint
+ * (ws://host/?serviceId=1234), the same protocol as /participant for
+ * clients without Socket.IO.  Each is { type, id?, ...fields }; the service
+ * is the one in the URL, and the token or pin in the URL is used when a
+ * subscribe doesn't carry its own.  subscribe and unsubscribe run the join
+ * and leave handlers, and are answered with
+ * { type: 'ack', id, ok: true, ... } or { type: 'ack', id, ok: false, error: { code, message } }.
+ */
+export const NATIVE_PROTOCOL_VERSION = 1;
+export const nativeMessages = {
+    subscribe: { event: 'join', fields: { language, token: joinToken, pin, audio: { type: 'boolean' } } },
+    unsubscribe: { event: 'leave', fields: { language } },
+    // Answered with { type: 'pong', id, timestamp } instead of an ack, for
+    // clients that can't see WebSocket ping frames
+    ping: { fields: {} }
+};
+
+/**
+ * Events the server sends, for reference.  Native WebSocket clients get the
+ * participant events as { type: event, language, ...payload }, language
+ * being the room (a language, "transcript" or "heartbeat") the event was
+ * sent to; an audio message is followed by a binary message with the MP3.
+ */
+export const serverEvents = {
+    control: {
+        protocol: { since: 2 },             // { version, latest, events }
+        registered: { since: 1, until: 1 }, // { serviceId }, the monitor acknowledgement in version 2
+        subscribers: { since: 1 },          // { languages: [{ name, subscribers }] }
+        transcriptSent: { since: 1, until: 1 }, // { success, serviceCode }, the transcriptReady acknowledgement in version 2
+        serverTranscript: { since: 1 },     // { seq, text, timestamp, final }
+        ingestStatus: { since: 1 },         // { serviceId, status, message }
+        translationError: { since: 1 },     // { serviceId, language, seqs, message, timestamp }
+        schedule: { since: 2 },             // { serviceId, phase: waiting|live|ended, startsAt, endsAt }
+        presentationStatus: { since: 2 }    // { serviceId, targets: [{ id, name, host, port, language, status, lastError, ... }] }
+    },
+    participant: {
+        protocol: { since: 2 },             // { version, latest, events }
+        transcript: { since: 1 },           // { seq, text, timestamp, final }
+        translation: { since: 1 },          // { seq, text, timestamp, final }
+        history: { since: 1 },              // { serviceId, language, lines }
+        translationError: { since: 1 },     // { serviceId, language, seqs, message, timestamp }
+        livestreaming: { since: 1 },        // no payload
+        serviceStartsIn: { since: 2 },      // { serviceId, startsAt, endsAt, waitingMessage, secondsLeft }
+        audio: { since: 2 },                // { serviceId, language, seq, audio (binary MP3), mimeType, durationMs }
+        newTranscript: { since: 1 }         // { transcript, seq, timestamp }, kept for older clients
+    }
+};
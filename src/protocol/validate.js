@@ -0,0 +1,48 @@
+const isBinary = (value) => Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+const checkField = (name, rule, value) => {
+    if (value === undefined || value === null) {
+        return rule.required ? `${name} is required` : null;
+    }
+    if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+        return `${name} must be a ${rule.type}`;
+    }
+    if (rule.type === 'string') {
+        if (rule.required && value.trim() === '') return `${name} is required`;
+        if (rule.maxLength && value.length > rule.maxLength) return `${name} must be at most ${rule.maxLength} characters`;
+        if (rule.pattern && !rule.pattern.test(value)) return `${name} is not valid`;
+        if (rule.check && !rule.check(value)) return `${name} is not valid`;
+        if (rule.enum && !rule.enum.includes(value)) return `${name} must be one of ${rule.enum.join(', ')}`;
+    }
+    if (rule.type === 'number') {
+        if (rule.min !== undefined && value < rule.min) return `${name} must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `${name} must be at most ${rule.max}`;
+    }
+    return null;
+}
+
+/**
+ * Check an event's payload against its schema
+ * @param {Object} schema - Event schema from ./schemas.js
+ * @param {*} payload - What the client sent
+ * @returns {Object} { data } with only the declared fields, or { error } describing the first problem
+ */
+export const validatePayload = (schema, payload) => {
+    if (schema.binary) {
+        return isBinary(payload) ? { data: payload } : { error: 'payload must be binary' };
+    }
+    if (payload === undefined && schema.optional) {
+        return { data: {} };
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: 'payload must be an object' };
+    }
+
+    const data = {};
+    for (const [name, rule] of Object.entries(schema.fields)) {
+        const error = checkField(name, rule, payload[name]);
+        if (error) return { error };
+        if (payload[name] !== undefined && payload[name] !== null) data[name] = payload[name];
+    }
+    return { data };
+}
@@ -0,0 +1,29 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// Signs join links for private services.  Every server must use the same
+// secret, or links made by one are refused by the others.
+export const getJoinLinkSecret = () => {
+    return process.env.JOIN_LINK_SECRET;
+}
+// How long a join link works for when the request doesn't say
+export const getJoinLinkTtlMinutes = () => {
+    return parseInt(process.env.JOIN_LINK_TTL_MINUTES || '180');
+}
+// Longest a join link may be made to work for (default one week)
+export const getJoinLinkMaxTtlMinutes = () => {
+    return parseInt(process.env.JOIN_LINK_MAX_TTL_MINUTES || '10080');
+}
+// Wrong PINs or links a client may send for a service before it is locked out
+export const getMaxAccessAttempts = () => {
+    return parseInt(process.env.MAX_ACCESS_ATTEMPTS || '5');
+}
+// First lockout; it doubles with every wrong attempt after that, up to an hour
+export const getAccessLockoutSeconds = () => {
+    return parseInt(process.env.ACCESS_LOCKOUT_SECONDS || '60');
+}
+// Behind a reverse proxy (e.g. Render), clients are told apart by the
+// address the proxy adds to X-Forwarded-For rather than the proxy's own
+export const isProxyTrusted = () => {
+    return process.env.TRUST_PROXY === 'true';
+}
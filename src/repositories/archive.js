@@ -0,0 +1,20 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// Final transcripts and translations are stored per service session unless
+// TRANSCRIPT_ARCHIVE is "false"
+export const isTranscriptArchiveEnabled = () => {
+    return process.env.TRANSCRIPT_ARCHIVE !== "false";
+}
+// Lines are written in batches at most this often
+export const getArchiveFlushInterval = () => {
+    return parseInt(process.env.TRANSCRIPT_ARCHIVE_FLUSH_MS || '5000');
+}
+// A session with no transcripts for this long is ended; the next transcript starts a new one
+export const getArchiveSessionIdleTimeout = () => {
+    return parseInt(process.env.TRANSCRIPT_ARCHIVE_IDLE_MINUTES || '30') * 60 * 1000;
+}
+// TrueType/OpenType font used for PDF exports; the built in Helvetica only covers Western European text
+export const getExportPdfFont = () => {
+    return process.env.EXPORT_PDF_FONT || null;
+}
@@ -6,4 +6,15 @@ export const getDeepgramApiKey = () => {
 }
 export const getDeepgramProjectId = () => {
     return process.env.DEEPGRAM_PROJECT;
-}
\ No newline at end of file
+}
+// Point the server-side Deepgram connection somewhere else, e.g. the fake
+// Deepgram server (http://localhost:8090) when testing without an account
+export const getDeepgramUrl = () => {
+    return process.env.DEEPGRAM_URL;
+}
+export const getDeepgramModel = () => {
+    return process.env.DEEPGRAM_MODEL || 'nova-2';
+}
+export const getFakeDeepgramPort = () => {
+    return parseInt(process.env.FAKE_DEEPGRAM_PORT || '8090');
+}
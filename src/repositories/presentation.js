@@ -0,0 +1,19 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// Attempts after the first before a line is given up on
+export const getProPresenterRetries = () => {
+    return parseInt(process.env.PROPRESENTER_RETRIES || '3');
+}
+// Longest a ProPresenter request may take before it counts as failed
+export const getProPresenterTimeoutMs = () => {
+    return parseInt(process.env.PROPRESENTER_TIMEOUT_MS || '3000');
+}
+// Private, loopback or link-local hosts targets may use anyway, comma separated:
+// names, addresses or networks, e.g. "192.168.1.0/24,propresenter.local"
+export const getProPresenterAllowedHosts = () => {
+    return (process.env.PROPRESENTER_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+}
+export const getFakeProPresenterPort = () => {
+    return parseInt(process.env.FAKE_PROPRESENTER_PORT || '1025');
+}
@@ -0,0 +1,13 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// How often the service schedules are reloaded.  Edits made through the API
+// take effect straight away; this picks up changes made elsewhere and lets
+// another server take over the schedules within three refreshes.
+export const getScheduleRefreshMs = () => {
+    return parseInt(process.env.SCHEDULE_REFRESH_MS || '60000');
+}
+// How often participants waiting for a scheduled service are sent the countdown
+export const getScheduleCountdownMs = () => {
+    return parseInt(process.env.SCHEDULE_COUNTDOWN_MS || '60000');
+}
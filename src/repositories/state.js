@@ -0,0 +1,24 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// Where live state (subscribers, active services, translator ownership) is
+// kept: "memory" for a single server, "redis" to run several behind a load balancer
+export const getStateStoreType = () => {
+    return process.env.STATE_STORE || 'memory';
+}
+export const getRedisUrl = () => {
+    return process.env.REDIS_URL || 'redis://localhost:6379';
+}
+// Prepended to every Redis key, so deployments can share one Redis
+export const getRedisKeyPrefix = () => {
+    return process.env.REDIS_KEY_PREFIX || 'openword:';
+}
+// A server that stops renewing its claim on a service for this long is
+// replaced as that service's translator
+export const getTranslatorLeaseTime = () => {
+    return parseInt(process.env.TRANSLATOR_LEASE_MS || '15000');
+}
+// How long to wait for the translating server to answer another server
+export const getTranslatorRequestTimeout = () => {
+    return parseInt(process.env.TRANSLATOR_REQUEST_TIMEOUT_MS || '5000');
+}
@@ -0,0 +1,19 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// Speech-to-text engine used when an organisation hasn't chosen one
+export const getDefaultSttEngine = () => {
+    return process.env.STT_ENGINE || "deepgram";
+}
+// Command for the local engine.  It reads 16kHz mono 16-bit PCM on stdin and
+// writes one result per line on stdout
+export const getLocalSttCommand = () => {
+    return process.env.STT_LOCAL_COMMAND;
+}
+export const getLocalSttSampleRate = () => {
+    return parseInt(process.env.STT_LOCAL_SAMPLE_RATE || '16000');
+}
+// Used to decode webm/Opus from the browser for the local engine
+export const getFfmpegPath = () => {
+    return process.env.FFMPEG_PATH || "ffmpeg";
+}
@@ -0,0 +1,70 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Get the translation provider used when an organisation hasn't chosen one.
+ * Falls back to the legacy USE_GOOGLE_TRANSLATE_SUBSCRIPTION flag.
+ */
+export const getDefaultTranslationProvider = () => {
+    if (process.env.TRANSLATION_PROVIDER) {
+        return process.env.TRANSLATION_PROVIDER;
+    }
+    return process.env.USE_GOOGLE_TRANSLATE_SUBSCRIPTION === "true" ? "google-cloud" : "google-free";
+}
+export const getDeeplApiKey = () => {
+    return process.env.DEEPL_API_KEY;
+}
+export const getLibreTranslateUrl = () => {
+    return process.env.LIBRETRANSLATE_URL || "http://localhost:5000";
+}
+export const getLibreTranslateApiKey = () => {
+    return process.env.LIBRETRANSLATE_API_KEY;
+}
+// Transcripts arriving within this window are translated together
+export const getTranslationBatchWindow = () => {
+    return parseInt(process.env.TRANSLATION_BATCH_WINDOW_MS || '250');
+}
+// Flush a batch early once it holds this many transcripts
+export const getTranslationBatchMaxSize = () => {
+    return parseInt(process.env.TRANSLATION_BATCH_MAX_SIZE || '10');
+}
+// Number of translations kept in the in-memory LRU cache (0 disables it)
+export const getTranslationCacheSize = () => {
+    return parseInt(process.env.TRANSLATION_CACHE_SIZE || '5000');
+}
+// Also keep cached translations in the translation_cache table
+export const isTranslationCachePersistent = () => {
+    return process.env.TRANSLATION_CACHE_PERSIST === "true";
+}
+// How long a translation waits for an earlier, slower one before it is sent anyway
+export const getTranslationReorderTimeout = () => {
+    return parseInt(process.env.TRANSLATION_REORDER_TIMEOUT_MS || '3000');
+}
+// Provider tried when an organisation's own providers keep failing
+export const getFallbackTranslationProvider = () => {
+    return process.env.TRANSLATION_FALLBACK_PROVIDER;
+}
+// Extra attempts per provider before falling back, with exponential backoff
+export const getTranslationRetries = () => {
+    return parseInt(process.env.TRANSLATION_RETRIES || '2');
+}
+export const getTranslationRetryDelay = () => {
+    return parseInt(process.env.TRANSLATION_RETRY_DELAY_MS || '250');
+}
+// Consecutive failures before a provider is skipped for a language, and for how long
+export const getTranslationCircuitThreshold = () => {
+    return parseInt(process.env.TRANSLATION_CIRCUIT_THRESHOLD || '3');
+}
+export const getTranslationCircuitResetTime = () => {
+    return parseInt(process.env.TRANSLATION_CIRCUIT_RESET_MS || '30000');
+}
+// Minimum time between interim (partial) translations per service.  0 turns
+// interim translation off, since every partial line is billed.
+export const getInterimTranslationInterval = () => {
+    return parseInt(process.env.INTERIM_TRANSLATION_INTERVAL_MS || '0');
+}
+// Final lines kept per service and replayed to participants who join part
+// way through (0 turns the history off)
+export const getTranscriptHistorySize = () => {
+    return parseInt(process.env.TRANSCRIPT_HISTORY_SIZE || '20');
+}
@@ -0,0 +1,21 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// Text-to-speech engine for translations, none (speech is off) when not set
+export const getTtsEngineName = () => {
+    return process.env.TTS_ENGINE || null;
+}
+// Command for the local engine.  It reads the text on stdin and writes WAV
+// (or MP3) on stdout, e.g. espeak-ng or piper
+export const getLocalTtsCommand = () => {
+    return process.env.TTS_LOCAL_COMMAND;
+}
+// Longest a line may take to synthesise before it is skipped
+export const getTtsTimeoutMs = () => {
+    return parseInt(process.env.TTS_TIMEOUT_MS || '15000');
+}
+// Lines waiting per language before the oldest are dropped, so speech that
+// falls behind catches up rather than lagging further and further
+export const getTtsMaxQueue = () => {
+    return parseInt(process.env.TTS_MAX_QUEUE || '5');
+}
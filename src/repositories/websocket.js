@@ -0,0 +1,8 @@
+import * as dotenv from 'dotenv';
+dotenv.config();
+
+// How often native WebSocket clients are pinged.  Clients that haven't
+// answered by the next ping are dropped.
+export const getWebSocketHeartbeatMs = () => {
+    return parseInt(process.env.WS_HEARTBEAT_MS || '30000');
+}
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { overlayController } from "../controllers/overlay.js";
+
+const router = Router()
+
+// Caption overlay for OBS browser sources and livestream encoders, e.g.
+// /overlay/1234/es?lines=2&size=48&position=bottom.  Styling options are in
+// OVERLAY_DEFAULTS (src/services/overlay.js); private services need ?token=
+// or ?pin= as on /participant.
+router.get('/:serviceId/:language', overlayController);
+
+export default router;
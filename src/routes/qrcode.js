@@ -1,8 +1,16 @@
 import { Router } from "express";
 import { qrCodeController } from "../controllers/qrcode.js";
+import { authenticateUser, authorizeService } from "../../middleware/auth.js";
 
 const router = Router()
 
-router.post('/generate', qrCodeController);
+// Signed join links let people into private services, so only the
+// service's owner may ask for one
+const authorizeSignedLinks = (req, res, next) => {
+    if (!req.body?.signed) return next();
+    authenticateUser(req, res, () => authorizeService(req, res, next));
+}
+
+router.post('/generate', authorizeSignedLinks, qrCodeController);
 
 export default router;
\ No newline at end of file
@@ -6,7 +6,8 @@ const router = Router()
 
 // API Calls for getting information about the subscribers
 
-// Get all the subscribers in a specific room (Room = serviceId:lang)
+// Get all the subscribers in a specific room (Room = serviceId:lang).  Language
+// rooms give the count shown on the control panel.
 // Example JSON:
 // {
 //   "clients": 2
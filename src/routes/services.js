@@ -0,0 +1,266 @@
+/**
+ * Services Management Routes
+ *
+ * An organisation can run several services at once (e.g. the main hall and
+ * the youth hall), each with its own name and languages.  Mounted at
+ * /api/services; the older /api/service/:serviceId routes (start, stop,
+ * access, sessions) carry on working alongside these.
+ *
+ * PROTECTED - Every route requires authentication, and those with a
+ * :serviceId ownership of that service
+ */
+
+import { Router } from 'express';
+import { authenticateUser, authorizeService } from '../../middleware/auth.js';
+import { getOrganisationByUserId } from '../../db/organisations.js';
+import {
+    getServiceByServiceId,
+    getServicesByUser,
+    createService,
+    updateService,
+    deleteService,
+    getServiceStats
+} from '../../db/services.js';
+import { getActiveService, getConnectionCount, isServiceLive } from '../state/index.js';
+import { describeServiceAccess, invalidateServiceAccess } from '../services/access.js';
+import { isLanguageCode } from '../protocol/index.js';
+
+const router = Router();
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Check the fields of a service that may be set through the API
+ * @param {Object} body - Request body
+ * @returns {Object} { fields } to save, or { error }
+ */
+const parseServiceFields = (body = {}) => {
+    const fields = {};
+    const { name, host_language, translation_languages } = body;
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be between 1 and ${MAX_NAME_LENGTH} characters` };
+        }
+        fields.name = name.trim();
+    }
+
+    // null goes back to the organisation's languages
+    if (host_language !== undefined) {
+        if (host_language !== null && !isLanguageCode(host_language)) {
+            return { error: 'host_language must be a language code such as en-GB' };
+        }
+        fields.host_language = host_language;
+    }
+    if (translation_languages !== undefined) {
+        if (translation_languages !== null && (!Array.isArray(translation_languages) ||
+            !translation_languages.every(isLanguageCode))) {
+            return { error: 'translation_languages must be a list of language codes' };
+        }
+        fields.translation_languages = translation_languages && [...new Set(translation_languages)];
+    }
+    return { fields };
+}
+
+// Owners see whether a service is running, and never its PIN hash
+const withLiveStatus = async (service) => ({
+    ...describeServiceAccess(service),
+    isLive: await isServiceLive(service.service_id)
+});
+
+/**
+ * List the user's services
+ */
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const services = await getServicesByUser(req.userId);
+
+        res.json({
+            success: true,
+            data: await Promise.all(services.map(withLiveStatus))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching services:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Create a service for the user's organisation
+ * Body: { name, host_language?, translation_languages? }
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const { fields, error } = parseServiceFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (!fields.name) {
+            return res.status(400).json({ success: false, error: 'name is required' });
+        }
+
+        const organisation = await getOrganisationByUserId(req.userId);
+        if (!organisation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organisation profile not found'
+            });
+        }
+
+        const service = await createService(organisation.id, fields);
+        console.log(`➕ User ${req.userEmail} created service ${service.service_id} (${service.name})`);
+
+        res.status(201).json({
+            success: true,
+            data: await withLiveStatus(service),
+            message: 'Service created successfully'
+        });
+    } catch (error) {
+        console.error('❌ Error creating service:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Get a service, with what it is doing right now
+ */
+router.get('/:serviceId', authenticateUser, authorizeService, async (req, res) => {
+    try {
+        const { serviceId } = req.params;
+        const service = await getServiceByServiceId(serviceId);
+
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                error: 'Service not found'
+            });
+        }
+
+        const activeStatus = await getActiveService(serviceId);
+        res.json({
+            success: true,
+            data: {
+                ...(await withLiveStatus(service)),
+                isActive: !!activeStatus,
+                activeLanguages: activeStatus?.languages || [],
+                connectionCount: await getConnectionCount(serviceId)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching service:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Rename a service or change its languages
+ * Body: { name?, host_language?, translation_languages? }
+ */
+router.put('/:serviceId', authenticateUser, authorizeService, async (req, res) => {
+    try {
+        const { serviceId } = req.params;
+        const { fields, error } = parseServiceFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing to update, send name, host_language and/or translation_languages'
+            });
+        }
+
+        const service = await updateService(serviceId, fields);
+        res.json({
+            success: true,
+            data: await withLiveStatus(service),
+            message: 'Service updated successfully'
+        });
+    } catch (error) {
+        console.error('❌ Error updating service:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Delete a service, and with it its archived transcripts
+ * Running services and the organisation's default service can't be deleted
+ */
+router.delete('/:serviceId', authenticateUser, authorizeService, async (req, res) => {
+    try {
+        const { serviceId } = req.params;
+
+        if (await isServiceLive(serviceId) || await getActiveService(serviceId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Service is running',
+                message: 'Stop the service before deleting it.'
+            });
+        }
+
+        const organisation = await getOrganisationByUserId(req.userId);
+        if (organisation?.default_service_id === serviceId) {
+            return res.status(409).json({
+                success: false,
+                error: 'Default service',
+                message: 'This is the organisation\'s default service and can\'t be deleted.'
+            });
+        }
+
+        await deleteService(serviceId);
+        invalidateServiceAccess(serviceId);
+        console.log(`🗑️  User ${req.userEmail} deleted service ${serviceId}`);
+
+        res.json({
+            success: true,
+            message: 'Service deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting service:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Status and recent sessions of a service
+ */
+router.get('/:serviceId/stats', authenticateUser, authorizeService, async (req, res) => {
+    try {
+        const stats = await getServiceStats(req.params.serviceId);
+
+        if (!stats) {
+            return res.status(404).json({
+                success: false,
+                error: 'Service not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        console.error('❌ Error fetching service stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+import { getNextOccurrence } from './time.js';
+
+export { isValidTimeZone, parseTime, getNextOccurrence } from './time.js';
+export { createServiceTimers, serviceTimers } from './timers.js';
+
+/**
+ * What participants waiting for a service are sent in serviceStartsIn
+ * @param {Object} notice - { serviceId, startsAt, endsAt, waitingMessage }
+ * @returns {Object} The notice with secondsLeft until the start (0 once started)
+ */
+export const describeNotice = (notice, now = Date.now()) => ({
+    ...notice,
+    secondsLeft: Math.max(0, Math.round((new Date(notice.startsAt).getTime() - now) / 1000))
+});
+
+// Group the enabled slots of every organisation by the service they run
+const groupSlotsByService = (slots) => {
+    const services = new Map();
+    for (const slot of slots) {
+        const serviceId = slot.services?.service_id;
+        if (!serviceId) continue;
+        if (!services.has(serviceId)) {
+            services.set(serviceId, {
+                slots: [],
+                timeZone: slot.organisations?.timezone || 'UTC',
+                waitingMessage: slot.organisations?.waiting_message || null,
+                languages: slot.services?.active_languages || []
+            });
+        }
+        services.get(serviceId).slots.push(slot);
+    }
+    return services;
+}
+
+/**
+ * Start and stop services from their weekly schedules.  Each service with
+ * slots follows its current or next run: waiting (participants are told when
+ * it starts, with a countdown), live (started), then stopped at the hard end.
+ * Only the server holding the scheduler claim does this; the others take
+ * over when it goes.
+ * @param {Object} deps
+ * @param {Function} deps.loadSlots - () => enabled slots of every organisation
+ * @param {Function} deps.claim - (ttlMs) => true if this server runs the schedules
+ * @param {Function} deps.release - Give up the claim
+ * @param {Function} deps.isRunSkipped - (serviceId, startsAt) => true if the run was stopped by hand
+ * @param {Function} deps.enterWaiting - (serviceId, notice) the waiting window has begun
+ * @param {Function} deps.countdown - (serviceId, notice) every countdownMs while waiting
+ * @param {Function} deps.startService - (serviceId, notice) the run has started
+ * @param {Function} deps.endService - (serviceId, notice) the run has reached its hard end
+ * @param {Function} deps.clearRun - (serviceId) the run was removed, or stopped by hand and is over
+ * @param {Object} deps.timers - From createServiceTimers
+ * @param {number} deps.refreshMs - How often slots are reloaded and the claim renewed
+ * @param {number} deps.countdownMs - How often waiting participants are sent the countdown
+ * @returns {Object} { start, stop, refresh, stopRun }
+ */
+export const createScheduler = ({
+    loadSlots,
+    claim,
+    release,
+    isRunSkipped,
+    enterWaiting,
+    countdown,
+    startService,
+    endService,
+    clearRun,
+    timers,
+    refreshMs,
+    countdownMs
+}) => {
+    // serviceId -> { key, run, source, notice, phase, skipped }
+    const plans = new Map();
+    let refreshTimer = null;
+    let leading = false;
+
+    const cancelTimers = (serviceId) => {
+        timers.clear(serviceId, 'schedule');
+        timers.clear(serviceId, 'countdown');
+    }
+
+    // Move a service's plan on to wherever the clock says it should be,
+    // and set a timer for its next change
+    const step = async (serviceId) => {
+        const plan = plans.get(serviceId);
+        if (!plan) return;
+        const { run, notice } = plan;
+        const now = Date.now();
+
+        if (!plan.skipped && now >= run.waitingFrom.getTime() && await isRunSkipped(serviceId, notice.startsAt)) {
+            console.log(`⏭️  Scheduled run of ${serviceId} at ${notice.startsAt} was stopped by hand`);
+            plan.skipped = true;
+            timers.clear(serviceId, 'countdown');
+        }
+
+        if (now >= run.endsAt.getTime()) {
+            cancelTimers(serviceId);
+            plans.delete(serviceId);
+            if (plan.phase === 'live' && !plan.skipped) {
+                console.log(`⏹️  Scheduled run of ${serviceId} has reached its end`);
+                await endService(serviceId, notice);
+            } else {
+                await clearRun(serviceId);
+            }
+            await planService(serviceId, plan.source);
+            return;
+        }
+
+        if (plan.skipped) {
+            timers.set(serviceId, 'schedule', run.endsAt.getTime() - now, () => step(serviceId));
+            return;
+        }
+
+        if (now >= run.startsAt.getTime()) {
+            if (plan.phase !== 'live') {
+                timers.clear(serviceId, 'countdown');
+                plan.phase = 'live';
+                console.log(`▶️  Starting scheduled run of ${serviceId} (until ${notice.endsAt})`);
+                await startService(serviceId, notice);
+            }
+            timers.set(serviceId, 'schedule', run.endsAt.getTime() - now, () => step(serviceId));
+        } else if (now >= run.waitingFrom.getTime()) {
+            if (plan.phase !== 'waiting') {
+                plan.phase = 'waiting';
+                console.log(`⏳ Service ${serviceId} starts at ${notice.startsAt}, participants are waiting`);
+                await enterWaiting(serviceId, notice);
+                timers.set(serviceId, 'countdown', countdownMs, () => countdown(serviceId, notice), true);
+            }
+            timers.set(serviceId, 'schedule', run.startsAt.getTime() - now, () => step(serviceId));
+        } else {
+            timers.set(serviceId, 'schedule', run.waitingFrom.getTime() - now, () => step(serviceId));
+        }
+    }
+
+    // Follow the current or next run of a service's slots
+    const planService = async (serviceId, source) => {
+        const run = getNextOccurrence(source.slots, source.timeZone, new Date());
+        const key = run ? `${run.waitingFrom.toISOString()}/${run.startsAt.toISOString()}/${run.endsAt.toISOString()}` : null;
+        const previous = plans.get(serviceId);
+
+        if (previous && previous.key === key) {
+            previous.source = source;
+            await step(serviceId);
+            return;
+        }
+
+        // The run being followed has been moved or removed.  A live service
+        // carries on if the new run is under way too (e.g. its end was moved).
+        if (previous) {
+            cancelTimers(serviceId);
+            plans.delete(serviceId);
+            const stillUnderWay = run && run.startsAt.getTime() <= Date.now();
+            if (previous.phase === 'live' && !previous.skipped && !stillUnderWay) {
+                await endService(serviceId, previous.notice);
+            } else {
+                await clearRun(serviceId);
+            }
+        }
+        if (!run) return;
+
+        const notice = {
+            serviceId,
+            startsAt: run.startsAt.toISOString(),
+            endsAt: run.endsAt.toISOString(),
+            waitingMessage: source.waitingMessage
+        };
+        plans.set(serviceId, { key, run, source, notice, phase: null, skipped: false });
+        await step(serviceId);
+    }
+
+    // Stop following every service, leaving running services as they are
+    const dropPlans = () => {
+        for (const serviceId of plans.keys()) cancelTimers(serviceId);
+        plans.clear();
+    }
+
+    const refresh = async () => {
+        const wasLeading = leading;
+        leading = await claim(refreshMs * 3).catch(() => false);
+        if (!leading) {
+            if (wasLeading) console.log('🗓️  Another server now runs the service schedules');
+            dropPlans();
+            return;
+        }
+        if (!wasLeading) console.log('🗓️  This server runs the service schedules');
+
+        const services = groupSlotsByService(await loadSlots());
+        for (const [serviceId, plan] of Array.from(plans)) {
+            if (!services.has(serviceId)) {
+                await planService(serviceId, { ...plan.source, slots: [] });
+            }
+        }
+        for (const [serviceId, source] of services) {
+            await planService(serviceId, source);
+        }
+    }
+
+    const safeRefresh = () => refresh().catch(error => {
+        console.error('❌ Error refreshing the service schedules:', error.message);
+    });
+
+    return {
+        start: () => {
+            if (refreshTimer) return;
+            refreshTimer = setInterval(safeRefresh, refreshMs);
+            refreshTimer.unref();
+            return safeRefresh();
+        },
+
+        stop: async () => {
+            clearInterval(refreshTimer);
+            refreshTimer = null;
+            dropPlans();
+            if (leading) {
+                leading = false;
+                await release().catch(() => {});
+            }
+        },
+
+        // Reload the slots now, e.g. after they have been edited
+        refresh: safeRefresh,
+
+        /**
+         * A run has been stopped by hand (see skipScheduledRun), so its
+         * timers are cancelled now.  Other servers' schedulers find out
+         * when they next refresh.
+         * @param {string} serviceId
+         * @param {string} startsAt - Start of the run
+         */
+        stopRun: (serviceId, startsAt) => {
+            const plan = plans.get(serviceId);
+            if (!plan || plan.skipped || plan.notice.startsAt !== startsAt) return;
+            plan.skipped = true;
+            cancelTimers(serviceId);
+            timers.set(serviceId, 'schedule', plan.run.endsAt.getTime() - Date.now(), () => step(serviceId));
+        }
+    };
+}
@@ -0,0 +1,122 @@
+// Weekly slots are written in an organisation's time zone ("Sunday 10:30,
+// Europe/London"), so turning them into instants has to follow that zone's
+// daylight saving changes.  Intl does the zone lookups.
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * @param {string} timeZone - e.g. "Europe/London"
+ * @returns {boolean} True if Intl knows the zone
+ */
+export const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall clock in a zone at an instant, as numbers
+const getWallClock = (timeZone, date) => Object.fromEntries(getFormatter(timeZone).formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+
+// How far a zone is ahead of UTC at an instant, in ms
+const getZoneOffset = (timeZone, date) => {
+    const { year, month, day, hour, minute, second } = getWallClock(timeZone, date);
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallAsUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * The instant a wall clock in a zone shows a date and time.  Days past the
+ * end of the month roll over, as with Date.UTC.  Times skipped by a clock
+ * change come out an hour later.
+ * @param {string} timeZone
+ * @param {number} year
+ * @param {number} month - 0 to 11
+ * @param {number} day
+ * @param {number} hours
+ * @param {number} minutes
+ * @returns {Date}
+ */
+export const zonedTimeToDate = (timeZone, year, month, day, hours, minutes) => {
+    const wall = Date.UTC(year, month, day, hours, minutes);
+    const guess = wall - getZoneOffset(timeZone, new Date(wall));
+    return new Date(wall - getZoneOffset(timeZone, new Date(guess)));
+}
+
+/**
+ * @param {string} time - "HH:MM" or "HH:MM:SS"
+ * @returns {Object|null} { hours, minutes }, null if it isn't a time
+ */
+export const parseTime = (time) => {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/.exec(String(time));
+    return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+/**
+ * The run of a weekly slot that is under way at an instant, or else the next one
+ * @param {Object} slot - { weekday, start_time, end_time, waiting_minutes }
+ * @param {string} timeZone - Zone the slot is written in
+ * @param {Date} now
+ * @returns {Object|null} { waitingFrom, startsAt, endsAt } as Dates, null if the slot is invalid
+ */
+export const getSlotOccurrence = (slot, timeZone, now) => {
+    const start = parseTime(slot.start_time);
+    const end = parseTime(slot.end_time);
+    if (!start || !end) return null;
+    // An end at or before the start is on the next day
+    const endDayOffset = (end.hours * 60 + end.minutes) <= (start.hours * 60 + start.minutes) ? 1 : 0;
+    const waitingMs = (slot.waiting_minutes || 0) * 60 * 1000;
+
+    const today = getWallClock(timeZone, now);
+    // Yesterday's run may still be going (e.g. 23:00 to 01:00)
+    for (let offset = -1; offset <= 7; offset++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (day.getUTCDay() !== Number(slot.weekday)) continue;
+
+        const [year, month, date] = [day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()];
+        const startsAt = zonedTimeToDate(timeZone, year, month, date, start.hours, start.minutes);
+        const endsAt = zonedTimeToDate(timeZone, year, month, date + endDayOffset, end.hours, end.minutes);
+        if (endsAt > now) {
+            return { waitingFrom: new Date(startsAt.getTime() - waitingMs), startsAt, endsAt };
+        }
+    }
+    return null;
+}
+
+/**
+ * The earliest run of any of a service's slots that hasn't ended
+ * @param {Array} slots
+ * @param {string} timeZone
+ * @param {Date} now
+ * @returns {Object|null} { waitingFrom, startsAt, endsAt, slotId }
+ */
+export const getNextOccurrence = (slots, timeZone, now) => {
+    let next = null;
+    for (const slot of slots) {
+        const occurrence = getSlotOccurrence(slot, timeZone, now);
+        if (occurrence && (!next || occurrence.startsAt < next.startsAt)) {
+            next = { ...occurrence, slotId: slot.id };
+        }
+    }
+    return next;
+}
+
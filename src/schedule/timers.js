@@ -0,0 +1,54 @@
+/**
+ * Named timers per service, so everything pending for a service can be
+ * found and cancelled, e.g. when it is stopped by hand
+ * @returns {Object} { set, clear, clearAll, has }
+ */
+export const createServiceTimers = () => {
+    const timers = new Map(); // serviceId -> Map(name -> { handle, repeat })
+
+    const clear = (serviceId, name) => {
+        const named = timers.get(serviceId);
+        if (!named) return;
+        for (const [timerName, { handle, repeat }] of named) {
+            if (name !== undefined && timerName !== name) continue;
+            (repeat ? clearInterval : clearTimeout)(handle);
+            named.delete(timerName);
+        }
+        if (named.size === 0) timers.delete(serviceId);
+    }
+
+    return {
+        /**
+         * Start a timer, replacing the service's timer of the same name
+         * @param {string} serviceId
+         * @param {string} name - e.g. "autoStop"
+         * @param {number} delay - ms
+         * @param {Function} callback
+         * @param {boolean} [repeat] - Run every delay ms until cleared
+         */
+        set: (serviceId, name, delay, callback, repeat = false) => {
+            clear(serviceId, name);
+            const run = () => {
+                if (!repeat) clear(serviceId, name);
+                Promise.resolve().then(callback).catch(error => {
+                    console.error(`❌ Error in ${name} timer for service ${serviceId}:`, error.message);
+                });
+            };
+            const handle = repeat ? setInterval(run, delay) : setTimeout(run, Math.max(delay, 0));
+            if (!timers.has(serviceId)) timers.set(serviceId, new Map());
+            timers.get(serviceId).set(name, { handle, repeat });
+        },
+
+        // Cancel one of a service's timers, or all of them without a name
+        clear,
+
+        clearAll: () => {
+            for (const serviceId of Array.from(timers.keys())) clear(serviceId);
+        },
+
+        has: (serviceId, name) => timers.get(serviceId)?.has(name) === true
+    };
+}
+
+// Timers shared by the control handlers and the scheduler
+export const serviceTimers = createServiceTimers();
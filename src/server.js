@@ -23,10 +23,11 @@ import { dirname, join } from 'path';
 // ✅ ADD: Import translation system
 import { 
   registerForServiceTranscripts, 
-  addTranslationLanguageToService,
-  removeTranslationLanguageFromService 
+  closeServiceSession,
+  closeAllServiceSessions,
+  translateHistory
 } from './translate.js';
-import { transcriptAvailServiceSub } from './globals.js';
+import { transcriptAvailServiceSub, transcriptInterimServiceSub } from './globals.js';
 import {
   serviceLanguageMap,
   serviceSubscriptionMap,
@@ -34,16 +35,99 @@ import {
 } from './repositories/index.js';
 
 // Import Supabase authentication
-import { authenticateUser, authorizeService } from '../middleware/auth.js';
+import { authenticateUser, authorizeService, authenticateSocket, authenticateUpgrade } from '../middleware/auth.js';
 import { getOrganisationByUserId, getOrganisationByKey, updateOrganisation } from '../db/organisations.js';
 import {
   getServiceByServiceId,
   updateServiceStatus,
   isServiceActive,
-  getServicesByUser,
-  createService
+  createService,
+  updateService
 } from '../db/services.js';
+import { PIN_PATTERN, VISIBILITIES, checkServiceAccess, describeServiceAccess, getClientAddress, hashPin, invalidateServiceAccess } from './services/access.js';
 import { getCurrentMonthUsage, getRecentUsage } from '../db/usage.js';
+import {
+  getGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm
+} from '../db/glossary.js';
+import { getServiceSessions, getServiceSession, getSessionSegments } from '../db/transcripts.js';
+import {
+  getScheduleSlots,
+  getScheduleSlot,
+  getEnabledScheduleSlots,
+  createScheduleSlot,
+  updateScheduleSlot,
+  deleteScheduleSlot
+} from '../db/schedules.js';
+import {
+  getPresentationTargets,
+  createPresentationTarget,
+  updatePresentationTarget,
+  deletePresentationTarget
+} from '../db/presentationTargets.js';
+import { invalidateOrganisationGlossary } from './translation/glossary.js';
+import { clearHistory, getTranscriptHistory, getTranslationHistory, recordTranscriptHistory } from './translation/history.js';
+import { startAudioIngest, pushAudio, stopAudioIngest, stopAudioIngestForOwner, stopAllAudioIngest } from './stt/ingest.js';
+import { resolveSttEngine } from './stt/engines/index.js';
+import { archiveTranscript, endAllArchiveSessions, endArchiveSession, startArchiveSession, groupSegmentsIntoLines } from './archive/transcriptArchive.js';
+import { CAPTION_FORMATS, buildCues, formatCaptions } from './archive/captions.js';
+import { EXPORT_FORMATS, EXPORT_LAYOUTS, buildSessionDocument } from './archive/documents.js';
+import {
+  initialiseState,
+  closeState,
+  claimTranslator,
+  releaseTranslator,
+  nextTranscriptSequence,
+  peekTranscriptSequence,
+  getSubscribers,
+  changeConnectionCount,
+  getConnectionCount,
+  markServiceLive,
+  markServiceOffline,
+  isServiceLive,
+  setActiveService,
+  getActiveService,
+  removeActiveService,
+  getActiveServiceIds,
+  getServiceLanguages,
+  addSubscriber,
+  removeSubscriber,
+  addAudioListener,
+  removeAudioListener,
+  hasAudioListeners,
+  claimScheduler,
+  releaseScheduler,
+  setServiceNotice,
+  getServiceNotice,
+  clearServiceNotice,
+  skipScheduledRun,
+  isScheduledRunSkipped
+} from './state/index.js';
+import { createScheduler, describeNotice, getNextOccurrence, isValidTimeZone, parseTime, serviceTimers } from './schedule/index.js';
+import { getScheduleRefreshMs, getScheduleCountdownMs } from './repositories/schedule.js';
+import { getWebSocketHeartbeatMs } from './repositories/websocket.js';
+import { createSpeechStage } from './tts/stage.js';
+import { createSpeechStreams } from './tts/streams.js';
+import { resolveTtsEngine } from './tts/engines/index.js';
+import { TRANSCRIPT, checkTarget, createPresentationOutputs } from './presentation/index.js';
+import { resolvePresentationHost } from './presentation/hosts.js';
+import {
+  registerProtocolHandlers,
+  controlEvents,
+  participantEvents,
+  nativeMessages,
+  NATIVE_PROTOCOL_VERSION,
+  HEARTBEAT_ROOM,
+  TRANSCRIPT_ROOM,
+  getAudioRoom,
+  isLanguageCode
+} from './protocol/index.js';
+import { createControlHandlers } from './controllers/socketio/controlHandler.js';
+import { createParticipantHandlers } from './controllers/socketio/clientHandler.js';
+import { handleNativeParticipant, sendNativeMessage } from './controllers/websocket/participantHandler.js';
+import { setSocketIo } from './services/socketio.js';
 import { supabase, supabaseAdmin } from '../supabase.js';
 // Import route modules
 import qrcodeRouter from './routes/qrcode.js';
@@ -51,6 +135,8 @@ import deepgramRouter from './routes/deepgram.js';
 import roomRouter from './routes/room.js';
 import clientRouter from './routes/clients.js';
 import registrationRouter from './routes/registration-routes.js';
+import servicesRouter from './routes/services.js';
+import overlayRouter from './routes/overlay.js';
 
 // =====================================================
 // PROCESS-LEVEL ERROR HANDLERS (Prevent crashes)
@@ -82,6 +168,10 @@ const io = new SocketIOServer(server, {
   }
 });
 
+// Live state is in memory, or in Redis when several servers share the load
+// (STATE_STORE=redis), in which case Socket.IO rooms span every server
+const stateShared = await initialiseState(io);
+
 // ES Module path setup
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -125,24 +215,36 @@ app.use('/deepgram', deepgramRouter);
 
 // Additional API routes
 app.use('/rooms', roomRouter);
+app.use('/api/services', servicesRouter);
 app.use('/clients', clientRouter);
 
+// Caption overlay pages for OBS and livestream encoders
+app.use('/overlay', overlayRouter);
+
 // Two-stage registration routes (includes /register, /verify-email, /complete-setup)
 app.use('/', registrationRouter);
 
 // =====================================================
-// IN-MEMORY STORAGE (will be replaced with database)
+// IN-MEMORY STORAGE
 // =====================================================
 
-// Active translation services
-const activeServices = new Map();
-
-// WebSocket connections per service
+// WebSocket connections per service on this server.  Active services,
+// subscribers and connection counts are in the state store (src/state/).
 const serviceConnections = new Map();
 
-// Track which services are currently active (streaming)
-// Used to determine if service is ready for client connections
-const activeServiceIds = new Map();
+// HTTP audio streams of spoken translations on this server
+const speechStreams = createSpeechStreams();
+
+// ProPresenter targets of the services this server translates
+const presentationOutputs = createPresentationOutputs({
+  loadTargets: async (serviceId) => {
+    const service = await getServiceByServiceId(serviceId);
+    return service ? getPresentationTargets(service.id) : [];
+  },
+  onHealth: (serviceId, targets) => {
+    controlNamespace.to(`service-${serviceId}`).emit('presentationStatus', { serviceId, targets });
+  }
+});
 
 // =====================================================
 // HELPER FUNCTIONS
@@ -160,13 +262,12 @@ async function initializeTranslationService(serviceId, languages) {
   // const deepgramConnection = await setupDeepgram(serviceId);
   // const translationStreams = await setupTranslationStreams(languages);
   
-  activeServices.set(serviceId, {
+  await setActiveService(serviceId, {
     status: 'active',
     languages: languages,
-    startedAt: new Date().toISOString(),
-    connections: []
+    startedAt: new Date().toISOString()
   });
-    activeServiceIds.set(serviceId, true);
+  await markServiceLive(serviceId);
   console.log(`✅ Service ${serviceId} initialized`);
 }
 
@@ -182,7 +283,23 @@ async function cleanupTranslationService(serviceId) {
   // await closeDeepgramConnection(serviceId);
   // await closeTranslationStreams(serviceId);
   
-  // Close WebSocket connections
+  // Close WebSocket connections, on every server
+  closeServiceConnections(serviceId);
+  emitToOtherServers('closeServiceConnections', serviceId);
+
+  await removeActiveService(serviceId);
+  await markServiceOffline(serviceId);
+  serviceTimers.clear(serviceId, 'autoStop');
+  await runOnTranslator(serviceId, 'stopService');
+  console.log(`✅ Service ${serviceId} cleaned up`);
+}
+
+/**
+ * Close the native WebSocket clients and audio streams of a service
+ * connected to this server
+ */
+function closeServiceConnections(serviceId) {
+  speechStreams.closeService(serviceId);
   const connections = serviceConnections.get(serviceId);
   if (connections) {
     connections.forEach(ws => {
@@ -192,10 +309,26 @@ async function cleanupTranslationService(serviceId) {
     });
     serviceConnections.delete(serviceId);
   }
+}
 
-  activeServices.delete(serviceId);
-  activeServiceIds.delete(serviceId);
-  console.log(`✅ Service ${serviceId} cleaned up`);
+// Rows are keyed by UUIDs; an ID that isn't one can't exist, and the
+// database refuses to compare it with one
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Find an archived session, checking it belongs to the service
+ * @returns {Object|null} { service, session }, or null if either doesn't exist
+ */
+async function getArchivedSession(serviceId, sessionId) {
+  if (!UUID_PATTERN.test(sessionId)) {
+    return null;
+  }
+  const service = await getServiceByServiceId(serviceId);
+  if (!service) {
+    return null;
+  }
+  const session = await getServiceSession(service.id, sessionId);
+  return session ? { service, session } : null;
 }
 
 // =====================================================
@@ -367,6 +500,12 @@ app.get('/organisation/info', async (req, res) => {
       });
     }
 
+    // With ?serviceId= the service's own name and languages are used, if it has them
+    const service = req.query.serviceId
+      ? await getServiceByServiceId(String(req.query.serviceId)).catch(() => null)
+      : null;
+    const ownService = service && service.organisation_id === organisation.id ? service : null;
+
     // Return organisation data in format expected by client
     res.json({
       success: true,
@@ -378,9 +517,10 @@ app.get('/organisation/info', async (req, res) => {
         waiting: organisation.waiting_message,
         logo: organisation.logo_base64,  // Changed from "logo" to "base64Logo" to match client expectation
         base64Logo: organisation.logo_base64,
-        language: organisation.host_language,
-        translationLanguages: JSON.stringify(organisation.translation_languages || []),
-        defaultServiceId: organisation.default_service_id
+        language: ownService?.host_language || organisation.host_language,
+        translationLanguages: JSON.stringify(ownService?.translation_languages || organisation.translation_languages || []),
+        defaultServiceId: organisation.default_service_id,
+        serviceName: ownService?.name || null
       }
     });
   } catch (error) {
@@ -401,14 +541,22 @@ app.get('/organisation/:serviceId/status', async (req, res) => {
     const { serviceId } = req.params;
     
     // Check in-memory first (for active streaming), then database
-    const isActiveInMemory = activeServiceIds.has(serviceId);
+    const isActiveInMemory = await isServiceLive(serviceId);
     const isActiveInDB = await isServiceActive(serviceId);
     const isActive = isActiveInMemory || isActiveInDB;
 
+    // Before a scheduled run starts, participants are told when
+    const notice = await getServiceNotice(serviceId);
+    const waiting = !isActive && notice && new Date(notice.startsAt) > new Date();
+
     res.json({
       success: true,
       responseObject: {
-        active: isActive
+        active: isActive,
+        ...(waiting && {
+          startsAt: notice.startsAt,
+          waitingMessage: notice.waitingMessage
+        })
       }
     });
   } catch (error) {
@@ -428,7 +576,7 @@ app.get('/organisation/:serviceId/status', async (req, res) => {
 app.get('/organisation/:serviceId/livestreaming', async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const status = activeServiceIds.has(serviceId) ? 'online' : 'offline';
+    const status = await isServiceLive(serviceId) ? 'online' : 'offline';
     
     res.json({
       success: true,
@@ -487,6 +635,80 @@ app.get('/organisation/:serviceId/languages', async (req, res) => {
   }
 });
 
+/**
+ * Spoken translation of a service as one continuous MP3 stream, which phones
+ * keep playing with the screen locked, e.g. <audio src="/audio/1234/es">.
+ * Private services need ?token= or ?pin=, as on /participant.  Listening
+ * counts as following the language, so it is translated even if nobody is
+ * reading it.
+ * PUBLIC - No authentication required
+ */
+app.get('/audio/:serviceId/:language', async (req, res) => {
+  try {
+    const { serviceId, language } = req.params;
+
+    if (!/^[\w-]{1,64}$/.test(serviceId) || !isLanguageCode(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service or language'
+      });
+    }
+    if (!resolveTtsEngine()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Speech is not available',
+        message: 'Set TTS_ENGINE to speak translations.'
+      });
+    }
+
+    const { token, pin } = req.query;
+    const credentials = { token: typeof token === 'string' ? token : null, pin: typeof pin === 'string' ? pin : null };
+    const client = getClientAddress({ headers: req.headers, address: req.socket.remoteAddress });
+    const { allowed, code, message, retryAfter } = await checkServiceAccess(serviceId, credentials, client);
+    if (!allowed) {
+      console.warn(`⚠️  Audio stream refused entry to service ${serviceId}: ${code}`);
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      const status = { access_check_failed: 500, too_many_attempts: 429 }[code] || 403;
+      return res.status(status).json({
+        success: false,
+        error: code,
+        message
+      });
+    }
+
+    const leave = async () => {
+      console.log(`🔇 Audio listener left ${serviceId}:${language}`);
+      try {
+        await removeAudioListener(serviceId, language);
+        await removeSubscriber(serviceId, language);
+        await notifySubscribers(serviceId);
+      } catch (error) {
+        console.error(`❌ Error removing audio listener for ${serviceId}:${language}:`, error.message);
+      }
+    };
+
+    await addSubscriber(serviceId, language);
+    await addAudioListener(serviceId, language);
+    console.log(`🔊 Audio listener joined ${serviceId}:${language}`);
+    notifySubscribers(serviceId);
+
+    // The listener may have gone while being counted, before there was a
+    // stream to notice it closing
+    if (req.socket.destroyed) {
+      return leave();
+    }
+    speechStreams.addListener(serviceId, language, res, leave);
+  } catch (error) {
+    console.error('❌ Error starting audio stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+});
+
 /**
  * Legacy endpoint - redirect to new endpoint
  * PUBLIC
@@ -634,8 +856,19 @@ app.put('/api/organisation/profile', authenticateUser, async (req, res) => {
     }
 
     const updates = req.body;
+    if (updates.timezone !== undefined && (typeof updates.timezone !== 'string' || !isValidTimeZone(updates.timezone))) {
+      return res.status(400).json({
+        success: false,
+        error: 'timezone must be an IANA time zone such as Europe/London'
+      });
+    }
     const updatedOrganisation = await updateOrganisation(req.userId, organisation.id, updates);
 
+    // The schedules follow the organisation's time zone and waiting message
+    if (updates.timezone !== undefined || updates.waiting_message !== undefined) {
+      scheduler.refresh();
+    }
+
     res.json({
       success: true,
       data: updatedOrganisation,
@@ -678,7 +911,8 @@ app.get('/api/organisation/usage', authenticateUser, async (req, res) => {
       usage = await getRecentUsage(organisation.id, days);
     }
 
-    // Calculate estimated cost (Google Translate charges $20 per million characters)
+    // Calculate estimated cost (Google Translate charges $20 per million characters).
+    // Cached characters never reach the provider, so only billed characters count.
     const costPerMillion = 20;
     const estimatedCost = (usage.totalCharacters / 1000000) * costPerMillion;
 
@@ -700,19 +934,61 @@ app.get('/api/organisation/usage', authenticateUser, async (req, res) => {
 });
 
 /**
- * Get user's services
+ * Check a glossary term from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateGlossaryTerm(body, partial = false) {
+  const { source_term, translations, keep_verbatim } = body;
+
+  if (source_term !== undefined || !partial) {
+    if (typeof source_term !== 'string' || source_term.trim().length === 0) {
+      return 'source_term is required';
+    }
+    if (source_term.length > 200) {
+      return 'source_term must be 200 characters or fewer';
+    }
+  }
+  if (translations !== undefined) {
+    if (translations === null || typeof translations !== 'object' || Array.isArray(translations)) {
+      return 'translations must be an object of language code to translation';
+    }
+    for (const [language, translation] of Object.entries(translations)) {
+      if (typeof translation !== 'string' || translation.trim().length === 0) {
+        return `Translation for ${language} must be a non-empty string`;
+      }
+    }
+  }
+  if (keep_verbatim !== undefined && typeof keep_verbatim !== 'boolean') {
+    return 'keep_verbatim must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Get the organisation glossary
  * PROTECTED - Requires authentication
  */
-app.get('/api/services', authenticateUser, async (req, res) => {
+app.get('/api/organisation/glossary', authenticateUser, async (req, res) => {
   try {
-    const services = await getServicesByUser(req.userId);
+    const organisation = await getOrganisationByUserId(req.userId);
+
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
+
+    const terms = await getGlossaryTerms(organisation.id);
 
     res.json({
       success: true,
-      data: services
+      data: terms
     });
   } catch (error) {
-    console.error('❌ Error fetching services:', error);
+    console.error('❌ Error fetching glossary:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -721,460 +997,1456 @@ app.get('/api/services', authenticateUser, async (req, res) => {
 });
 
 /**
- * Start translation service
- * PROTECTED - Requires authentication AND ownership of service
+ * Add a glossary term
+ * PROTECTED - Requires authentication
  */
-app.post('/api/service/:serviceId/start', 
-  authenticateUser, 
-  authorizeService, 
-  async (req, res) => {
-    try {
-      const { serviceId } = req.params;
-      const { languages } = req.body;
-
-      console.log(`🚀 User ${req.userEmail} starting service ${serviceId}`);
-      console.log(`📋 Languages requested: ${languages?.join(', ') || 'none'}`);
+app.post('/api/organisation/glossary', authenticateUser, async (req, res) => {
+  try {
+    const organisation = await getOrganisationByUserId(req.userId);
 
-      // Check if service is already active
-      if (activeServices.has(serviceId)) {
-        return res.status(409).json({
-          success: false,
-          error: 'Service already active',
-          message: 'This service is already running. Stop it first before starting again.'
-        });
-      }
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
 
-      // Update service status in database
-      const service = await updateServiceStatus(serviceId, 'active', languages || []);
+    const validationError = validateGlossaryTerm(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
 
-      // Initialize translation service
-      await initializeTranslationService(serviceId, languages || []);
+    const { source_term, translations, keep_verbatim } = req.body;
+    const term = await createGlossaryTerm(organisation.id, {
+      source_term: source_term.trim(),
+      translations,
+      keep_verbatim
+    });
+    invalidateOrganisationGlossary(organisation.id);
 
-      res.json({
-        success: true,
-        data: service,
-        message: 'Translation service started successfully'
-      });
-    } catch (error) {
-      console.error('❌ Error starting service:', error);
-      res.status(500).json({
+    res.status(201).json({
+      success: true,
+      data: term,
+      message: 'Glossary term added'
+    });
+  } catch (error) {
+    console.error('❌ Error creating glossary term:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({
         success: false,
-        error: 'Failed to start service',
-        message: error.message
+        error: 'This term is already in the glossary'
       });
     }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
-);
+});
 
 /**
- * Stop translation service
- * PROTECTED - Requires authentication AND ownership of service
+ * Update a glossary term
+ * PROTECTED - Requires authentication
  */
-app.post('/api/service/:serviceId/stop', 
-  authenticateUser, 
-  authorizeService, 
-  async (req, res) => {
-    try {
-      const { serviceId } = req.params;
+app.put('/api/organisation/glossary/:termId', authenticateUser, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.termId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Glossary term not found'
+      });
+    }
 
-      console.log(`🛑 User ${req.userEmail} stopping service ${serviceId}`);
+    const organisation = await getOrganisationByUserId(req.userId);
 
-      // Check if service is active
-      if (!activeServices.has(serviceId)) {
-        return res.status(404).json({
-          success: false,
-          error: 'Service not active',
-          message: 'This service is not currently running.'
-        });
-      }
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
 
-      // Update service status in database
-      const service = await updateServiceStatus(serviceId, 'inactive');
+    const validationError = validateGlossaryTerm(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
 
-      // Cleanup translation service
-      await cleanupTranslationService(serviceId);
+    const updates = { ...req.body };
+    if (typeof updates.source_term === 'string') {
+      updates.source_term = updates.source_term.trim();
+    }
 
-      res.json({
-        success: true,
-        data: service,
-        message: 'Translation service stopped successfully'
+    const term = await updateGlossaryTerm(organisation.id, req.params.termId, updates);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        error: 'Glossary term not found'
       });
-    } catch (error) {
-      console.error('❌ Error stopping service:', error);
-      res.status(500).json({
+    }
+    invalidateOrganisationGlossary(organisation.id);
+
+    res.json({
+      success: true,
+      data: term,
+      message: 'Glossary term updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating glossary term:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({
         success: false,
-        error: 'Failed to stop service',
-        message: error.message
+        error: 'This term is already in the glossary'
       });
     }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
-);
+});
 
 /**
- * Get service details
- * PROTECTED - Requires authentication AND ownership of service
+ * Delete a glossary term
+ * PROTECTED - Requires authentication
  */
-app.get('/api/service/:serviceId', 
-  authenticateUser, 
-  authorizeService, 
-  async (req, res) => {
-    try {
-      const { serviceId } = req.params;
-      const service = await getServiceByServiceId(serviceId);
-
-      if (!service) {
-        return res.status(404).json({
-          success: false,
-          error: 'Service not found'
-        });
-      }
+app.delete('/api/organisation/glossary/:termId', authenticateUser, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.termId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Glossary term not found'
+      });
+    }
 
-      // Add real-time status from in-memory store
-      const activeStatus = activeServices.get(serviceId);
-      const enhancedService = {
-        ...service,
-        isActive: !!activeStatus,
-        activeLanguages: activeStatus?.languages || [],
-        connectionCount: serviceConnections.get(serviceId)?.length || 0
-      };
+    const organisation = await getOrganisationByUserId(req.userId);
 
-      res.json({
-        success: true,
-        data: enhancedService
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
       });
-    } catch (error) {
-      console.error('❌ Error fetching service:', error);
-      res.status(500).json({
+    }
+
+    const deleted = await deleteGlossaryTerm(organisation.id, req.params.termId);
+    if (!deleted) {
+      return res.status(404).json({
         success: false,
-        error: 'Internal server error'
+        error: 'Glossary term not found'
       });
     }
+    invalidateOrganisationGlossary(organisation.id);
+
+    res.json({
+      success: true,
+      message: 'Glossary term deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting glossary term:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
-);
+});
 
+/**
+ * Validate schedule slot fields
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateScheduleSlot(body, partial = false) {
+  const { service_id, weekday, start_time, end_time, waiting_minutes, enabled } = body;
+
+  if (service_id !== undefined || !partial) {
+    if (typeof service_id !== 'string' || service_id.trim().length === 0) {
+      return 'service_id is required';
+    }
+  }
+  if (weekday !== undefined || !partial) {
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return 'weekday must be 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  for (const [field, value] of [['start_time', start_time], ['end_time', end_time]]) {
+    if ((value !== undefined || !partial) && !parseTime(value)) {
+      return `${field} must be a time such as 10:30`;
+    }
+  }
+  const [start, end] = [parseTime(start_time), parseTime(end_time)];
+  if (start && end && start.hours === end.hours && start.minutes === end.minutes) {
+    return 'end_time must differ from start_time';
+  }
+  if (waiting_minutes !== undefined && (!Number.isInteger(waiting_minutes) || waiting_minutes < 0 || waiting_minutes > 240)) {
+    return 'waiting_minutes must be between 0 and 240';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Turn the service_id of a slot into the service's row id, checking the
+ * organisation owns the service
+ * @returns {string|null} Service UUID, or null if it isn't the organisation's
+ */
+async function resolveScheduledService(organisation, serviceId) {
+  const service = await getServiceByServiceId(serviceId.trim());
+  return service && service.organisation_id === organisation.id ? service.id : null;
+}
+
+// A slot as the API shows it: its service's service_id and its next run
+function describeScheduleSlot(slot, timeZone) {
+  const next = slot.enabled ? getNextOccurrence([slot], timeZone, new Date()) : null;
+  const { services, ...fields } = slot;
+  return {
+    ...fields,
+    service_id: services?.service_id ?? null,
+    service_name: services?.name ?? null,
+    next_run: next && {
+      waitingFrom: next.waitingFrom.toISOString(),
+      startsAt: next.startsAt.toISOString(),
+      endsAt: next.endsAt.toISOString()
+    }
+  };
+}
+
+/**
+ * Get the organisation's service schedule
+ * Slots are in the organisation's time zone, set with PUT /api/organisation/profile
+ * PROTECTED - Requires authentication
+ */
+app.get('/api/organisation/schedule', authenticateUser, async (req, res) => {
+  try {
+    const organisation = await getOrganisationByUserId(req.userId);
+
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
+
+    const timeZone = organisation.timezone || 'UTC';
+    const slots = await getScheduleSlots(organisation.id);
+
+    res.json({
+      success: true,
+      data: {
+        timezone: timeZone,
+        slots: slots.map(slot => describeScheduleSlot(slot, timeZone))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Add a schedule slot
+ * Body: { service_id, weekday, start_time, end_time, waiting_minutes?, enabled? }
+ * PROTECTED - Requires authentication
+ */
+app.post('/api/organisation/schedule', authenticateUser, async (req, res) => {
+  try {
+    const organisation = await getOrganisationByUserId(req.userId);
+
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
+
+    const validationError = validateScheduleSlot(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const serviceUuid = await resolveScheduledService(organisation, req.body.service_id);
+    if (!serviceUuid) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+
+    const { weekday, start_time, end_time, waiting_minutes, enabled } = req.body;
+    const slot = await createScheduleSlot(organisation.id, {
+      service_id: serviceUuid,
+      weekday,
+      start_time,
+      end_time,
+      waiting_minutes,
+      enabled
+    });
+    scheduler.refresh();
+
+    res.status(201).json({
+      success: true,
+      data: describeScheduleSlot({ ...slot, services: { service_id: req.body.service_id.trim() } }, organisation.timezone || 'UTC'),
+      message: 'Schedule slot added'
+    });
+  } catch (error) {
+    console.error('❌ Error creating schedule slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Update a schedule slot
+ * PROTECTED - Requires authentication
+ */
+app.put('/api/organisation/schedule/:slotId', authenticateUser, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.slotId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule slot not found'
+      });
+    }
+
+    const organisation = await getOrganisationByUserId(req.userId);
+
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
+
+    let validationError = validateScheduleSlot(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // A new start or end alone is checked against the other one as stored
+    const { start_time, end_time } = req.body;
+    if ((start_time === undefined) !== (end_time === undefined)) {
+      const stored = await getScheduleSlot(organisation.id, req.params.slotId);
+      if (!stored) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule slot not found'
+        });
+      }
+      validationError = validateScheduleSlot({
+        start_time: start_time ?? stored.start_time,
+        end_time: end_time ?? stored.end_time
+      }, true);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+    }
+
+    const updates = { ...req.body };
+    if (updates.service_id !== undefined) {
+      updates.service_id = await resolveScheduledService(organisation, updates.service_id);
+      if (!updates.service_id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found'
+        });
+      }
+    }
+
+    const slot = await updateScheduleSlot(organisation.id, req.params.slotId, updates);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule slot not found'
+      });
+    }
+    scheduler.refresh();
+
+    res.json({
+      success: true,
+      data: describeScheduleSlot(slot, organisation.timezone || 'UTC'),
+      message: 'Schedule slot updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating schedule slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Delete a schedule slot.  A run of it that is under way ends now.
+ * PROTECTED - Requires authentication
+ */
+app.delete('/api/organisation/schedule/:slotId', authenticateUser, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.slotId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule slot not found'
+      });
+    }
+
+    const organisation = await getOrganisationByUserId(req.userId);
+
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organisation profile not found'
+      });
+    }
+
+    const deleted = await deleteScheduleSlot(organisation.id, req.params.slotId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule slot not found'
+      });
+    }
+    scheduler.refresh();
+
+    res.json({
+      success: true,
+      message: 'Schedule slot deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting schedule slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Start translation service
+ * PROTECTED - Requires authentication AND ownership of service
+ */
+app.post('/api/service/:serviceId/start', 
+  authenticateUser, 
+  authorizeService, 
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+      const { languages } = req.body;
+
+      console.log(`🚀 User ${req.userEmail} starting service ${serviceId}`);
+      console.log(`📋 Languages requested: ${languages?.join(', ') || 'none'}`);
+
+      // Check if service is already active
+      if (await getActiveService(serviceId)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Service already active',
+          message: 'This service is already running. Stop it first before starting again.'
+        });
+      }
+
+      // Update service status in database
+      const service = await updateServiceStatus(serviceId, 'active', languages || []);
+
+      // Initialize translation service
+      await initializeTranslationService(serviceId, languages || []);
+
+      res.json({
+        success: true,
+        data: service,
+        message: 'Translation service started successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error starting service:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start service',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Stop translation service
+ * PROTECTED - Requires authentication AND ownership of service
+ */
+app.post('/api/service/:serviceId/stop', 
+  authenticateUser, 
+  authorizeService, 
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+
+      console.log(`🛑 User ${req.userEmail} stopping service ${serviceId}`);
+
+      // Check if service is active
+      if (!(await getActiveService(serviceId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not active',
+          message: 'This service is not currently running.'
+        });
+      }
+
+      // Update service status in database
+      const service = await updateServiceStatus(serviceId, 'inactive');
+
+      // A scheduled run stopped by hand is not started again
+      await stopScheduledRun(serviceId);
+
+      // Cleanup translation service
+      await cleanupTranslationService(serviceId);
+
+      res.json({
+        success: true,
+        data: service,
+        message: 'Translation service stopped successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error stopping service:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stop service',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Get service details
+ * PROTECTED - Requires authentication AND ownership of service
+ */
+app.get('/api/service/:serviceId', 
+  authenticateUser, 
+  authorizeService, 
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+      const service = await getServiceByServiceId(serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found'
+        });
+      }
+
+      // Add real-time status from the state store
+      const activeStatus = await getActiveService(serviceId);
+      const enhancedService = {
+        ...describeServiceAccess(service),
+        isActive: !!activeStatus,
+        activeLanguages: activeStatus?.languages || [],
+        connectionCount: await getConnectionCount(serviceId)
+      };
+
+      res.json({
+        success: true,
+        data: enhancedService
+      });
+    } catch (error) {
+      console.error('❌ Error fetching service:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * Set who may join a service
+ * PROTECTED - Requires authentication AND ownership of service
+ * Body: { visibility: 'public' | 'private', pin: '4-8 digits' | null }
+ * A missing pin leaves the current one, null removes it
+ */
+app.put('/api/service/:serviceId/access',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+      const { visibility, pin } = req.body;
+
+      if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          error: `visibility must be one of ${VISIBILITIES.join(', ')}`
+        });
+      }
+      if (pin !== undefined && pin !== null && !PIN_PATTERN.test(String(pin))) {
+        return res.status(400).json({
+          success: false,
+          error: 'pin must be 4 to 8 digits'
+        });
+      }
+
+      if (visibility === undefined && pin === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nothing to update, send visibility and/or pin'
+        });
+      }
+
+      const updates = {};
+      if (visibility !== undefined) updates.visibility = visibility;
+      if (pin !== undefined) updates.access_pin_hash = pin === null ? null : await hashPin(String(pin));
+
+      const service = describeServiceAccess(await updateService(serviceId, updates));
+      invalidateServiceAccess(serviceId);
+
+      console.log(`🔒 User ${req.userEmail} set service ${serviceId} to ${service.visibility}${service.hasPin ? ' with a PIN' : ''}`);
+      res.json({
+        success: true,
+        data: service
+      });
+    } catch (error) {
+      console.error('❌ Error updating service access:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * List the archived sessions (runs) of a service, newest first
+ * PROTECTED - Requires authentication AND ownership of service
+ * Query: limit (default 50, max 200), offset
+ */
+app.get('/api/service/:serviceId/sessions',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+      const service = await getServiceByServiceId(serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found'
+        });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const sessions = await getServiceSessions(service.id, { limit, offset });
+
+      res.json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      console.error('❌ Error fetching service sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch service sessions'
+      });
+    }
+  }
+);
+
+/**
+ * Get the full bilingual text of an archived session
+ * PROTECTED - Requires authentication AND ownership of service
+ * Query: languages - comma separated translation languages (default all)
+ * Returns the session and its lines: [{ seq, spokenAt, transcript, translations: { es: ... } }]
+ */
+app.get('/api/service/:serviceId/sessions/:sessionId',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId, sessionId } = req.params;
+      const languages = req.query.languages
+        ? String(req.query.languages).split(',').map(lang => lang.trim()).filter(Boolean)
+        : [];
+
+      if (languages.some(lang => !isLanguageCode(lang))) {
+        return res.status(400).json({
+          success: false,
+          error: 'languages must be a comma separated list of language codes'
+        });
+      }
+
+      const archived = await getArchivedSession(serviceId, sessionId);
+      if (!archived) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      const { session } = archived;
+
+      const lines = groupSegmentsIntoLines(await getSessionSegments(session.id, { languages }));
+      const sessionLanguages = [...new Set(lines.flatMap(line => Object.keys(line.translations)))].sort();
+
+      res.json({
+        success: true,
+        data: {
+          session,
+          languages: sessionLanguages,
+          lines
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error fetching session transcript:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch session transcript'
+      });
+    }
+  }
+);
+
+/**
+ * Download captions for an archived session
+ * PROTECTED - Requires authentication AND ownership of service
+ * Query: lang - translation language, or "source" for the transcript (default)
+ *        format - vtt (default), srt or ttml
+ *        offset - seconds added to every cue, to line up with the recording
+ * Cue times are relative to when the session started streaming.
+ */
+app.get('/api/service/:serviceId/sessions/:sessionId/captions',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId, sessionId } = req.params;
+      const format = String(req.query.format || 'vtt').toLowerCase();
+      const lang = String(req.query.lang || 'source');
+      const offsetSeconds = parseFloat(req.query.offset) || 0;
+
+      if (!CAPTION_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of ${Object.keys(CAPTION_FORMATS).join(', ')}`
+        });
+      }
+      if (lang !== 'source' && !isLanguageCode(lang)) {
+        return res.status(400).json({
+          success: false,
+          error: 'lang must be a language code or "source"'
+        });
+      }
+
+      const archived = await getArchivedSession(serviceId, sessionId);
+      if (!archived) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      const { session } = archived;
+
+      // The host language (or just its base, e.g. "en") means the transcript itself
+      const sourceLanguage = session.source_language || '';
+      const isSource = lang === 'source' || lang === sourceLanguage || lang === sourceLanguage.split('-')[0];
+      const lines = groupSegmentsIntoLines(await getSessionSegments(session.id, { languages: isSource ? [] : [lang] }));
+      const cues = buildCues({ lines, language: isSource ? null : lang, startedAt: session.started_at, offsetSeconds });
+
+      if (cues.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No ${isSource ? 'transcript' : lang} captions in this session`
+        });
+      }
+
+      const captionLanguage = isSource ? (sourceLanguage || 'und') : lang;
+      const { contentType, extension } = CAPTION_FORMATS[format];
+      const date = session.started_at.split('T')[0];
+      res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+      const fileName = `service-${serviceId}-${date}-${captionLanguage}.${extension}`.replace(/[^\w.-]/g, '_');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(formatCaptions(cues, format, captionLanguage));
+    } catch (error) {
+      console.error('❌ Error creating captions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create captions'
+      });
+    }
+  }
+);
+
+/**
+ * Download an archived session as a bilingual document
+ * PROTECTED - Requires authentication AND ownership of service
+ * Query: format - pdf (default), html, md or txt
+ *        languages - comma separated translation languages (default all)
+ *        layout - side-by-side (default) or interleaved
+ * The host language transcript comes first, headed with the organisation's
+ * name, logo and the date of the service.
+ */
+app.get('/api/service/:serviceId/sessions/:sessionId/export',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId, sessionId } = req.params;
+      const format = String(req.query.format || 'pdf').toLowerCase();
+      const layout = String(req.query.layout || 'side-by-side').toLowerCase();
+      const requestedLanguages = req.query.languages
+        ? String(req.query.languages).split(',').map(lang => lang.trim()).filter(Boolean)
+        : [];
+
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+      }
+      if (!EXPORT_LAYOUTS.includes(layout)) {
+        return res.status(400).json({
+          success: false,
+          error: `layout must be one of ${EXPORT_LAYOUTS.join(', ')}`
+        });
+      }
+      if (requestedLanguages.some(lang => !isLanguageCode(lang))) {
+        return res.status(400).json({
+          success: false,
+          error: 'languages must be a comma separated list of language codes'
+        });
+      }
+
+      const archived = await getArchivedSession(serviceId, sessionId);
+      if (!archived) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      const { service, session } = archived;
+
+      const lines = groupSegmentsIntoLines(await getSessionSegments(session.id, { languages: requestedLanguages }));
+      if (!lines.some(line => line.transcript)) {
+        return res.status(404).json({
+          success: false,
+          error: 'No transcript in this session'
+        });
+      }
+
+      // Keep the order asked for; otherwise every language that was translated
+      const sessionLanguages = [...new Set(lines.flatMap(line => Object.keys(line.translations)))].sort();
+      const languages = requestedLanguages.length > 0
+        ? requestedLanguages.filter(lang => sessionLanguages.includes(lang))
+        : sessionLanguages;
+
+      const document = await buildSessionDocument({
+        organisation: service.organisations,
+        service,
+        session,
+        lines,
+        languages,
+        layout,
+        format
+      });
+
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      const date = session.started_at.split('T')[0];
+      res.setHeader('Content-Type', format === 'pdf' ? contentType : `${contentType}; charset=utf-8`);
+      const fileName = `service-${serviceId}-${date}-${[session.source_language || 'source', ...languages].join('_')}.${extension}`.replace(/[^\w.-]/g, '_');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(document);
+    } catch (error) {
+      console.error('❌ Error exporting session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export session'
+      });
+    }
+  }
+);
+
+// =====================================================
+// PRESENTATION TARGETS (ProPresenter)
 // =====================================================
-// SOCKET.IO SETUP (Enhanced for Control Panel & Subscribers)
-// Place this code around line 634 in /src/server.js
-// This replaces the existing Socket.IO setup
-// =====================================================
 
-// Track subscribers per service and language
-const subscriberTracker = new Map();
+const PRESENTATION_HOST_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9.-]{0,252})$/;
+
+/**
+ * Validate presentation target fields
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePresentationTarget(body, partial = false) {
+  const { name, host, port, message_name, language, lines, enabled } = body;
+
+  if (host !== undefined || !partial) {
+    if (typeof host !== 'string' || !PRESENTATION_HOST_PATTERN.test(host)) {
+      return 'host must be a host name or IP address';
+    }
+  }
+  if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+    return 'port must be between 1 and 65535';
+  }
+  for (const [field, value] of [['name', name], ['message_name', message_name]]) {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '' || value.length > 100)) {
+      return `${field} must be between 1 and 100 characters`;
+    }
+  }
+  if (language !== undefined && language !== TRANSCRIPT && !isLanguageCode(language)) {
+    return `language must be "${TRANSCRIPT}" or a language code such as es`;
+  }
+  if (lines !== undefined && (!Number.isInteger(lines) || lines < 1 || lines > 5)) {
+    return 'lines must be between 1 and 5';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Check a target's host may be reached from this server, see
+ * resolvePresentationHost.  Requests are checked again when they are made.
+ * @param {string} [host] - Left alone when missing (updates)
+ * @returns {Promise<string|null>} Error message or null if allowed
+ */
+async function checkPresentationHost(host) {
+  if (host === undefined) return null;
+  try {
+    await resolvePresentationHost(host);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * A service's targets with how each is doing.  Only the server translating
+ * a running service knows; targets of a stopped service are idle.
+ */
+async function describePresentationTargets(serviceId, targets) {
+  const health = await getActiveService(serviceId)
+    ? (await runOnTranslator(serviceId, 'getPresentationHealth')) || []
+    : [];
+  return targets.map(target => {
+    const { status = target.enabled ? 'idle' : 'disabled', lastError = null, lastAttemptAt = null, lastSuccessAt = null } =
+      health.find(({ id }) => id === target.id) || {};
+    return { ...target, status, lastError, lastAttemptAt, lastSuccessAt };
+  });
+}
+
+// Edits take effect straight away on a running service
+async function reloadPresentationTargets(serviceId) {
+  if (await getActiveService(serviceId)) {
+    await runOnTranslator(serviceId, 'reloadPresentation');
+  }
+}
+
+/**
+ * List a service's ProPresenter targets and their connection health
+ * PROTECTED - Requires authentication AND ownership of service
+ */
+app.get('/api/service/:serviceId/presentation',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+      const service = await getServiceByServiceId(serviceId);
+      const targets = await getPresentationTargets(service.id);
+
+      res.json({
+        success: true,
+        data: await describePresentationTargets(serviceId, targets)
+      });
+    } catch (error) {
+      console.error('❌ Error fetching presentation targets:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * Add a ProPresenter target to a service
+ * PROTECTED - Requires authentication AND ownership of service
+ * Body: { host, port?, name?, message_name?, language?, lines?, enabled? }
+ * language is "transcript" (the default) or a translation language
+ */
+app.post('/api/service/:serviceId/presentation',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId } = req.params;
+      const validationError = validatePresentationTarget(req.body) || await checkPresentationHost(req.body.host);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const service = await getServiceByServiceId(serviceId);
+      const target = await createPresentationTarget(service.id, req.body);
+      await reloadPresentationTargets(serviceId);
+
+      console.log(`📺 User ${req.userEmail} added ProPresenter ${target.host}:${target.port} (${target.language}) to service ${serviceId}`);
+      res.status(201).json({
+        success: true,
+        data: (await describePresentationTargets(serviceId, [target]))[0]
+      });
+    } catch (error) {
+      console.error('❌ Error creating presentation target:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * Change a ProPresenter target
+ * PROTECTED - Requires authentication AND ownership of service
+ * Body: any of the fields of POST
+ */
+app.put('/api/service/:serviceId/presentation/:targetId',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId, targetId } = req.params;
+      if (!UUID_PATTERN.test(targetId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Presentation target not found'
+        });
+      }
+
+      const validationError = validatePresentationTarget(req.body, true) || await checkPresentationHost(req.body.host);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const service = await getServiceByServiceId(serviceId);
+      const target = await updatePresentationTarget(service.id, targetId, req.body);
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          error: 'Presentation target not found'
+        });
+      }
+      await reloadPresentationTargets(serviceId);
+
+      res.json({
+        success: true,
+        data: (await describePresentationTargets(serviceId, [target]))[0]
+      });
+    } catch (error) {
+      console.error('❌ Error updating presentation target:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * Remove a ProPresenter target; what it shows is cleared if the service is running
+ * PROTECTED - Requires authentication AND ownership of service
+ */
+app.delete('/api/service/:serviceId/presentation/:targetId',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId, targetId } = req.params;
+      if (!UUID_PATTERN.test(targetId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Presentation target not found'
+        });
+      }
+
+      const service = await getServiceByServiceId(serviceId);
+
+      if (!(await deletePresentationTarget(service.id, targetId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Presentation target not found'
+        });
+      }
+      await reloadPresentationTargets(serviceId);
+
+      res.json({
+        success: true,
+        message: 'Presentation target removed'
+      });
+    } catch (error) {
+      console.error('❌ Error deleting presentation target:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
 
-// Control namespace for control panel
-const controlNamespace = io.of('/control');
+/**
+ * Check this server can reach a ProPresenter target, without showing anything on it
+ * PROTECTED - Requires authentication AND ownership of service
+ */
+app.post('/api/service/:serviceId/presentation/:targetId/test',
+  authenticateUser,
+  authorizeService,
+  async (req, res) => {
+    try {
+      const { serviceId, targetId } = req.params;
+      if (!UUID_PATTERN.test(targetId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Presentation target not found'
+        });
+      }
 
-controlNamespace.on('connection', (socket) => {
-  console.log('🔌 Control panel connected via Socket.IO:', socket.id);
-  
-  socket.on('monitor', (serviceId) => {
-    console.log(`📊 Monitoring service: ${serviceId}`);
-    socket.join(`service-${serviceId}`);
-    
-    // Send initial subscriber list if any exist
-    const serviceSubscribers = subscriberTracker.get(serviceId);
-    if (serviceSubscribers) {
-      const languages = Array.from(serviceSubscribers.entries()).map(([name, subscribers]) => ({
-        name,
-        subscribers
-      }));
-      socket.emit('subscribers', { languages });
-    } else {
-      // Send empty list
-      socket.emit('subscribers', { languages: [] });
+      const service = await getServiceByServiceId(serviceId);
+      const target = (await getPresentationTargets(service.id)).find(({ id }) => id === targetId);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          error: 'Presentation target not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await checkTarget(target)
+      });
+    } catch (error) {
+      console.error('❌ Error testing presentation target:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
     }
-    
-    // Send confirmation
-    socket.emit('registered', { serviceId });
-  });
-  
-socket.on('heartbeat', (data) => {
-  const { serviceCode, status } = data;
-  console.log(`💓 Heartbeat from service ${serviceCode}:`, status);
-  
-  // ✅ FIX: Mark service as active when receiving ANY heartbeat from control panel
-  // This indicates the console is running and available, allowing the language
-  // selector to be visible to users even before streaming starts
-  activeServiceIds.set(serviceCode, true);
-  console.log(`✅ Service ${serviceCode} marked as active (status: ${status})`);
-  
-  // Broadcast livestream status only when actually streaming
-  // This keeps the livestream indicator (OFF/ON) separate from service availability
-  if (status === 'livestreaming' || status === 'streaming') {
-    const heartbeatRoom = `${serviceCode}:heartbeat`;
-    participantNamespace.to(heartbeatRoom).emit('livestreaming');
-    console.log(`📡 Broadcasting livestreaming to room: ${heartbeatRoom}`);
   }
-  
-  // TODO: Send back subscriber list like old version
-  // const subscribers = getActiveLanguages(io, serviceCode);
-  // socket.emit('subscribers', subscribers);
-});
-  
-  socket.on('transcriptReady', (data) => {
-  console.log(`📝 Transcript ready for service ${data.serviceCode}:`, data.transcript);
-  
+);
+
+// =====================================================
+// SOCKET.IO SETUP (Enhanced for Control Panel & Subscribers)
+// Place this code around line 634 in /src/server.js
+// This replaces the existing Socket.IO setup
+// =====================================================
+
+/**
+ * Hand a final transcript to the translation system and the legacy
+ * newTranscript broadcast.  Only called on the server that translates the
+ * service; use runOnTranslator(serviceId, 'publishTranscript', transcript).
+ * @returns {Object} { seq, text, timestamp, final: true } as sent to participants
+ */
+async function publishTranscript(serviceCode, transcript) {
+  ensureTranslationRegistered(serviceCode);
+
+  // Number every transcript so participants can put translations back in order
+  const seq = await nextTranscriptSequence(serviceCode);
+  const timestamp = new Date().toISOString();
+
   // ✅ FIX: Publish to translation system (this will handle translation and distribution)
   transcriptAvailServiceSub.next({
-    serviceCode: data.serviceCode,
-    transcript: data.transcript,
-    serviceLanguageMap
+    serviceCode,
+    transcript,
+    seq,
+    timestamp
   });
-  
+
+  archiveTranscript({ serviceCode, seq, text: transcript, timestamp });
+  recordTranscriptHistory(serviceCode, { seq, text: transcript, timestamp });
+
   // Keep existing broadcast for compatibility
-  participantNamespace.to(`service-${data.serviceCode}`).emit('newTranscript', {
-    transcript: data.transcript,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Send confirmation back to control panel
-  socket.emit('transcriptSent', {
-    success: true,
-    serviceCode: data.serviceCode
-  });
-});
-  
-  // Mark service as active when streaming starts
-  socket.on('streamingStarted', (data) => {
-    const { serviceId } = data;
-    console.log(`🎙️ Streaming started for service ${serviceId}`);
-    
-    // Mark service as active
-    activeServiceIds.set(serviceId, true);
-    
-    // Set timeout to auto-deactivate after SERVICE_TIMEOUT minutes
-    const timeout = parseInt(process.env.SERVICE_TIMEOUT || '60') * 60 * 1000;
-    setTimeout(() => {
-      console.log(`⏰ Service ${serviceId} timeout reached - auto-deactivating`);
-      activeServiceIds.delete(serviceId);
-    }, timeout);
-  });
-  
-  // Mark service as inactive when streaming stops
-  socket.on('streamingStopped', (data) => {
-    const { serviceId } = data;
-    console.log(`🛑 Streaming stopped for service ${serviceId}`);
-    activeServiceIds.delete(serviceId);
+  participantNamespace.to(`service-${serviceCode}`).emit('newTranscript', {
+    transcript,
+    seq,
+    timestamp
   });
-  
-  socket.on('disconnect', () => {
-    console.log('🔌 Control panel disconnected:', socket.id);
+
+  return { seq, text: transcript, timestamp, final: true };
+}
+
+/**
+ * Hand a partial transcript to the translation system.  It carries the
+ * sequence number the next final transcript will get, so participants can
+ * show it as a pending line and replace it when the final one arrives.
+ * @returns {Object} { seq, text, timestamp, final: false }
+ */
+async function publishInterimTranscript(serviceCode, transcript) {
+  ensureTranslationRegistered(serviceCode);
+
+  const seq = await peekTranscriptSequence(serviceCode);
+  const timestamp = new Date().toISOString();
+
+  transcriptInterimServiceSub.next({
+    serviceCode,
+    transcript,
+    seq,
+    timestamp
   });
-});
 
-// Participant namespace for clients
-const participantNamespace = io.of('/participant');
+  return { seq, text: transcript, timestamp, final: false };
+}
 
-participantNamespace.on('connection', (socket) => {
-  console.log('🔌 Participant connected via Socket.IO:', socket.id);
-  
-  // ✅ FIX: Track ALL rooms this socket joins, not just the last one
-  const socketRooms = new Map(); // Map of room -> language
-  
-  socket.on('join', (data) => {
-    let serviceId, language;
-    
-    // Handle multiple formats
-    if (typeof data === 'string') {
-      // Check if it's room format "serviceId:language"
-      if (data.includes(':')) {
-        const parts = data.split(':');
-        serviceId = parts[0];
-        language = parts[1];
-      } else {
-        // Just serviceId
-        serviceId = data;
-        language = 'unknown';
-      }
-    } else {
-      // Object format {serviceId, language}
-      serviceId = data.serviceId;
-      language = data.language || 'unknown';
+/**
+ * Subscribe this server's translation system to a service's transcripts.
+ * Each translation session is one run of the service, so it is also where
+ * the run's archive session starts; both end when streaming stops.
+ */
+function ensureTranslationRegistered(serviceId) {
+  if (!serviceSubscriptionMap.has(serviceId)) {
+    console.log(`🔧 Registering translation service for ${serviceId}`);
+    startArchiveSession(serviceId);
+    registerForServiceTranscripts({
+      io: participantRooms,
+      controlIo: controlNamespace,
+      serviceId,
+      serviceLanguageMap,
+      serviceSubscriptionMap,
+      speech: resolveTtsEngine() && createSpeechStage({ hasListeners: hasAudioListeners, deliver: deliverSpeech }),
+      presentation: presentationOutputs
+    });
+  }
+}
+
+// A spoken line goes to participants who joined with audio and to the audio
+// streams on every server
+function deliverSpeech(serviceId, language, speech) {
+  participantRooms.to(getAudioRoom(serviceId, language)).emit('audio', { serviceId, language, ...speech });
+  speechStreams.send(serviceId, language, speech);
+  emitToOtherServers('speech', serviceId, language, speech);
+}
+
+// Work that must happen on the one server translating a service: numbering
+// and translating its transcripts, its history and its archive session
+const translatorActions = {
+  publishTranscript: (serviceId, transcript) => publishTranscript(serviceId, transcript),
+  publishInterimTranscript: (serviceId, transcript) => publishInterimTranscript(serviceId, transcript),
+  getHistory: (serviceId, { language, translateMissing }) => getHistoryLines(serviceId, language, translateMissing),
+  getPresentationHealth: (serviceId) => presentationOutputs.getHealth(serviceId),
+  reloadPresentation: (serviceId) => presentationOutputs.reload(serviceId),
+  stopStreaming: async (serviceId) => {
+    closeServiceSession({ serviceId, serviceSubscriptionMap });
+    await endArchiveSession(serviceId);
+  },
+  stopService: async (serviceId) => {
+    closeServiceSession({ serviceId, serviceSubscriptionMap });
+    await presentationOutputs.closeService(serviceId);
+    clearHistory(serviceId);
+    await endArchiveSession(serviceId);
+    await releaseTranslator(serviceId);
+  }
+};
+
+/**
+ * Run a translator action for a service.  The first server to need one
+ * becomes the service's translator; the others pass their actions to it.
+ * @returns {*} The action's result, or null if it failed or nobody answered
+ */
+async function runOnTranslator(serviceId, action, payload) {
+  try {
+    if (await claimTranslator(serviceId)) {
+      return (await translatorActions[action](serviceId, payload)) ?? null;
     }
-    
-    const room = `${serviceId}:${language}`;
-    
-    // ✅ FIX: Store this room for later cleanup
-    socketRooms.set(room, { serviceId, language });
-    
-    console.log(`👤 Participant joined service: ${serviceId}, language: ${language}`);
-    
-    // Join room
-    socket.join(room);
-    console.log(`📥 Socket ${socket.id} joined room: ${room}`);
-    
-    // Register for translation service if not already registered
-    if (!serviceSubscriptionMap.has(serviceId)) {
-      console.log(`🔧 Registering translation service for ${serviceId}`);
-      registerForServiceTranscripts({
-        io: participantNamespace,
-        serviceId,
-        serviceLanguageMap,
-        serviceSubscriptionMap
-      });
+    // Answers that did arrive are still used if another server times out
+    const responses = await new Promise((resolve) => {
+      io.serverSideEmit('translatorAction', { serviceId, action, payload }, (error, responses) => resolve(responses || []));
+    });
+    const response = responses.find(response => response?.handled);
+    if (!response) {
+      console.warn(`⚠️  No server answered ${action} for service ${serviceId}`);
+      return null;
     }
-    
-    // Add language to service translation map (exclude special rooms)
-    if (language !== 'transcript' && language !== 'heartbeat') {
-      addTranslationLanguageToService({
-        serviceId,
-        language,
-        serviceLanguageMap
-      });
-      console.log(`🌐 Added language ${language} to service ${serviceId}`);
-      
-      // ✅ FIX: Only track real language rooms in subscriber count
-      // Track subscriber for control panel display
-      if (!subscriberTracker.has(serviceId)) {
-        subscriberTracker.set(serviceId, new Map());
-      }
-      const serviceSubscribers = subscriberTracker.get(serviceId);
-      
-      // Increment count for this language
-      const currentCount = serviceSubscribers.get(language) || 0;
-      serviceSubscribers.set(language, currentCount + 1);
-      
-      // Notify control panel of subscriber update
-      const languages = Array.from(serviceSubscribers.entries()).map(([name, subscribers]) => ({
-        name,
-        subscribers
-      }));
-      controlNamespace.to(`service-${serviceId}`).emit('subscribers', { languages });
-      
-      console.log(`📊 Updated subscribers for ${serviceId}:`, languages);
-    } else {
-      console.log(`⏭️  Skipping subscriber tracking for special room: ${language}`);
+    return response.result;
+  } catch (error) {
+    console.error(`❌ Error running ${action} for service ${serviceId}:`, error.message);
+    return null;
+  }
+}
+
+// Actions passed on by other servers; only the translator answers them
+io.on('translatorAction', async ({ serviceId, action, payload }, callback) => {
+  try {
+    if (!translatorActions[action] || !(await claimTranslator(serviceId))) {
+      return callback({ handled: false });
     }
+    callback({ handled: true, result: (await translatorActions[action](serviceId, payload)) ?? null });
+  } catch (error) {
+    console.error(`❌ Error running ${action} for service ${serviceId} from another server:`, error.message);
+    callback({ handled: false });
+  }
+});
+
+/**
+ * Tell every other server about something that only affects clients
+ * connected to them (e.g. native WebSocket clients).  Does nothing when
+ * this is the only server.
+ */
+function emitToOtherServers(event, ...args) {
+  if (stateShared) {
+    io.serverSideEmit(event, ...args);
+  }
+}
+
+io.on('closeServiceConnections', (serviceId) => closeServiceConnections(serviceId));
+io.on('speech', (serviceId, language, speech) => speechStreams.send(serviceId, language, speech));
+io.on('broadcastToService', (serviceId, message, rooms) => sendToServiceConnections(serviceId, message, rooms));
+
+// Tell the service's control panels who is listening to what
+async function notifySubscribers(serviceId) {
+  const languages = await getSubscribers(serviceId);
+  controlNamespace.to(`service-${serviceId}`).emit('subscribers', { languages });
+  console.log(`📊 Updated subscribers for ${serviceId}:`, languages);
+}
+
+/**
+ * Find the speech-to-text engine chosen by the organisation that owns a service
+ */
+async function resolveServiceSttEngine(serviceId) {
+  const service = await getServiceByServiceId(serviceId).catch(error => {
+    console.error(`Error fetching service ${serviceId}, using the default speech-to-text engine: ${error.message}`);
+    return null;
   });
-  
-  // ✅ NEW: Add 'leave' event handler
-  socket.on('leave', (data) => {
-    let serviceId, language;
-    
-    // Handle multiple formats
-    if (typeof data === 'string') {
-      if (data.includes(':')) {
-        const parts = data.split(':');
-        serviceId = parts[0];
-        language = parts[1];
-      } else {
-        serviceId = data;
-        language = 'unknown';
-      }
-    } else {
-      serviceId = data.serviceId;
-      language = data.language || 'unknown';
-    }
-    
-    const room = `${serviceId}:${language}`;
-    
-    console.log(`👋 Participant leaving room: ${room}`);
-    
-    // Leave the room
-    socket.leave(room);
-    
-    // ✅ Remove from tracking
-    socketRooms.delete(room);
-    
-    // ✅ Decrement subscriber count (only for real language rooms)
-    if (language !== 'transcript' && language !== 'heartbeat') {
-      const serviceSubscribers = subscriberTracker.get(serviceId);
-      if (serviceSubscribers && serviceSubscribers.has(language)) {
-        const count = serviceSubscribers.get(language);
-        
-        if (count <= 1) {
-          // Remove language entirely if this was the last subscriber
-          serviceSubscribers.delete(language);
-          console.log(`🗑️  Removed ${language} from ${serviceId} (last subscriber left)`);
-        } else {
-          // Decrement count
-          serviceSubscribers.set(language, count - 1);
-          console.log(`📉 Decremented ${language} count to ${count - 1} for ${serviceId}`);
-        }
-        
-        // Check if room is truly empty
-        const subscribersInRoom = participantNamespace.adapter.rooms.get(room)?.size || 0;
-        if (subscribersInRoom === 0) {
-          removeTranslationLanguageFromService({
-            serviceId,
-            language,
-            serviceLanguageMap
-          });
-          console.log(`🧹 Removed language ${language} from service ${serviceId} translation map`);
-        }
-        
-        // Notify control panel of subscriber update
-        const languages = Array.from(serviceSubscribers.entries()).map(([name, subscribers]) => ({
-          name,
-          subscribers
-        }));
-        controlNamespace.to(`service-${serviceId}`).emit('subscribers', { languages });
-        
-        console.log(`📊 Updated subscribers for ${serviceId}:`, languages);
-        
-        // Clean up empty service tracker
-        if (serviceSubscribers.size === 0) {
-          subscriberTracker.delete(serviceId);
-          console.log(`🧹 Cleaned up empty tracker for service ${serviceId}`);
-        }
-      }
+  return resolveSttEngine({ organisation: service?.organisations });
+}
+
+/**
+ * Start transcribing audio for a service on the server, sending the
+ * transcripts and connection status back to its control panels
+ */
+function startServerTranscription({ serviceId, language, encoding, sampleRate, interim, ownerId }) {
+  startAudioIngest({
+    serviceId,
+    engine: resolveServiceSttEngine(serviceId),
+    language,
+    encoding,
+    sampleRate,
+    ownerId,
+    onTranscript: async (transcript) => {
+      const message = await runOnTranslator(serviceId, 'publishTranscript', transcript);
+      if (message) controlNamespace.to(`service-${serviceId}`).emit('serverTranscript', message);
+    },
+    onInterim: interim ? async (transcript) => {
+      const message = await runOnTranslator(serviceId, 'publishInterimTranscript', transcript);
+      if (message) controlNamespace.to(`service-${serviceId}`).emit('serverTranscript', message);
+    } : undefined,
+    onStatus: (status, message) => {
+      controlNamespace.to(`service-${serviceId}`).emit('ingestStatus', { serviceId, status, message });
     }
   });
-  
-  socket.on('disconnect', () => {
-    console.log('🔌 Participant disconnected:', socket.id);
-    
-    // ✅ FIX: Clean up ALL rooms this socket was in, not just the last one
-    for (const [room, { serviceId, language }] of socketRooms.entries()) {
-      console.log(`🧹 Cleaning up room ${room} for disconnected socket`);
-      
-      // Decrement subscriber count (only for real language rooms)
-      if (language !== 'transcript' && language !== 'heartbeat') {
-        const serviceSubscribers = subscriberTracker.get(serviceId);
-        if (serviceSubscribers && serviceSubscribers.has(language)) {
-          const count = serviceSubscribers.get(language);
-          
-          if (count <= 1) {
-            serviceSubscribers.delete(language);
-            console.log(`🗑️  Removed ${language} from ${serviceId} (disconnected)`);
-          } else {
-            serviceSubscribers.set(language, count - 1);
-            console.log(`📉 Decremented ${language} to ${count - 1} (disconnected)`);
-          }
-          
-          // Check if room is truly empty
-          const subscribersInRoom = participantNamespace.adapter.rooms.get(room)?.size || 0;
-          if (subscribersInRoom === 0) {
-            removeTranslationLanguageFromService({
-              serviceId,
-              language,
-              serviceLanguageMap
-            });
-            console.log(`🧹 Removed language ${language} from translation map`);
-          }
-          
-          // Notify control panel
-          const languages = Array.from(serviceSubscribers.entries()).map(([name, subscribers]) => ({
-            name,
-            subscribers
-          }));
-          controlNamespace.to(`service-${serviceId}`).emit('subscribers', { languages });
-          
-          console.log(`📊 Updated subscribers for ${serviceId}:`, languages);
-          
-          // Clean up empty tracker
-          if (serviceSubscribers.size === 0) {
-            subscriberTracker.delete(serviceId);
-            console.log(`🧹 Cleaned up tracker for ${serviceId}`);
-          }
-        }
+}
+
+// History translations in progress per room, shared by everyone joining meanwhile
+const historyTranslations = new Map();
+
+/**
+ * The recent lines of a room.  If nobody was listening to the language
+ * before, the lines that were never translated into it are translated now.
+ * Runs on the server that translates the service.
+ */
+async function getHistoryLines(serviceId, language, translateMissing) {
+  if (language === 'transcript') {
+    return getTranscriptHistory(serviceId);
+  }
+  const room = `${serviceId}:${language}`;
+  const { missing } = getTranslationHistory(serviceId, language);
+  if (translateMissing && missing.length > 0 && !historyTranslations.has(room)) {
+    console.log(`📜 Translating ${missing.length} earlier line(s) of ${serviceId} into ${language}`);
+    historyTranslations.set(room, translateHistory({
+      serviceCode: serviceId,
+      language,
+      transcripts: missing
+    }).finally(() => historyTranslations.delete(room)));
+  }
+  await historyTranslations.get(room);
+  return getTranslationHistory(serviceId, language).lines;
+}
+
+/**
+ * Send a participant who has just joined a room the recent lines they missed,
+ * as a history event
+ */
+async function sendHistory(socket, serviceId, language, translateMissing) {
+  const room = `${serviceId}:${language}`;
+  try {
+    const lines = (await runOnTranslator(serviceId, 'getHistory', { language, translateMissing })) || [];
+
+    // The participant may have picked another language in the meantime
+    if (lines.length === 0 || !socket.rooms.has(room)) return;
+    socket.emit('history', { serviceId, language, lines });
+    console.log(`📜 Sent ${lines.length} earlier line(s) of ${room} to ${socket.id}`);
+  } catch (error) {
+    console.error(`❌ Error sending history for ${room}:`, error);
+  }
+}
+
+// Control panels and participants speak the protocol in src/protocol/
+const controlNamespace = io.of('/control');
+const participantNamespace = io.of('/participant');
+setSocketIo({ controlIo: controlNamespace, clientIo: participantNamespace });
+
+// Participant rooms, on /participant and on the native WebSocket endpoint.
+// Everything sent to participants' rooms goes through here, so native
+// clients get the same events: participantRooms.to(room).emit(event, payload)
+const participantRooms = {
+  to: (rooms) => ({
+    emit: (event, payload) => {
+      participantNamespace.to(rooms).emit(event, payload);
+      const byService = new Map();
+      for (const room of [].concat(rooms)) {
+        const serviceId = room.split(':')[0];
+        byService.set(serviceId, [...(byService.get(serviceId) || []), room]);
+      }
+      for (const [serviceId, serviceRooms] of byService) {
+        broadcastToService(serviceId, { type: event, ...payload }, serviceRooms);
       }
     }
-    
-    // Clear the socket's room tracking
-    socketRooms.clear();
-  });
+  })
+};
+
+// Control panels sign in with their Supabase access token
+controlNamespace.use(authenticateSocket);
+registerProtocolHandlers(controlNamespace, controlEvents, createControlHandlers({
+  participantIo: participantRooms,
+  runOnTranslator,
+  startServerTranscription
+}));
+const participantHandlers = createParticipantHandlers({
+  sendHistory,
+  notifySubscribers
 });
+registerProtocolHandlers(participantNamespace, participantEvents, participantHandlers);
 
 /**
  * Broadcast message to all Socket.IO clients in a service
@@ -1192,13 +2464,127 @@ export function broadcastToSocketIO(serviceId, event, data) {
 // END OF SOCKET.IO SETUP
 // =====================================================
 
+// =====================================================
+// SERVICE SCHEDULES
+// =====================================================
+
+// Tell a service's participants, whichever rooms they are in, when it starts
+async function sendServiceStartsIn(serviceId, notice) {
+  const languages = await getServiceLanguages(serviceId).catch(() => []);
+  const rooms = [HEARTBEAT_ROOM, TRANSCRIPT_ROOM, ...languages].map(room => `${serviceId}:${room}`);
+  participantRooms.to(rooms).emit('serviceStartsIn', describeNotice(notice));
+}
+
+// Tell everyone following a service where its scheduled run is up to
+async function announceScheduledRun(serviceId, phase, notice) {
+  if (phase !== 'ended') {
+    await sendServiceStartsIn(serviceId, notice);
+  }
+  controlNamespace.to(`service-${serviceId}`).emit('schedule', {
+    serviceId,
+    phase,
+    startsAt: notice.startsAt,
+    endsAt: notice.endsAt
+  });
+}
+
+// Starts and stops services from their weekly slots (db/schedules.js).  The
+// current run's notice is kept in the state store until the run is over, so
+// every server can tell waiting participants about it and a manual stop on
+// any server can skip it.
+const scheduler = createScheduler({
+  loadSlots: getEnabledScheduleSlots,
+  claim: claimScheduler,
+  release: releaseScheduler,
+  isRunSkipped: isScheduledRunSkipped,
+  timers: serviceTimers,
+  refreshMs: getScheduleRefreshMs(),
+  countdownMs: getScheduleCountdownMs(),
+
+  enterWaiting: async (serviceId, notice) => {
+    await setServiceNotice(serviceId, notice);
+    await announceScheduledRun(serviceId, 'waiting', notice);
+  },
+
+  countdown: (serviceId, notice) => sendServiceStartsIn(serviceId, notice),
+
+  startService: async (serviceId, notice) => {
+    await setServiceNotice(serviceId, notice);
+    if (!(await getActiveService(serviceId))) {
+      const service = await getServiceByServiceId(serviceId);
+      const languages = service?.active_languages || [];
+      await updateServiceStatus(serviceId, 'active', languages).catch(error => {
+        console.error(`❌ Error marking scheduled service ${serviceId} active:`, error.message);
+      });
+      await initializeTranslationService(serviceId, languages);
+    }
+    await announceScheduledRun(serviceId, 'live', notice);
+  },
+
+  endService: async (serviceId, notice) => {
+    await clearServiceNotice(serviceId);
+    stopAudioIngest(serviceId);
+    if (await getActiveService(serviceId)) {
+      await updateServiceStatus(serviceId, 'inactive').catch(error => {
+        console.error(`❌ Error marking scheduled service ${serviceId} inactive:`, error.message);
+      });
+      await cleanupTranslationService(serviceId);
+    }
+    await announceScheduledRun(serviceId, 'ended', notice);
+  },
+
+  clearRun: (serviceId) => clearServiceNotice(serviceId)
+});
+
+/**
+ * A service has been stopped by hand.  If a scheduled run of it is under
+ * way, the schedule leaves it stopped until the next run.
+ */
+async function stopScheduledRun(serviceId) {
+  const run = await getServiceNotice(serviceId);
+  if (!run || new Date(run.startsAt) > new Date() || new Date(run.endsAt) <= new Date()) return;
+  console.log(`⏭️  Skipping the rest of the scheduled run of ${serviceId}`);
+  await skipScheduledRun(serviceId, run.startsAt);
+  scheduler.stopRun(serviceId, run.startsAt);
+}
+
 
 
 // =====================================================
 // WEBSOCKET SETUP (native ws)
 // =====================================================
 
-const wss = new WebSocketServer({ server });
+// Audio sources (role=ingest) feed a service's transcripts, so only the
+// service's owner may connect one; anyone else is refused before the upgrade
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }, done) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const serviceId = url.searchParams.get('serviceId');
+    if (url.searchParams.get('role') !== 'ingest' || !serviceId) return done(true);
+    authenticateUpgrade(req, serviceId).then(({ status, message }) => done(!status, status, message));
+  }
+});
+
+// Native participant connections on this server, ws -> connection (see
+// handleNativeParticipant), for the rooms each has subscribed to
+const nativeParticipants = new WeakMap();
+
+// Connections that don't answer a ping before the next one are dropped, so
+// clients that vanished without closing (e.g. a display that lost power)
+// stop counting as listeners
+const wsHeartbeat = setInterval(() => {
+  wss.clients.forEach(ws => {
+    if (ws.isAlive === false) {
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, getWebSocketHeartbeatMs());
+wsHeartbeat.unref();
+wss.on('close', () => clearInterval(wsHeartbeat));
 
 wss.on('connection', (ws, req) => {
   console.log('🔌 New WebSocket connection');
@@ -1208,6 +2594,8 @@ wss.on('connection', (ws, req) => {
     console.error(`❌ WebSocket error:`, error.message);
     // Don't crash the server - just log the error
   });
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
 
   // Extract service ID from URL or headers
   const url = new URL(req.url, `http://${req.headers.host}`);
@@ -1220,28 +2608,65 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
+  // Audio sources connect with ?serviceId=...&role=ingest&language=en-GB
+  // (plus &encoding=linear16&sampleRate=16000 for raw PCM, &interim=true for
+  // partial transcripts) and send binary frames.  Their owner's token was
+  // checked before the upgrade (verifyClient above).
+  if (url.searchParams.get('role') === 'ingest') {
+    handleIngestConnection(ws, serviceId, url.searchParams);
+    return;
+  }
+
+  // Private services need ?token= (from a signed join link) or ?pin=, as on /participant
+  const credentials = {};
+  for (const name of ['token', 'pin']) {
+    if (url.searchParams.has(name)) credentials[name] = url.searchParams.get(name);
+  }
+  const handshake = { headers: req.headers, address: req.socket.remoteAddress };
+  checkServiceAccess(serviceId, credentials, getClientAddress(handshake)).then(({ allowed, code, message }) => {
+    if (!allowed) {
+      console.warn(`⚠️  WebSocket refused entry to service ${serviceId}: ${code}`);
+      if (ws.readyState === 1) ws.close(code === 'too_many_attempts' ? 4029 : 4003, message);
+      return;
+    }
+    if (ws.readyState === 1) addServiceConnection(ws, serviceId, credentials, handshake, url.searchParams);
+  });
+});
+
+/**
+ * Send a service's transcripts and translations to a native WebSocket
+ * client, which subscribes to them with the messages in nativeMessages
+ * (src/protocol/), or with ?language= in the URL
+ * @param {WebSocket} ws - Client connection
+ * @param {string} serviceId - Service ID
+ * @param {Object} credentials - { token, pin } from the URL
+ * @param {Object} handshake - { headers, address } of the upgrade request
+ * @param {URLSearchParams} params - The rest of the URL
+ */
+function addServiceConnection(ws, serviceId, credentials, handshake, params) {
   // Add connection to service connections
   if (!serviceConnections.has(serviceId)) {
     serviceConnections.set(serviceId, []);
   }
   serviceConnections.get(serviceId).push(ws);
+  changeConnectionCount(serviceId, 1).catch(error => console.error(`❌ Error counting connection for ${serviceId}:`, error.message));
 
   console.log(`✅ Client connected to service ${serviceId}`);
   console.log(`👥 Total connections for ${serviceId}: ${serviceConnections.get(serviceId).length}`);
 
-  // Handle incoming messages (if needed)
-  ws.on('message', (message) => {
-    try {
-      console.log(`📨 Message from client on service ${serviceId}:`, message.toString());
-      // TODO: Handle client messages if needed
-    } catch (error) {
-      console.error(`❌ Error processing message:`, error.message);
-    }
+  const connection = handleNativeParticipant({
+    ws,
+    serviceId,
+    credentials,
+    handshake,
+    createHandlers: participantHandlers
   });
+  nativeParticipants.set(ws, connection);
 
   // Handle connection close
   ws.on('close', () => {
     console.log(`🔌 Client disconnected from service ${serviceId}`);
+    changeConnectionCount(serviceId, -1).catch(error => console.error(`❌ Error counting connection for ${serviceId}:`, error.message));
     
     // Remove from connections
     const connections = serviceConnections.get(serviceId);
@@ -1265,13 +2690,19 @@ wss.on('connection', (ws, req) => {
         type: 'connection',
         message: 'Connected to translation service',
         serviceId: serviceId,
+        protocol: NATIVE_PROTOCOL_VERSION,
+        messages: Object.keys(nativeMessages),
         timestamp: new Date().toISOString()
       }));
     }
   } catch (error) {
     console.error(`❌ Error sending initial message:`, error.message);
   }
-});
+
+  if (params.get('language')) {
+    connection.subscribe({ language: params.get('language'), audio: params.get('audio') === 'true' });
+  }
+}
 
 // ✅ CRITICAL FIX: Server-level error handler prevents crashes
 wss.on('error', (error) => {
@@ -1280,32 +2711,101 @@ wss.on('error', (error) => {
 });
 
 /**
- * Broadcast message to all clients connected to a service
+ * Native WebSocket audio source for server-side transcription
+ */
+function handleIngestConnection(ws, serviceId, params) {
+  const language = params.get('language');
+  if (!language) {
+    ws.close(1008, 'language is required');
+    return;
+  }
+
+  const ownerId = `ws-${serviceId}-${Date.now()}`;
+  const sendStatus = (status, message) => {
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify({ type: 'ingestStatus', serviceId, status, message }));
+    }
+  };
+
+  startAudioIngest({
+    serviceId,
+    engine: resolveServiceSttEngine(serviceId),
+    language,
+    encoding: params.get('encoding') || undefined,
+    sampleRate: parseInt(params.get('sampleRate')) || undefined,
+    ownerId,
+    onTranscript: async (transcript) => {
+      const message = await runOnTranslator(serviceId, 'publishTranscript', transcript);
+      if (!message) return;
+      controlNamespace.to(`service-${serviceId}`).emit('serverTranscript', message);
+      if (ws.readyState === 1) {
+        ws.send(JSON.stringify({ type: 'transcript', ...message }));
+      }
+    },
+    onInterim: params.get('interim') === 'true' ? async (transcript) => {
+      const message = await runOnTranslator(serviceId, 'publishInterimTranscript', transcript);
+      if (message && ws.readyState === 1) {
+        ws.send(JSON.stringify({ type: 'transcript', ...message }));
+      }
+    } : undefined,
+    onStatus: (status, message) => {
+      controlNamespace.to(`service-${serviceId}`).emit('ingestStatus', { serviceId, status, message });
+      sendStatus(status, message);
+    }
+  });
+
+  ws.on('message', (message, isBinary) => {
+    if (isBinary) {
+      pushAudio(serviceId, message);
+    } else if (message.toString() === 'stop') {
+      stopAudioIngest(serviceId);
+    }
+  });
+
+  ws.on('close', () => {
+    console.log(`🔌 Audio source disconnected from service ${serviceId}`);
+    stopAudioIngestForOwner(ownerId);
+  });
+}
+
+/**
+ * Broadcast message to the native WebSocket clients of a service, on every server
  * @param {string} serviceId - Service ID
- * @param {Object} message - Message to broadcast
+ * @param {Object} message - Message to broadcast, { type, ...payload }
+ * @param {string[]} [rooms] - Only to clients subscribed to one of these rooms
  */
-export function broadcastToService(serviceId, message) {
+export function broadcastToService(serviceId, message, rooms) {
+  sendToServiceConnections(serviceId, message, rooms);
+  emitToOtherServers('broadcastToService', serviceId, message, rooms);
+}
+
+// Send to the native WebSocket clients of a service connected to this
+// server.  Messages for a room say which language it is.
+function sendToServiceConnections(serviceId, message, rooms) {
   const connections = serviceConnections.get(serviceId);
   if (!connections || connections.length === 0) {
     return;
   }
 
-  const messageStr = JSON.stringify(message);
   let sentCount = 0;
 
   connections.forEach(ws => {
     try {
-      if (ws.readyState === 1) { // WebSocket.OPEN
-        ws.send(messageStr);
-        sentCount++;
+      let outgoing = message;
+      if (rooms) {
+        const room = rooms.find(room => nativeParticipants.get(ws)?.rooms.has(room));
+        if (!room) return;
+        outgoing = { type: message.type, language: room.slice(serviceId.length + 1), ...message };
       }
+      sendNativeMessage(ws, outgoing);
+      sentCount++;
     } catch (error) {
       console.error(`❌ Error broadcasting to client:`, error.message);
       // Continue with other clients even if one fails
     }
   });
 
-  console.log(`📡 Broadcast to service ${serviceId}: ${sentCount} clients`);
+  if (process.env.EXTRA_DEBUGGING) console.log(`📡 Broadcast ${message.type} to service ${serviceId}: ${sentCount} clients`);
 }
 
 // =====================================================
@@ -1342,10 +2842,20 @@ app.use((err, req, res, next) => {
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, cleaning up...');
   
-  // Stop all active services
-  for (const [serviceId] of activeServices) {
-    await cleanupTranslationService(serviceId);
+  // Stop all active services, unless other servers carry on running them
+  if (!stateShared) {
+    for (const serviceId of await getActiveServiceIds()) {
+      await cleanupTranslationService(serviceId);
+    }
   }
+  await scheduler.stop();
+  serviceTimers.clearAll();
+  speechStreams.closeAll();
+  await presentationOutputs.closeAll();
+  stopAllAudioIngest();
+  closeAllServiceSessions({ serviceSubscriptionMap });
+  await endAllArchiveSessions();
+  await closeState();
   
   // Close server
   server.close(() => {
@@ -1357,10 +2867,20 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, cleaning up...');
   
-  // Stop all active services
-  for (const [serviceId] of activeServices) {
-    await cleanupTranslationService(serviceId);
+  // Stop all active services, unless other servers carry on running them
+  if (!stateShared) {
+    for (const serviceId of await getActiveServiceIds()) {
+      await cleanupTranslationService(serviceId);
+    }
   }
+  await scheduler.stop();
+  serviceTimers.clearAll();
+  speechStreams.closeAll();
+  await presentationOutputs.closeAll();
+  stopAllAudioIngest();
+  closeAllServiceSessions({ serviceSubscriptionMap });
+  await endAllArchiveSessions();
+  await closeState();
   
   // Close server
   server.close(() => {
@@ -1432,7 +2952,10 @@ server.listen(PORT, () => {
   console.log('   GET  /organisation/configuration → Control panel config');
   console.log('   GET  /api/organisation/profile   → User profile (auth)');
   console.log('   GET  /api/services         → User services (auth)');
+  console.log('   GET  /api/organisation/schedule  → Service schedule (auth)');
   console.log('===========================================');
+
+  scheduler.start();
 });
 
 // Export for testing
@@ -0,0 +1,207 @@
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { getServiceAccess } from '../../db/services.js';
+import {
+    getAccessLockoutSeconds,
+    getJoinLinkSecret,
+    getJoinLinkMaxTtlMinutes,
+    getJoinLinkTtlMinutes,
+    getMaxAccessAttempts,
+    isProxyTrusted
+} from '../repositories/access.js';
+import { clearAccessFailures, getAccessLockout, lockOutAccess, recordAccessAttempt } from '../state/index.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const VISIBILITIES = ['public', 'private'];
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+// Services are looked up at most this often, so changes to a service's
+// visibility can take this long to reach other servers
+const ACCESS_CACHE_MS = 30 * 1000;
+const accessCache = new Map(); // serviceId -> { access, expires }
+
+// Lockouts stop growing at an hour, and wrong attempts are forgotten an hour
+// after the last one
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const ACCESS_FAILURE_TTL_MS = 60 * 60 * 1000;
+
+let generatedSecret = null;
+const getSigningSecret = () => {
+    const secret = getJoinLinkSecret();
+    if (secret) return secret;
+    if (!generatedSecret) {
+        console.warn('⚠️  JOIN_LINK_SECRET is not set, join links will only work on this server until it restarts');
+        generatedSecret = randomBytes(32).toString('hex');
+    }
+    return generatedSecret;
+}
+
+const sign = (payload) => createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+
+const safeEqual = (a, b) => a.length === b.length && timingSafeEqual(a, b);
+
+/**
+ * How long a join link should work for
+ * @param {number} [minutes] - Asked for, defaults to JOIN_LINK_TTL_MINUTES
+ * @returns {number} Minutes, at most JOIN_LINK_MAX_TTL_MINUTES
+ */
+export const resolveJoinLinkTtl = (minutes) => {
+    const requested = Number(minutes);
+    const ttl = Number.isFinite(requested) && requested > 0 ? requested : getJoinLinkTtlMinutes();
+    return Math.min(ttl, getJoinLinkMaxTtlMinutes());
+}
+
+/**
+ * Make a token that lets its holder join a service until it expires
+ * @param {string} serviceId - Service ID
+ * @param {number} ttlMinutes - How long it works for
+ * @returns {Object} { token, expiresAt }
+ */
+export const createJoinToken = (serviceId, ttlMinutes) => {
+    const expires = Math.floor(Date.now() / 1000 + ttlMinutes * 60);
+    const payload = Buffer.from(JSON.stringify({ s: serviceId, e: expires })).toString('base64url');
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+}
+
+/**
+ * Check a join token was made by a server with our secret, for this service,
+ * and has not expired
+ * @param {string} token
+ * @param {string} serviceId
+ * @returns {boolean}
+ */
+export const verifyJoinToken = (token, serviceId) => {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return false;
+    if (!safeEqual(Buffer.from(signature), Buffer.from(sign(payload)))) return false;
+    try {
+        const { s, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return s === serviceId && Number.isFinite(e) && e * 1000 > Date.now();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Hash a participant PIN for storing with the service
+ * @param {string} pin - 4 to 8 digits
+ * @returns {Promise<string>} "scrypt:<salt>:<hash>"
+ */
+export const hashPin = async (pin) => {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(pin, salt, 32);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+const verifyPin = async (pin, stored) => {
+    const [scheme, salt, hash] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    return safeEqual(await scryptAsync(pin, salt, 32), Buffer.from(hash, 'hex'));
+}
+
+/**
+ * A service as sent to its owner: the PIN hash is replaced by hasPin
+ * @param {Object} service - Row from the services table
+ * @returns {Object}
+ */
+export const describeServiceAccess = ({ access_pin_hash, ...service }) => ({ ...service, hasPin: !!access_pin_hash });
+
+const loadAccess = async (serviceId) => {
+    const cached = accessCache.get(serviceId);
+    if (cached && cached.expires > Date.now()) return cached.access;
+
+    // Services that aren't in the database (e.g. the default "1234") are public
+    const access = (await getServiceAccess(serviceId)) || { visibility: 'public', access_pin_hash: null };
+    accessCache.set(serviceId, { access, expires: Date.now() + ACCESS_CACHE_MS });
+    return access;
+}
+
+/**
+ * Forget what is known about a service's visibility, after it has been changed
+ * @param {string} serviceId
+ */
+export const invalidateServiceAccess = (serviceId) => {
+    accessCache.delete(serviceId);
+}
+
+/**
+ * The address a request or handshake came from.  With TRUST_PROXY=true it
+ * is the one the proxy added to X-Forwarded-For, since every client reaches
+ * the server from the proxy's address.
+ * @param {Object} request - { headers, address }
+ * @returns {string}
+ */
+export const getClientAddress = ({ headers, address }) => {
+    const forwarded = isProxyTrusted() && headers?.['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',').pop().trim();
+    return address || 'unknown';
+}
+
+const tooManyAttempts = (lockedUntil) => {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    const minutes = Math.ceil(retryAfter / 60);
+    return {
+        allowed: false,
+        code: 'too_many_attempts',
+        message: `Too many incorrect PINs or links, try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+        retryAfter
+    };
+}
+
+// Count an attempt before it is checked.  Up to the limit attempts are
+// checked freely; the one that reaches it, and each one after a lockout
+// ends, locks the client out first (for twice as long every time) and is
+// the only one checked.  Attempts made meanwhile are refused unchecked.
+// @returns {boolean} Whether the attempt may be checked
+const recordAttempt = async (serviceId, client) => {
+    const attempts = await recordAccessAttempt(serviceId, client, ACCESS_FAILURE_TTL_MS);
+    const over = attempts - getMaxAccessAttempts();
+    if (over < 0) return true;
+    const lockoutMs = Math.min(getAccessLockoutSeconds() * 1000 * 2 ** over, MAX_LOCKOUT_MS);
+    if (!await lockOutAccess(serviceId, client, lockoutMs, attempts)) return false;
+    console.warn(`⚠️  ${client} is locked out of service ${serviceId} for ${Math.round(lockoutMs / 1000)}s after ${attempts} attempts`);
+    return true;
+}
+
+/**
+ * Decide whether a participant may join a service.  Public services let
+ * anyone in; private ones need a join link token or the PIN.  Wrong PINs
+ * and links are counted per service and client address on every server,
+ * and too many lock the client out for a while, however it connects.
+ * @param {string} serviceId
+ * @param {Object} credentials - { token, pin }, either may be missing
+ * @param {string} client - Client address, see getClientAddress
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, code, message }, plus
+ *          retryAfter (seconds) when the code is too_many_attempts
+ */
+export const checkServiceAccess = async (serviceId, { token, pin } = {}, client = 'unknown') => {
+    try {
+        const access = await loadAccess(serviceId);
+        if (access.visibility !== 'private') return { allowed: true };
+
+        const lockedUntil = await getAccessLockout(serviceId, client);
+        if (lockedUntil) return tooManyAttempts(lockedUntil);
+
+        if (!token && !pin) {
+            return { allowed: false, code: 'access_required', message: 'This service is private, a join link or PIN is needed' };
+        }
+        if (!await recordAttempt(serviceId, client)) {
+            return tooManyAttempts(await getAccessLockout(serviceId, client) || Date.now());
+        }
+
+        if ((token && verifyJoinToken(token, serviceId)) ||
+            (pin && access.access_pin_hash && await verifyPin(String(pin), access.access_pin_hash))) {
+            await clearAccessFailures(serviceId, client);
+            return { allowed: true };
+        }
+        if (token) return { allowed: false, code: 'invalid_link', message: 'This join link is not valid or has expired' };
+        return { allowed: false, code: 'invalid_pin', message: 'Incorrect PIN' };
+    } catch (error) {
+        console.error(`❌ Error checking access to service ${serviceId}:`, error.message);
+        return { allowed: false, code: 'access_check_failed', message: 'Unable to check access to this service' };
+    }
+}
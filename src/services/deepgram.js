@@ -1,8 +1,5 @@
-import { createClient} from "@deepgram/sdk";
-import { getDeepgramApiKey, getDeepgramProjectId } from "../repositories/deepgram.js";
 import { getOrganisationByKey } from "../../db/organisations.js";
-
-const deepgram = createClient(getDeepgramApiKey());
+import { resolveSttEngine } from "../stt/engines/index.js";
 
 export const authService = async ({ serviceId, organisationKey }) => {
     try {
@@ -44,22 +41,20 @@ export const authService = async ({ serviceId, organisationKey }) => {
             console.warn(`⚠️  Organisation key ${organisationKey} doesn't match ORGANISATION_KEY env var`);
         }
 
-        // Get a Token used for making the Websocket calls in the front end
-        console.log(`🔑 Requesting temporary Deepgram key for service ${serviceId}`);
-        const keyResult = await deepgram.manage.createProjectKey(getDeepgramProjectId(),
-            {
-                comment: `Service ${serviceId} - ${organisation.name}`,
-                scopes: ["usage:write"],
-                time_to_live_in_seconds: 10
-            })
+        // Credentials depend on the organisation's speech-to-text engine:
+        // Deepgram hands out a short lived key so the browser can stream
+        // directly, other engines need the audio sent through the server
+        const engine = resolveSttEngine({ organisation });
+        const credentials = await engine.authService({ serviceId, organisation });
 
-        console.log(`✅ Deepgram token created successfully for ${organisation.name}`);
+        console.log(`✅ ${engine.name} speech-to-text ready for ${organisation.name}`);
         return {
             success: true,
             statusCode: 200,
-            message: 'Successfully obtained deepgram token',
+            message: `Successfully authenticated with ${engine.name}`,
             responseObject: {
-                deepgramToken: keyResult.result.key,
+                ...credentials,
+                engine: engine.name,
                 organisationName: organisation.name,
                 organisationKey: organisation.organisation_key
             }
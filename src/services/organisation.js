@@ -62,7 +62,7 @@ export const configurationService = () => {
 export const statusService = (serviceId) => {
     try {
         // See if this service ID exists in the service map
-        const active = serviceSubscriptionMap.get(serviceId);
+        const active = serviceSubscriptionMap.has(serviceId);
         if (process.env.EXTRA_DEBUGGING) console.log(`Checking if ${serviceId} exists in the serviceSubscriptionMap: ${active}`);
         return {
             success: true,
@@ -137,7 +137,7 @@ export const getActiveLanguages = (io, serviceId) => {
 
     // Get the number of subscribers to the transcript
     const transcriptRoom = `${serviceId}:transcript`;
-    const transcriptRoomObj = io.sockets.adapter.rooms.get(transcriptRoom);
+    const transcriptRoomObj = io.adapter.rooms.get(transcriptRoom);
     const transcriptSubscribers = (transcriptRoomObj == undefined) ? 0 : transcriptRoomObj.size;
 
     // Get the languages currently active 
@@ -156,7 +156,7 @@ export const getActiveLanguages = (io, serviceId) => {
     // Get the number of subscribers for each of the languages
     for (let language in langArray) {
         const room = `${serviceId}:${langArray[language]}`;
-        const clients = io.sockets.adapter.rooms.get(room).size;
+        const clients = io.adapter.rooms.get(room).size;
         const languageEntry = {
             name: langArray[language],
             subscribers: clients
@@ -0,0 +1,92 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const templatePath = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'views', 'overlay.html');
+let template = null;
+
+// How captions look when the URL doesn't say.  Values from the URL that
+// can't be used fall back to these, so a typo in an encoder's settings
+// still shows captions.
+export const OVERLAY_DEFAULTS = {
+    font: 'Arial, Helvetica, sans-serif',
+    size: 42,              // px
+    lines: 2,              // final lines shown at once
+    color: 'ffffff',       // text
+    background: '000000a0', // behind the text, "transparent" for none
+    outline: '000000',     // around the text, "transparent" for none
+    position: 'bottom',    // top, middle or bottom
+    align: 'center',       // left, center or right
+    margin: 40,            // px from the edge
+    width: 90,             // % of the page
+    interim: true,         // show partial lines as they are spoken
+    hold: 0                // seconds captions stay after the last line, 0 for ever
+};
+
+const COLOR_PATTERN = /^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8}|[a-z]{3,20})$/i;
+const FONT_PATTERN = /^[A-Za-z0-9 ,'-]{1,100}$/;
+
+const toColor = (value) => (/^[0-9a-f]+$/i.test(value) ? `#${value}` : value);
+
+const readNumber = (value, min, max, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+const readChoice = (value, choices, fallback) => (choices.includes(value) ? value : fallback);
+
+/**
+ * Caption options from an overlay URL's query, e.g.
+ * ?font=Verdana&size=36&lines=3&color=ffff00&background=transparent&position=top
+ * @param {Object} query - req.query
+ * @returns {Object} Options, see OVERLAY_DEFAULTS
+ */
+export const parseOverlayOptions = (query = {}) => {
+    const text = (name, pattern) => (typeof query[name] === 'string' && pattern.test(query[name]) ? query[name] : OVERLAY_DEFAULTS[name]);
+    return {
+        font: text('font', FONT_PATTERN),
+        size: readNumber(query.size, 8, 200, OVERLAY_DEFAULTS.size),
+        lines: Math.round(readNumber(query.lines, 1, 10, OVERLAY_DEFAULTS.lines)),
+        color: text('color', COLOR_PATTERN),
+        background: text('background', COLOR_PATTERN),
+        outline: text('outline', COLOR_PATTERN),
+        position: readChoice(query.position, ['top', 'middle', 'bottom'], OVERLAY_DEFAULTS.position),
+        align: readChoice(query.align, ['left', 'center', 'right'], OVERLAY_DEFAULTS.align),
+        margin: readNumber(query.margin, 0, 1000, OVERLAY_DEFAULTS.margin),
+        width: readNumber(query.width, 10, 100, OVERLAY_DEFAULTS.width),
+        interim: query.interim === undefined ? OVERLAY_DEFAULTS.interim : query.interim !== 'false',
+        hold: readNumber(query.hold, 0, 3600, OVERLAY_DEFAULTS.hold)
+    };
+}
+
+/**
+ * The overlay page for a service's captions in one language (or
+ * "transcript" for the untranslated text)
+ * @param {Object} data
+ * @param {string} data.serviceId
+ * @param {string} data.language
+ * @param {Object} data.options - From parseOverlayOptions
+ * @returns {Promise<string>} HTML
+ */
+export const renderOverlayPage = async ({ serviceId, language, options }) => {
+    template ??= await readFile(templatePath, 'utf8');
+
+    const justify = { top: 'flex-start', middle: 'center', bottom: 'flex-end' }[options.position];
+    const outline = toColor(options.outline);
+    const style = [
+        `--caption-font: ${options.font};`,
+        `--caption-size: ${options.size}px;`,
+        `--caption-color: ${toColor(options.color)};`,
+        `--caption-background: ${toColor(options.background)};`,
+        `--caption-shadow: ${options.outline === 'transparent' ? 'none' : `0 0 4px ${outline}, 0 0 2px ${outline}`};`,
+        `--caption-justify: ${justify};`,
+        `--caption-align: ${options.align};`,
+        `--caption-margin: ${options.margin}px;`,
+        `--caption-width: ${options.width}%;`
+    ].join('\n            ');
+    // Only what the page's script needs; < is escaped so nothing can close the script tag
+    const config = JSON.stringify({ serviceId, language, lines: options.lines, interim: options.interim, hold: options.hold })
+        .replace(/</g, '\\u003c');
+
+    return template.replace('{{style}}', () => style).replace('{{config}}', () => config);
+}
@@ -1,18 +1,28 @@
 import QRCode from 'qrcode';
 import { getDebabelClientUrl } from '../repositories/index.js';
+import { createJoinToken, resolveJoinLinkTtl } from './access.js';
 
 // Get the URL of the app
 const clientUrl = getDebabelClientUrl(); 
 
-export const generateQR = async ({serviceId, organisationKey, format = 'svg'}) => {
-    console.log(`🔍 QR Generation - Received params:`, { serviceId, organisationKey, format, clientUrl });
+export const generateQR = async ({serviceId, organisationKey, format = 'svg', signed = false, expiresInMinutes}) => {
+    console.log(`🔍 QR Generation - Received params:`, { serviceId, organisationKey, format, signed, clientUrl });
 
     // Build URL with both organisation and serviceId parameters
-    const url = organisationKey
+    let url = organisationKey
         ? `${clientUrl}?organisation=${encodeURIComponent(organisationKey)}&serviceId=${serviceId}`
         : `${clientUrl}?serviceId=${serviceId}`;
 
-    console.log(`✅ Generating QR code for URL: ${url}`);
+    // A signed link gets participants into a private service until it expires
+    let expiresAt = null;
+    if (signed) {
+        const joinToken = createJoinToken(String(serviceId), resolveJoinLinkTtl(expiresInMinutes));
+        url += `&token=${joinToken.token}`;
+        expiresAt = joinToken.expiresAt;
+    }
+
+    // The token itself is kept out of the logs
+    console.log(`✅ Generating QR code for URL: ${url.split('&token=')[0]}${signed ? ` (signed until ${expiresAt})` : ''}`);
     try {
         let qrcode;
         
@@ -37,7 +47,9 @@ export const generateQR = async ({serviceId, organisationKey, format = 'svg'}) =
             message: `QR Code generated successfully`,
             responseObject: {
                 qrCode: qrcode,
-                format: format
+                format: format,
+                url: url,
+                expiresAt: expiresAt
             }
         }
     } catch (err) {
@@ -1,12 +1,25 @@
-import { clientSubscriptionMap, roomSubscriptionMap, serviceLanguageMap } from "../repositories/index.js";
+import { getSubscriberCount } from "../state/index.js";
+import { isLanguageRoom } from "../protocol/index.js";
 import { parseRoom } from "../utils/room.js";
 import { getClientIo } from "./socketio.js";
 
-export const getSubscribersInRoom = (roomId) => {
+// Rooms of every participant socket, on every server.  Each socket's own
+// room (named after its ID) is left out.
+const getParticipantRooms = async () => {
+    const sockets = await getClientIo().fetchSockets();
+    return sockets.map(socket => ({
+        socketId: socket.id,
+        rooms: Array.from(socket.rooms).filter(room => room !== socket.id)
+    }));
+}
+
+// Language rooms are counted the same way as on the control panel
+export const getSubscribersInRoom = async (roomId) => {
     try {
-        const clientIo = getClientIo();
-        const clients = (clientIo.sockets.adapter.rooms.get(roomId) != undefined)
-            ? clientIo.sockets.adapter.rooms.get(roomId).size : 0;
+        const { serviceId, language } = parseRoom(roomId);
+        const clients = (language && isLanguageRoom(language))
+            ? await getSubscriberCount(serviceId, language)
+            : (await getClientIo().in(roomId).fetchSockets()).length;
         return {
             success: true,
             statusCode: 200,
@@ -28,11 +41,13 @@ export const getSubscribersInRoom = (roomId) => {
     }
 }
 
-export const getSubscribersInAllRooms = () => {
+export const getSubscribersInAllRooms = async () => {
     try {
         let subscriberString = {};
-        for (const [key, value] of roomSubscriptionMap.entries()) {
-            subscriberString[key] = value;
+        for (const { socketId, rooms } of await getParticipantRooms()) {
+            rooms.forEach(room => {
+                subscriberString[room] = [...(subscriberString[room] || []), socketId];
+            });
         }
         return {
             success: true,
@@ -55,11 +70,11 @@ export const getSubscribersInAllRooms = () => {
     }
 };
 
-export const getRoomsForAllClients = async (req, res) => {
+export const getRoomsForAllClients = async () => {
     try {
         let subscriberString = {};
-        for (const [key, value] of clientSubscriptionMap.entries()) {
-            subscriberString[key] = value;
+        for (const { socketId, rooms } of await getParticipantRooms()) {
+            if (rooms.length > 0) subscriberString[socketId] = rooms;
         }
         return {
             success: true,
@@ -81,115 +96,3 @@ export const getRoomsForAllClients = async (req, res) => {
         }
     }
 };
-
-export const disconnectClientFromAllRooms = (data) => {
-    const { socket } = data;
-    const client = socket.id;
-    if (clientSubscriptionMap.get(client) === undefined) {
-        console.log(`Client ${client} is already disconnected from all rooms.`);
-    } else {
-        let subscriberString = {};
-        for (const [key, value] of clientSubscriptionMap.entries()) {
-            subscriberString[key] = value;
-        }
-        const roomArray = clientSubscriptionMap.get(client);
-        roomArray.forEach((room) => {
-            console.log(`CLient ${client} leaving room ${room}`);
-            socket.leave(room);
-            removeClientFromRoom({ room, socketId: client });
-        });
-        // Remove this client completely
-        clientSubscriptionMap.set(client, {});
-        clientSubscriptionMap.delete(client);
-
-    }
-    let subscriberString = {};
-    for (const [key, value] of clientSubscriptionMap.entries()) {
-        subscriberString[key] = value;
-    }
-}
-
-export const addClientToRoom = (data) => {
-    const { room, socketId } = data;
-    //debug    console.log(`addClientToRoom: room-> ${room}, socketId-> ${socketId}`);
-    if (roomSubscriptionMap.get(room) === undefined) {
-        roomSubscriptionMap.set(room, [socketId]);
-    } else {
-        let subArray = roomSubscriptionMap.get(room);
-        if (subArray.indexOf(socketId) === -1) {
-            subArray.push(socketId);
-        }
-    }
-}
-export const removeClientFromRoom = (data) => {
-    const { room, socketId } = data;
-    //debug    console.log(`removeClientFromRoom: room-> ${room}, socketId-> ${socketId}`);
-    if (roomSubscriptionMap.get(room) === undefined) {
-        if (process.env.EXTRA_DEBUGGING) console.log(`Not removing ${socketId} from roomSubscriptionMap room-> ${room} since it is now empty`);
-    } else {
-        // Remove this client from the room
-        let subArray = roomSubscriptionMap.get(room);
-        const index = subArray.indexOf(socketId);
-        if (index !== -1) {
-            subArray.splice(index, 1);
-        }
-
-        // If there are no other clients in this room, delete it
-        if (subArray.length === 0) {
-            console.log(`Room ${room} is now empty`);
-            roomSubscriptionMap.delete(room);
-
-            // Also remove this language for this service
-            const { serviceId, language } = parseRoom(room);
-            if (language !== "transcript") {
-                console.log(`Removing language ${language} from service ${serviceId} in room ${room}`);
-                const langArray = serviceLanguageMap.get(serviceId);
-                const langIdx = langArray.indexOf(language);
-                if (langIdx !== -1) {
-                    langArray.splice(langIdx, 1);
-                }
-            }
-        }
-    }
-}
-export const addRoomToClient = (data) => {
-    const { room, socketId } = data;
-    if (clientSubscriptionMap.get(socketId) === undefined) {
-        clientSubscriptionMap.set(socketId, [room]);
-    } else {
-        let subArray = clientSubscriptionMap.get(socketId);
-        if (subArray.indexOf(room) === -1) {
-            subArray.push(room);
-        }
-    }
-}
-export const removeRoomFromClient = (data) => {
-    const { room, socketId } = data;
-    if (clientSubscriptionMap.get(socketId) === undefined) {
-        if (process.env.EXTRA_DEBUGGING) console.log(`Not removing ${room} from client-> ${socketId} since it is already empty`);
-    } else {
-        // Remove the room from the client
-        console.log(`Attempting to remove room ${room} from client ${socketId}`);
-        let roomArray = clientSubscriptionMap.get(socketId);
-        const roomIdx = roomArray.indexOf(room);
-        if (roomIdx !== -1) {
-            roomArray.splice(roomIdx, 1);
-        }
-    }
-}
-
-// Helper function to make sure room exists for this server
-export const isRoomValid = (data) => {
-    const { serviceId, language } = data;
-    if (typeof serviceId === "undefined") {
-        console.log(`ERROR: client is attempting to connect to a service that is not currently running on this server.`);
-        return false;
-    } else if (typeof language === "undefined") {
-        console.log(`ERROR: client did not provide a language to subscribe to.`);
-        return false;
-    } else if (serviceLanguageMap.get(serviceId) === undefined) {
-        console.log(`ERROR:  trying to subscribe to a service that isn't currently running.`);
-        return false;
-    }
-    return true;
-}
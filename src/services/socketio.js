@@ -1,48 +1,18 @@
-import { Server } from 'socket.io';
-
-let io;
-let clientConnections;
-let clientIoSocket;
-
+// The Socket.IO namespaces, set by the server once they exist so services
+// and REST endpoints can look at the rooms
 let controlIo;
-let controlConnections;
-let controlIoSocket;
-
-export const initializeSocketIo = (server) => {
-    io = new Server(server, {
-        connectionStateRecovery: {},
-        path: '/socket.io',
-        cors: {
-            origin: "*"
-        }
-    });
-    controlIo = io.of("/control");
+let clientIo;
 
-    // Multi tenant support (organisation-<tenant ID>)
-    clientConnections = io.of(/^\/organisation-\d+$/);
-    controlConnections = io.of(/^\/control-\d+$/);
-
-    return { controlIo, io, clientConnections, controlConnections }
+export const setSocketIo = (namespaces) => {
+    controlIo = namespaces.controlIo;
+    clientIo = namespaces.clientIo;
 }
 
 export const getControlIo = () => {
     return controlIo;
 }
-export const getClientIo = () => {
-    return io;
-}
 
-export const setControlIoSocket = (socket) => {
-    controlIoSocket = socket;
-}
-export const getControlIoSocket = () => {
-    return controlIoSocket;
-}
-
-export const setClientIoSocket = (socket) => {
-    clientIoSocket = socket;
-}
-export const getClientIoSocket = () => {
-    return clientIoSocket;
+// The /participant namespace
+export const getClientIo = () => {
+    return clientIo;
 }
-
@@ -0,0 +1,388 @@
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
+import { createMemoryStore } from './stores/memory.js';
+import { createRedisStore } from './stores/redis.js';
+import {
+    getRedisKeyPrefix,
+    getRedisUrl,
+    getStateStoreType,
+    getTranslatorLeaseTime,
+    getTranslatorRequestTimeout
+} from '../repositories/state.js';
+
+// Live state that has to agree across every server: who is listening to
+// which language, which services are running and which server translates
+// each service.  Counts are kept per server, so the ones from a server that
+// has gone away can be ignored.
+
+// Identifies this server in shared state
+export const nodeId = `${hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+
+// Servers refresh their node key this often; a key that expires means the server is gone
+const NODE_HEARTBEAT_MS = 5000;
+const NODE_EXPIRY_MS = NODE_HEARTBEAT_MS * 3;
+
+let storePromise = null;
+let heartbeatTimer = null;
+let leaseTimer = null;
+// Services this server currently translates
+const ownedServices = new Set();
+
+const createStore = async () => {
+    const type = getStateStoreType();
+    if (type === 'redis') {
+        return createRedisStore({ url: getRedisUrl(), prefix: getRedisKeyPrefix(), requestsTimeout: getTranslatorRequestTimeout() });
+    }
+    if (type !== 'memory') {
+        console.warn(`⚠️  Unknown STATE_STORE "${type}", keeping state in memory`);
+    }
+    return createMemoryStore();
+}
+
+const getStore = () => {
+    if (!storePromise) {
+        storePromise = createStore().then((store) => {
+            console.log(`🗃️  Live state is kept in ${store.name} (server ${nodeId})`);
+            if (store.shared) {
+                const beat = () => store.setValue(`node:${nodeId}`, Date.now(), NODE_EXPIRY_MS).catch(error => {
+                    console.error(`❌ Unable to refresh server heartbeat: ${error.message}`);
+                });
+                beat();
+                heartbeatTimer = setInterval(beat, NODE_HEARTBEAT_MS);
+                heartbeatTimer.unref();
+            }
+            return store;
+        });
+    }
+    return storePromise;
+}
+
+/**
+ * Connect to the state store and give Socket.IO an adapter that reaches every
+ * server sharing it.  Must finish before the server starts listening.
+ * @param {Object} io - Socket.IO server
+ * @returns {boolean} True if state is shared with other servers
+ */
+export const initialiseState = async (io) => {
+    const store = await getStore();
+    const adapter = await store.createSocketAdapter();
+    if (adapter) {
+        io.adapter(adapter);
+        console.log('🔗 Socket.IO rooms are shared through Redis');
+    }
+    return store.shared;
+}
+
+export const isStateShared = async () => (await getStore()).shared;
+
+// Per-server counts are stored as "<name>@<nodeId>" fields of a hash
+const changeNodeCount = async (key, name, by) => {
+    const store = await getStore();
+    const field = `${name}@${nodeId}`;
+    const count = await store.incrementField(key, field, by);
+    if (count <= 0) {
+        await store.deleteField(key, field);
+    }
+}
+
+// Add up the per-server counts of a hash, dropping the counts of servers that have gone
+const sumNodeCounts = async (key) => {
+    const store = await getStore();
+    const fields = await store.getFields(key);
+    const alive = new Map([[nodeId, true]]);
+    const totals = {};
+
+    for (const [field, value] of Object.entries(fields || {})) {
+        const separator = field.lastIndexOf('@');
+        const name = field.slice(0, separator);
+        const node = field.slice(separator + 1);
+        if (!alive.has(node)) {
+            alive.set(node, (await store.getValue(`node:${node}`)) !== null);
+        }
+        if (!alive.get(node)) {
+            await store.deleteField(key, field);
+            continue;
+        }
+        const count = Number(value);
+        if (count > 0) {
+            totals[name] = (totals[name] || 0) + count;
+        }
+    }
+    return totals;
+}
+
+// ---------------------------------------------------------------------------
+// Participants per service and language
+// ---------------------------------------------------------------------------
+
+/**
+ * Count a participant joining a language room
+ * @returns {number} Participants now listening to the language, across all servers
+ */
+export const addSubscriber = async (serviceId, language) => {
+    await changeNodeCount(`subscribers:${serviceId}`, language, 1);
+    return (await sumNodeCounts(`subscribers:${serviceId}`))[language] || 0;
+}
+
+export const removeSubscriber = async (serviceId, language) => {
+    await changeNodeCount(`subscribers:${serviceId}`, language, -1);
+}
+
+/**
+ * Participants per language, as shown on the control panel
+ * @returns {Array} [{ name, subscribers }]
+ */
+export const getSubscribers = async (serviceId) => {
+    const totals = await sumNodeCounts(`subscribers:${serviceId}`);
+    return Object.entries(totals).map(([name, subscribers]) => ({ name, subscribers }));
+}
+
+// Languages with at least one participant, i.e. the ones to translate into
+export const getServiceLanguages = async (serviceId) => {
+    return Object.keys(await sumNodeCounts(`subscribers:${serviceId}`));
+}
+
+export const getSubscriberCount = async (serviceId, language) => {
+    return (await sumNodeCounts(`subscribers:${serviceId}`))[language] || 0;
+}
+
+// Participants listening to the spoken translation of a language (Socket.IO
+// audio or the HTTP audio stream), so nobody's language is spoken for nothing
+export const addAudioListener = (serviceId, language) => changeNodeCount(`audio-listeners:${serviceId}`, language, 1);
+
+export const removeAudioListener = (serviceId, language) => changeNodeCount(`audio-listeners:${serviceId}`, language, -1);
+
+export const hasAudioListeners = async (serviceId, language) => {
+    return ((await sumNodeCounts(`audio-listeners:${serviceId}`))[language] || 0) > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Native WebSocket clients per service
+// ---------------------------------------------------------------------------
+
+export const changeConnectionCount = (serviceId, by) => changeNodeCount('connections', serviceId, by);
+
+export const getConnectionCount = async (serviceId) => {
+    return (await sumNodeCounts('connections'))[serviceId] || 0;
+}
+
+// ---------------------------------------------------------------------------
+// Services
+// ---------------------------------------------------------------------------
+
+// A service is live while its control panel is connected or streaming
+export const markServiceLive = async (serviceId) => {
+    await (await getStore()).setField('live-services', serviceId, Date.now());
+}
+
+export const markServiceOffline = async (serviceId) => {
+    await (await getStore()).deleteField('live-services', serviceId);
+}
+
+export const isServiceLive = async (serviceId) => {
+    return (await (await getStore()).getField('live-services', serviceId)) !== null;
+}
+
+/**
+ * Record a service started through the API
+ * @param {string} serviceId - Service ID
+ * @param {Object} details - { languages, startedAt }
+ */
+export const setActiveService = async (serviceId, details) => {
+    await (await getStore()).setField('active-services', serviceId, JSON.stringify(details));
+}
+
+// @returns {Object|null} Details given to setActiveService
+export const getActiveService = async (serviceId) => {
+    const details = await (await getStore()).getField('active-services', serviceId);
+    return details === null ? null : JSON.parse(details);
+}
+
+export const removeActiveService = async (serviceId) => {
+    await (await getStore()).deleteField('active-services', serviceId);
+}
+
+export const getActiveServiceIds = async () => {
+    return Object.keys(await (await getStore()).getFields('active-services'));
+}
+
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+/**
+ * Make this server the one that runs the service schedules, unless another
+ * server already does.  Must be called again within ttlMs to keep it.
+ * @param {number} ttlMs - How long the claim lasts
+ * @returns {boolean} True if this server runs the schedules
+ */
+export const claimScheduler = async (ttlMs) => {
+    return (await getStore()).acquireLease('scheduler', nodeId, ttlMs);
+}
+
+export const releaseScheduler = async () => {
+    await (await getStore()).releaseLease('scheduler', nodeId);
+}
+
+/**
+ * Record what participants of a service waiting for it to start are told
+ * @param {string} serviceId - Service ID
+ * @param {Object} notice - { startsAt, endsAt, waitingMessage }
+ */
+export const setServiceNotice = async (serviceId, notice) => {
+    await (await getStore()).setField('service-notices', serviceId, JSON.stringify(notice));
+}
+
+// @returns {Object|null} Notice given to setServiceNotice
+export const getServiceNotice = async (serviceId) => {
+    const notice = await (await getStore()).getField('service-notices', serviceId);
+    return notice === null ? null : JSON.parse(notice);
+}
+
+export const clearServiceNotice = async (serviceId) => {
+    await (await getStore()).deleteField('service-notices', serviceId);
+}
+
+/**
+ * Remember that a scheduled run of a service was stopped by hand, so the
+ * schedule doesn't start it again
+ * @param {string} serviceId - Service ID
+ * @param {string} startsAt - Start of the run, as an ISO string
+ */
+export const skipScheduledRun = async (serviceId, startsAt) => {
+    await (await getStore()).setField('schedule-skips', serviceId, startsAt);
+}
+
+export const isScheduledRunSkipped = async (serviceId, startsAt) => {
+    return (await (await getStore()).getField('schedule-skips', serviceId)) === startsAt;
+}
+
+// ---------------------------------------------------------------------------
+// Wrong PINs and join links, per service and client address
+// ---------------------------------------------------------------------------
+
+/**
+ * Count an attempt with a PIN or join link, before it is checked so that
+ * attempts made at the same time are all counted.  The count is forgotten
+ * ttlMs after the last one, and is shared by every server so reconnecting
+ * doesn't reset it.
+ * @param {string} serviceId - Service ID
+ * @param {string} client - Client address
+ * @param {number} ttlMs - How long the count is kept
+ * @returns {number} Attempts so far, this one included
+ */
+export const recordAccessAttempt = async (serviceId, client, ttlMs) => {
+    return (await getStore()).incrementValue(`access-failures:${serviceId}:${client}`, ttlMs);
+}
+
+// The right PIN or link forgets the attempts before it
+export const clearAccessFailures = async (serviceId, client) => {
+    const store = await getStore();
+    await store.deleteValue(`access-failures:${serviceId}:${client}`);
+    await store.deleteValue(`access-lockout:${serviceId}:${client}`);
+}
+
+/**
+ * Refuse a client entry to a service for a while, unless it is already
+ * locked out.  Only the attempt that locks the client out may still be
+ * checked, so parallel attempts past the limit can't all be.
+ * @param {string} serviceId - Service ID
+ * @param {string} client - Client address
+ * @param {number} ms - How long for
+ * @param {number} attempt - The attempt's number, from recordAccessAttempt
+ * @returns {boolean} Whether this attempt locked the client out
+ */
+export const lockOutAccess = async (serviceId, client, ms, attempt) => {
+    return (await getStore()).acquireLease(`access-lockout:${serviceId}:${client}`, `${Date.now() + ms}:${attempt}`, ms);
+}
+
+// @returns {number|null} When the client may try again, in ms since the epoch
+export const getAccessLockout = async (serviceId, client) => {
+    const lockout = await (await getStore()).getValue(`access-lockout:${serviceId}:${client}`);
+    return lockout === null ? null : parseInt(lockout);
+}
+
+// ---------------------------------------------------------------------------
+// Transcript sequence numbers
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the next transcript sequence number for a service.  Numbers start at 1
+ * and keep increasing when another server takes over the service.
+ * @param {string} serviceId - Service ID
+ * @returns {number} Sequence number
+ */
+export const nextTranscriptSequence = async (serviceId) => {
+    return (await getStore()).incrementField('sequences', serviceId, 1);
+}
+
+/**
+ * Get the sequence number the next final transcript will be given, without
+ * using it up.  Interim transcripts carry this number so clients know which
+ * line they will be replaced by.
+ * @param {string} serviceId - Service ID
+ * @returns {number} Sequence number
+ */
+export const peekTranscriptSequence = async (serviceId) => {
+    return Number((await (await getStore()).getField('sequences', serviceId)) || 0) + 1;
+}
+
+// ---------------------------------------------------------------------------
+// Translator ownership
+// ---------------------------------------------------------------------------
+
+const renewLeases = async () => {
+    const store = await getStore();
+    for (const serviceId of Array.from(ownedServices)) {
+        const renewed = await store.acquireLease(`translator:${serviceId}`, nodeId, getTranslatorLeaseTime()).catch(() => false);
+        if (!renewed) {
+            console.warn(`⚠️  Lost the translator lease for service ${serviceId}`);
+            ownedServices.delete(serviceId);
+        }
+    }
+}
+
+/**
+ * Make this server the one that translates a service, unless another server
+ * already is.  The claim is renewed until it is released.
+ * @param {string} serviceId - Service ID
+ * @returns {boolean} True if this server translates the service
+ */
+export const claimTranslator = async (serviceId) => {
+    const store = await getStore();
+    const claimed = await store.acquireLease(`translator:${serviceId}`, nodeId, getTranslatorLeaseTime());
+    if (!claimed) {
+        ownedServices.delete(serviceId);
+        return false;
+    }
+    if (!ownedServices.has(serviceId)) {
+        ownedServices.add(serviceId);
+        if (store.shared) console.log(`🎯 This server now translates service ${serviceId}`);
+    }
+    if (!leaseTimer) {
+        leaseTimer = setInterval(renewLeases, Math.max(getTranslatorLeaseTime() / 3, 1000));
+        leaseTimer.unref();
+    }
+    return true;
+}
+
+export const releaseTranslator = async (serviceId) => {
+    if (!ownedServices.delete(serviceId)) return;
+    await (await getStore()).releaseLease(`translator:${serviceId}`, nodeId);
+}
+
+/**
+ * Hand back every service this server translates and disconnect from the
+ * store, so other servers take over straight away
+ */
+export const closeState = async () => {
+    if (!storePromise) return;
+    const store = await storePromise;
+    clearInterval(heartbeatTimer);
+    clearInterval(leaseTimer);
+    await Promise.all(Array.from(ownedServices).map(serviceId => releaseTranslator(serviceId))).catch(() => {});
+    if (store.shared) {
+        await store.deleteValue(`node:${nodeId}`).catch(() => {});
+    }
+    await store.close();
+}
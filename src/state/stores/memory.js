@@ -0,0 +1,88 @@
+// Live state for a single server, kept in process memory.  Every call is
+// async so the memory and Redis stores can be swapped freely.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryStore = () => {
+    const hashes = new Map();
+    const values = new Map();
+
+    const getHash = (key) => {
+        if (!hashes.has(key)) {
+            hashes.set(key, new Map());
+        }
+        return hashes.get(key);
+    }
+
+    const readValue = (key) => {
+        const entry = values.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            values.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    const writeValue = (key, value, ttlMs) => {
+        values.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    }
+
+    // Expired values are also dropped now and then, as Redis does, so ones
+    // that are never read again (e.g. a client's wrong PINs) don't pile up
+    const sweepExpired = () => {
+        const now = Date.now();
+        for (const [key, entry] of values) {
+            if (entry.expiresAt && entry.expiresAt <= now) values.delete(key);
+        }
+    }
+    const sweeper = setInterval(sweepExpired, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+        shared: false,
+        incrementField: async (key, field, by = 1) => {
+            const hash = getHash(key);
+            const value = Number(hash.get(field) || 0) + by;
+            hash.set(field, String(value));
+            return value;
+        },
+        getField: async (key, field) => hashes.get(key)?.get(field) ?? null,
+        getFields: async (key) => Object.fromEntries(hashes.get(key) || []),
+        setField: async (key, field, value) => {
+            getHash(key).set(field, String(value));
+        },
+        deleteField: async (key, field) => {
+            const hash = hashes.get(key);
+            if (!hash) return;
+            hash.delete(field);
+            if (hash.size === 0) hashes.delete(key);
+        },
+        getValue: async (key) => readValue(key),
+        setValue: async (key, value, ttlMs) => writeValue(key, value, ttlMs),
+        // Count up a value that is forgotten ttlMs after the last increment
+        incrementValue: async (key, ttlMs) => {
+            const value = Number(readValue(key) || 0) + 1;
+            writeValue(key, value, ttlMs);
+            return value;
+        },
+        deleteValue: async (key) => {
+            values.delete(key);
+        },
+        // Take (or renew) a lease unless someone else holds it
+        acquireLease: async (key, owner, ttlMs) => {
+            const holder = readValue(key);
+            if (holder !== null && holder !== owner) return false;
+            writeValue(key, owner, ttlMs);
+            return true;
+        },
+        releaseLease: async (key, owner) => {
+            if (readValue(key) === owner) values.delete(key);
+        },
+        // Socket.IO's default adapter is fine for a single server
+        createSocketAdapter: async () => null,
+        close: async () => {
+            clearInterval(sweeper);
+        }
+    };
+}
@@ -0,0 +1,81 @@
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+
+// Set the lease if it is free or already ours, in one step
+const ACQUIRE_LEASE = `
+local holder = redis.call('GET', KEYS[1])
+if holder == false or holder == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+    return 1
+end
+return 0
+`;
+
+const RELEASE_LEASE = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+const connectClient = async (client, name) => {
+    client.on('error', (error) => console.error(`❌ Redis ${name} error: ${error.message}`));
+    await client.connect();
+    return client;
+}
+
+/**
+ * Live state shared by every server using the same Redis
+ * @param {Object} options
+ * @param {string} options.url - Redis URL, e.g. redis://localhost:6379
+ * @param {string} options.prefix - Prepended to every key
+ * @param {number} options.requestsTimeout - How long servers wait for each other's answers
+ */
+export const createRedisStore = async ({ url, prefix, requestsTimeout }) => {
+    console.log(`🔗 Connecting to Redis at ${url.replace(/\/\/[^@/]*@/, '//***@')}`);
+    const client = await connectClient(createClient({ url }), 'state');
+    const adapterClients = [];
+    const key = (name) => `${prefix}${name}`;
+
+    return {
+        name: 'redis',
+        shared: true,
+        incrementField: (name, field, by = 1) => client.hIncrBy(key(name), field, by),
+        getField: (name, field) => client.hGet(key(name), field).then(value => value ?? null),
+        getFields: (name) => client.hGetAll(key(name)),
+        setField: async (name, field, value) => {
+            await client.hSet(key(name), field, String(value));
+        },
+        deleteField: async (name, field) => {
+            await client.hDel(key(name), field);
+        },
+        getValue: (name) => client.get(key(name)),
+        setValue: async (name, value, ttlMs) => {
+            await client.set(key(name), String(value), ttlMs ? { PX: ttlMs } : undefined);
+        },
+        incrementValue: async (name, ttlMs) => {
+            const [value] = await client.multi().incr(key(name)).pExpire(key(name), ttlMs).exec();
+            return Number(value);
+        },
+        deleteValue: async (name) => {
+            await client.del(key(name));
+        },
+        acquireLease: async (name, owner, ttlMs) => {
+            const acquired = await client.eval(ACQUIRE_LEASE, { keys: [key(name)], arguments: [owner, String(ttlMs)] });
+            return acquired === 1;
+        },
+        releaseLease: async (name, owner) => {
+            await client.eval(RELEASE_LEASE, { keys: [key(name)], arguments: [owner] });
+        },
+        // Rooms and broadcasts reach the sockets connected to every server
+        createSocketAdapter: async () => {
+            const pubClient = await connectClient(client.duplicate(), 'publish');
+            const subClient = await connectClient(client.duplicate(), 'subscribe');
+            adapterClients.push(pubClient, subClient);
+            return createAdapter(pubClient, subClient, { key: key('socket.io'), requestsTimeout });
+        },
+        close: async () => {
+            await Promise.all([client, ...adapterClients].map(redis => redis.quit().catch(() => {})));
+        }
+    };
+}
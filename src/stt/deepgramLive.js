@@ -0,0 +1,165 @@
+import { createClient, LiveTranscriptionEvents } from "@deepgram/sdk";
+import { getDeepgramApiKey, getDeepgramModel, getDeepgramUrl } from "../repositories/deepgram.js";
+
+// Deepgram closes idle connections after ~10 seconds without audio
+const KEEP_ALIVE_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+// Audio kept while reconnecting (MediaRecorder sends a chunk every 250ms)
+const MAX_BUFFERED_CHUNKS = 40;
+
+let deepgram;
+const getDeepgramClient = () => {
+    if (!deepgram) {
+        const url = getDeepgramUrl();
+        deepgram = createClient(getDeepgramApiKey(), url ? { global: { url } } : undefined);
+    }
+    return deepgram;
+}
+
+/**
+ * Open a live Deepgram connection that survives network drops.  Audio sent
+ * while the connection is down is buffered and replayed once it is back.
+ * Containerised audio (webm/ogg from MediaRecorder) only has its header in the
+ * first chunk, so that chunk is replayed at the start of every new connection.
+ * @param {Object} options
+ * @param {string} options.language - Source locale, e.g. "en-GB"
+ * @param {string} [options.encoding] - "linear16" for raw PCM, omit for containerised audio
+ * @param {number} [options.sampleRate] - Required with linear16
+ * @param {boolean} [options.interim] - Also send interim (not yet final) results
+ * @param {Function} options.onResult - Called with { text, isFinal, speechFinal }
+ * @param {Function} [options.onStatus] - Called with "connecting" | "connected" | "reconnecting" | "closed"
+ * @returns {Object} { send(chunk), close() }
+ */
+export const createDeepgramLiveStream = (options) => {
+    const { language, encoding, sampleRate, interim = false, onResult, onStatus = () => {} } = options;
+    const transcriptionOptions = {
+        model: getDeepgramModel(),
+        language,
+        smart_format: true,
+        interim_results: interim,
+        ...(encoding ? { encoding, sample_rate: sampleRate, channels: 1 } : {})
+    };
+
+    let connection = null;
+    let connected = false;
+    let closed = false;
+    let headerChunk = null;
+    let buffered = [];
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let keepAliveTimer = null;
+    let lastAudioAt = 0;
+
+    const send = (chunk) => {
+        if (closed) return;
+        if (!encoding && headerChunk === null) {
+            headerChunk = chunk;
+        }
+        if (connected) {
+            try {
+                connection.send(chunk);
+                lastAudioAt = Date.now();
+                return;
+            } catch (error) {
+                console.warn(`⚠️  Deepgram send failed: ${error.message}`);
+            }
+        }
+        buffered.push(chunk);
+        if (buffered.length > MAX_BUFFERED_CHUNKS) {
+            buffered.shift();
+        }
+    }
+
+    const scheduleReconnect = () => {
+        if (closed || reconnectTimer) return;
+        const delay = Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+        reconnectAttempts++;
+        console.log(`🔄 Reconnecting to Deepgram in ${delay}ms (attempt ${reconnectAttempts})`);
+        onStatus("reconnecting");
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delay);
+    }
+
+    const connect = () => {
+        onStatus("connecting");
+        let live;
+        try {
+            live = getDeepgramClient().listen.live(transcriptionOptions);
+        } catch (error) {
+            console.error(`❌ Unable to open Deepgram connection: ${error.message}`);
+            scheduleReconnect();
+            return;
+        }
+        connection = live;
+
+        live.on(LiveTranscriptionEvents.Open, () => {
+            if (connection !== live) return;
+            console.log(`✅ Deepgram connection open (${language})`);
+            connected = true;
+            reconnectAttempts = 0;
+            onStatus("connected");
+
+            // Replay the container header first, then anything missed while down
+            const pending = buffered;
+            buffered = [];
+            if (headerChunk !== null && pending[0] !== headerChunk) {
+                live.send(headerChunk);
+            }
+            pending.forEach(chunk => live.send(chunk));
+            lastAudioAt = Date.now();
+        });
+
+        live.on(LiveTranscriptionEvents.Transcript, (data) => {
+            const text = data.channel?.alternatives?.[0]?.transcript;
+            if (!text) return;
+            onResult({ text, isFinal: data.is_final === true, speechFinal: data.speech_final === true });
+        });
+
+        live.on(LiveTranscriptionEvents.Error, (error) => {
+            console.error(`❌ Deepgram connection error: ${error?.message || error}`);
+        });
+
+        live.on(LiveTranscriptionEvents.Close, () => {
+            if (connection !== live) return;
+            connected = false;
+            connection = null;
+            if (closed) {
+                onStatus("closed");
+            } else {
+                console.warn(`⚠️  Deepgram connection closed unexpectedly`);
+                scheduleReconnect();
+            }
+        });
+    }
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearTimeout(reconnectTimer);
+        clearInterval(keepAliveTimer);
+        buffered = [];
+        if (connection && connected) {
+            // Let Deepgram flush the last words before it closes the socket
+            connection.finish();
+        } else {
+            connection = null;
+            onStatus("closed");
+        }
+    }
+
+    keepAliveTimer = setInterval(() => {
+        if (connected && Date.now() - lastAudioAt >= KEEP_ALIVE_MS) {
+            try {
+                connection.keepAlive();
+            } catch (error) {
+                console.warn(`⚠️  Deepgram keep alive failed: ${error.message}`);
+            }
+        }
+    }, KEEP_ALIVE_MS);
+
+    connect();
+
+    return { send, close };
+}
@@ -0,0 +1,38 @@
+import { createClient } from "@deepgram/sdk";
+import { getDeepgramApiKey, getDeepgramModel, getDeepgramProjectId } from "../../repositories/deepgram.js";
+import { createDeepgramLiveStream } from "../deepgramLive.js";
+
+export const createDeepgramEngine = () => {
+    if (!getDeepgramApiKey()) {
+        throw new Error('DEEPGRAM_API_KEY is not set');
+    }
+    // Keys are always created on Deepgram itself, even when DEEPGRAM_URL
+    // points live streams at another server
+    const deepgram = createClient(getDeepgramApiKey());
+
+    // Give the control panel a short lived key so it can stream to Deepgram
+    // directly from the browser
+    const authService = async ({ serviceId, organisation }) => {
+        console.log(`🔑 Requesting temporary Deepgram key for service ${serviceId}`);
+        const keyResult = await deepgram.manage.createProjectKey(getDeepgramProjectId(),
+            {
+                comment: `Service ${serviceId} - ${organisation.name}`,
+                scopes: ["usage:write"],
+                time_to_live_in_seconds: 10
+            })
+        if (keyResult.error) {
+            throw keyResult.error;
+        }
+        return {
+            deepgramToken: keyResult.result.key,
+            model: getDeepgramModel()
+        };
+    }
+
+    return {
+        name: 'deepgram',
+        browserStreaming: true,
+        authService,
+        createStream: (options) => createDeepgramLiveStream(options)
+    };
+}
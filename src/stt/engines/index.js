@@ -0,0 +1,66 @@
+import { getDefaultSttEngine } from '../../repositories/stt.js';
+import { createDeepgramEngine } from './deepgram.js';
+import { createLocalEngine } from './local.js';
+
+// Engine factories by name.  As with translation providers, engines are only
+// created the first time they are used.
+const engineFactories = new Map();
+const engineInstances = new Map();
+
+/**
+ * Register a speech-to-text engine
+ * @param {string} name - Name used in organisations.stt_engine
+ * @param {Function} factory - Returns { name, browserStreaming, authService({ serviceId, organisation }),
+ *                             createStream({ language, encoding, sampleRate, interim, onResult, onStatus }) }
+ */
+export const registerSttEngine = (name, factory) => {
+    engineFactories.set(name, factory);
+    engineInstances.delete(name);
+}
+
+export const getSttEngineNames = () => {
+    return Array.from(engineFactories.keys());
+}
+
+/**
+ * Get (creating if needed) a speech-to-text engine by name
+ * @param {string} name - Engine name
+ * @returns {Object|null} Engine or null if unknown or it failed to initialise
+ */
+export const getSttEngine = (name) => {
+    if (engineInstances.has(name)) {
+        return engineInstances.get(name);
+    }
+    const factory = engineFactories.get(name);
+    if (!factory) {
+        return null;
+    }
+    try {
+        const engine = factory();
+        engineInstances.set(name, engine);
+        return engine;
+    } catch (error) {
+        console.error(`❌ Unable to initialise speech-to-text engine ${name}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Work out which engine transcribes for an organisation, falling back to the
+ * server default if the organisation's choice isn't available
+ * @param {Object} data
+ * @param {Object} data.organisation - Organisation row (may be undefined)
+ * @returns {Object} Engine
+ */
+export const resolveSttEngine = ({ organisation }) => {
+    for (const name of [organisation?.stt_engine, getDefaultSttEngine()]) {
+        if (!name) continue;
+        const engine = getSttEngine(name);
+        if (engine) return engine;
+        console.warn(`⚠️  Speech-to-text engine ${name} is not available`);
+    }
+    throw new Error('No speech-to-text engine available');
+}
+
+registerSttEngine('deepgram', createDeepgramEngine);
+registerSttEngine('local', createLocalEngine);
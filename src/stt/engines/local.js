@@ -0,0 +1,185 @@
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { getFfmpegPath, getLocalSttCommand, getLocalSttSampleRate } from '../../repositories/stt.js';
+
+const MAX_RESTART_DELAY_MS = 30000;
+// How long a stopped engine gets to print its last results
+const STOP_TIMEOUT_MS = 5000;
+
+/**
+ * Turn a line from the engine into a result.  Understands Vosk output
+ * ({"partial": ...} and {"text": ...}), our own {"text", "final"} lines and
+ * plain text lines (e.g. whisper.cpp), which are treated as final.
+ * @param {string} line - One line of engine output
+ * @returns {Object|null} { text, isFinal } or null if there is nothing to show
+ */
+export const parseEngineLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    if (trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            return null;
+        }
+        if (typeof data.partial === 'string') {
+            return data.partial ? { text: data.partial, isFinal: false } : null;
+        }
+        if (typeof data.text === 'string' && data.text) {
+            return { text: data.text, isFinal: data.final !== false };
+        }
+        return null;
+    }
+    return { text: trimmed, isFinal: true };
+}
+
+/**
+ * Offline speech-to-text: runs STT_LOCAL_COMMAND (e.g. the Vosk script in
+ * src/stt/vosk-stream.py, or a whisper.cpp stream wrapper) and feeds it 16-bit
+ * mono PCM.  Audio from the browser is webm/Opus, so it is decoded with
+ * ffmpeg first.  The command sees the locale in STT_LANGUAGE.
+ */
+export const createLocalEngine = () => {
+    const command = getLocalSttCommand();
+    if (!command) {
+        throw new Error('STT_LOCAL_COMMAND is not set');
+    }
+    const engineSampleRate = getLocalSttSampleRate();
+
+    // The browser can't talk to a local engine, audio has to come through the server
+    const authService = async () => ({ serverStreaming: true });
+
+    const createStream = (options) => {
+        const { language, encoding, sampleRate, interim = false, onResult, onStatus = () => {} } = options;
+        const needsDecoding = encoding !== 'linear16' || sampleRate !== engineSampleRate;
+
+        let decoder = null;
+        let engine = null;
+        let running = false;
+        let closed = false;
+        let headerChunk = null;
+        let restartAttempts = 0;
+        let restartTimer = null;
+
+        const stopProcesses = () => {
+            running = false;
+            [decoder, engine].forEach(child => {
+                if (child && child.exitCode === null) child.kill();
+            });
+            decoder = null;
+            engine = null;
+        }
+
+        const scheduleRestart = () => {
+            if (closed || restartTimer) return;
+            const delay = Math.min(1000 * 2 ** restartAttempts, MAX_RESTART_DELAY_MS);
+            restartAttempts++;
+            console.log(`🔄 Restarting local speech-to-text in ${delay}ms (attempt ${restartAttempts})`);
+            onStatus("reconnecting");
+            restartTimer = setTimeout(() => {
+                restartTimer = null;
+                start();
+            }, delay);
+        }
+
+        const start = () => {
+            onStatus("connecting");
+            try {
+                engine = spawn(command, {
+                    shell: true,
+                    stdio: ['pipe', 'pipe', 'inherit'],
+                    env: { ...process.env, STT_LANGUAGE: language, STT_SAMPLE_RATE: String(engineSampleRate) }
+                });
+                if (needsDecoding) {
+                    const input = encoding === 'linear16'
+                        ? ['-f', 's16le', '-ar', String(sampleRate), '-ac', '1', '-i', 'pipe:0']
+                        : ['-i', 'pipe:0'];
+                    decoder = spawn(getFfmpegPath(), ['-loglevel', 'error', ...input, '-f', 's16le', '-ar', String(engineSampleRate), '-ac', '1', 'pipe:1'], {
+                        stdio: ['pipe', 'pipe', 'inherit']
+                    });
+                    decoder.stdout.pipe(engine.stdin);
+                }
+            } catch (error) {
+                console.error(`❌ Unable to start local speech-to-text: ${error.message}`);
+                stopProcesses();
+                scheduleRestart();
+                return;
+            }
+
+            const current = engine;
+            createInterface({ input: engine.stdout }).on('line', (line) => {
+                // The engine is clearly working, so the next crash restarts quickly
+                restartAttempts = 0;
+                const result = parseEngineLine(line);
+                if (!result || (!result.isFinal && !interim)) return;
+                onResult({ ...result, speechFinal: result.isFinal });
+            });
+
+            // Either process going away (or failing to start) restarts both
+            const onProcessGone = (child, reason) => {
+                if (engine !== current) return;
+                if (closed) {
+                    if (child === current) {
+                        engine = null;
+                        onStatus("closed");
+                    }
+                    return;
+                }
+                console.warn(`⚠️  Local speech-to-text process stopped: ${reason}`);
+                stopProcesses();
+                scheduleRestart();
+            }
+            [decoder, engine].forEach(child => {
+                if (!child) return;
+                child.stdin.on('error', (error) => console.warn(`⚠️  Local speech-to-text input error: ${error.message}`));
+                child.on('error', (error) => onProcessGone(child, error.message));
+                child.on('exit', (code) => onProcessGone(child, `exit code ${code}`));
+            });
+
+            running = true;
+            onStatus("connected");
+            // A restarted decoder needs the container header again
+            if (headerChunk !== null) {
+                (decoder || engine).stdin.write(headerChunk);
+            }
+        }
+
+        const send = (chunk) => {
+            if (closed) return;
+            if (encoding !== 'linear16' && headerChunk === null) {
+                headerChunk = chunk;
+            }
+            if (!running) return;
+            (decoder || engine).stdin.write(chunk);
+        }
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearTimeout(restartTimer);
+            if (!running) {
+                onStatus("closed");
+                return;
+            }
+            // Ending the input lets the engine print its last results and exit
+            (decoder || engine).stdin.end();
+            const child = engine;
+            setTimeout(() => {
+                if (child.exitCode === null) child.kill();
+            }, STOP_TIMEOUT_MS);
+        }
+
+        start();
+
+        return { send, close };
+    }
+
+    return {
+        name: 'local',
+        browserStreaming: false,
+        authService,
+        createStream
+    };
+}
@@ -0,0 +1,135 @@
+/**
+ * Fake Deepgram live transcription server
+ *
+ * Speaks enough of the Deepgram /v1/listen websocket protocol to exercise the
+ * server-side audio ingest without a Deepgram account or an internet
+ * connection.  While audio is arriving it answers every few seconds with an
+ * interim result followed by a final one, cycling through some canned phrases.
+ *
+ *   npm run fake-deepgram
+ *   DEEPGRAM_URL=http://localhost:8090 DEEPGRAM_API_KEY=fake npm start
+ *
+ * Set FAKE_DEEPGRAM_DROP_AFTER_MS to drop every connection after that long,
+ * to check that the ingest reconnects.
+ */
+
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { getFakeDeepgramPort } from '../repositories/deepgram.js';
+
+const DEFAULT_PHRASES = [
+    "Good morning and welcome.",
+    "Please turn with me to the reading for today.",
+    "Let us pray together.",
+    "The notices are on the screen at the back."
+];
+
+const createResult = ({ transcript, isFinal, start }) => ({
+    type: "Results",
+    channel_index: [0, 1],
+    duration: 1.5,
+    start,
+    is_final: isFinal,
+    speech_final: isFinal,
+    channel: {
+        alternatives: [{ transcript, confidence: 0.99, words: [] }]
+    },
+    metadata: { request_id: "fake", model_info: { name: "fake" } }
+});
+
+/**
+ * Start the fake server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {string[]} [options.phrases] - Transcripts to send back
+ * @param {number} [options.intervalMs] - How often to send a phrase while audio arrives
+ * @param {number} [options.dropAfterMs] - Drop each connection after this long
+ * @returns {Promise<Object>} { server, port, close() }
+ */
+export const startFakeDeepgram = (options = {}) => {
+    const {
+        port = getFakeDeepgramPort(),
+        phrases = DEFAULT_PHRASES,
+        intervalMs = 2000,
+        dropAfterMs = parseInt(process.env.FAKE_DEEPGRAM_DROP_AFTER_MS || '0')
+    } = options;
+
+    const server = createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Fake Deepgram');
+    });
+
+    // The Deepgram SDK authenticates with the ["token", key] sub-protocols
+    const wss = new WebSocketServer({
+        server,
+        handleProtocols: (protocols) => protocols.has('token') ? 'token' : false
+    });
+
+    let phraseIndex = 0;
+    wss.on('connection', (ws, req) => {
+        console.log(`🎧 Fake Deepgram connection: ${req.url}`);
+        let bytesSinceLastResult = 0;
+        let start = 0;
+
+        const sendPhrase = () => {
+            const transcript = phrases[phraseIndex++ % phrases.length];
+            const words = transcript.split(' ');
+            ws.send(JSON.stringify(createResult({ transcript: words.slice(0, Math.ceil(words.length / 2)).join(' '), isFinal: false, start })));
+            ws.send(JSON.stringify(createResult({ transcript, isFinal: true, start })));
+            start += intervalMs / 1000;
+            bytesSinceLastResult = 0;
+        }
+
+        const timer = setInterval(() => {
+            if (bytesSinceLastResult > 0) sendPhrase();
+        }, intervalMs);
+        const dropTimer = dropAfterMs > 0 ? setTimeout(() => {
+            console.log(`🔌 Fake Deepgram dropping connection`);
+            ws.terminate();
+        }, dropAfterMs) : null;
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                bytesSinceLastResult += data.length;
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return;
+            }
+            if (message.type === 'CloseStream') {
+                if (bytesSinceLastResult > 0) sendPhrase();
+                ws.send(JSON.stringify({ type: "Metadata", request_id: "fake", duration: start }));
+                ws.close(1000);
+            }
+        });
+
+        ws.on('close', () => {
+            clearInterval(timer);
+            clearTimeout(dropTimer);
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, () => {
+            const actualPort = server.address().port;
+            console.log(`🎧 Fake Deepgram listening on http://localhost:${actualPort}`);
+            resolve({
+                server,
+                port: actualPort,
+                close: () => new Promise(done => {
+                    wss.clients.forEach(client => client.terminate());
+                    wss.close(() => server.close(done));
+                })
+            });
+        });
+    });
+}
+
+// Allow running directly: node src/stt/fakeDeepgram.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await startFakeDeepgram();
+}
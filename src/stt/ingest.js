@@ -0,0 +1,107 @@
+// One live transcription stream per service
+// serviceId -> { stream, pending, ownerId }
+const ingestSessions = new Map();
+
+/**
+ * Start transcribing audio for a service on the server.  Any stream already
+ * running for the service is replaced (e.g. the control panel reconnected and
+ * started a new recording).  The engine may still be being looked up; audio
+ * pushed in the meantime is kept and sent once the stream exists.
+ * @param {Object} options
+ * @param {string} options.serviceId - Service ID
+ * @param {Object|Promise<Object>} options.engine - Speech-to-text engine (see engines/index.js)
+ * @param {string} options.language - Source locale, e.g. "en-GB"
+ * @param {string} [options.encoding] - "linear16" for raw PCM, omit for webm/ogg Opus
+ * @param {number} [options.sampleRate] - Required with linear16
+ * @param {string} options.ownerId - Connection sending the audio
+ * @param {Function} options.onTranscript - Called with each final transcript
+ * @param {Function} [options.onInterim] - Called with partial transcripts; omit to only get finals
+ * @param {Function} [options.onStatus] - Called with the connection status (and a message on "error")
+ */
+export const startAudioIngest = (options) => {
+    const { serviceId, engine, language, encoding, sampleRate, ownerId, onTranscript, onInterim, onStatus = () => {} } = options;
+
+    stopAudioIngest(serviceId);
+
+    const session = { ownerId, stream: null, pending: [] };
+    ingestSessions.set(serviceId, session);
+
+    Promise.resolve(engine).then((engine) => {
+        if (ingestSessions.get(serviceId) !== session) return;
+        console.log(`🎙️ Starting server-side transcription for service ${serviceId} with ${engine.name} (${language}${encoding ? `, ${encoding} ${sampleRate}Hz` : ''})`);
+
+        session.stream = engine.createStream({
+            language,
+            encoding,
+            sampleRate,
+            interim: Boolean(onInterim),
+            onResult: ({ text, isFinal }) => {
+                if (!text.trim()) return;
+                try {
+                    if (isFinal) {
+                        onTranscript(text.trim());
+                    } else if (onInterim) {
+                        onInterim(text.trim());
+                    }
+                } catch (error) {
+                    console.error(`❌ Error publishing transcript for service ${serviceId}: ${error.message}`);
+                }
+            },
+            onStatus: (status) => {
+                if (status === 'closed' && ingestSessions.get(serviceId) === session) {
+                    ingestSessions.delete(serviceId);
+                }
+                onStatus(status);
+            }
+        });
+        session.pending.splice(0).forEach(chunk => session.stream.send(chunk));
+    }).catch((error) => {
+        console.error(`❌ Unable to start server-side transcription for service ${serviceId}: ${error.message}`);
+        if (ingestSessions.get(serviceId) === session) {
+            ingestSessions.delete(serviceId);
+        }
+        onStatus('error', error.message);
+    });
+}
+
+/**
+ * Pass a chunk of audio to a service's stream
+ * @returns {boolean} False if the service isn't being transcribed
+ */
+export const pushAudio = (serviceId, chunk) => {
+    const session = ingestSessions.get(serviceId);
+    if (!session) return false;
+    if (session.stream) {
+        session.stream.send(chunk);
+    } else {
+        session.pending.push(chunk);
+    }
+    return true;
+}
+
+export const stopAudioIngest = (serviceId) => {
+    const session = ingestSessions.get(serviceId);
+    if (!session) return;
+    console.log(`🛑 Stopping server-side transcription for service ${serviceId}`);
+    ingestSessions.delete(serviceId);
+    if (session.stream) {
+        session.stream.close();
+    }
+}
+
+// Stop every stream fed by a connection that has gone away
+export const stopAudioIngestForOwner = (ownerId) => {
+    for (const [serviceId, session] of Array.from(ingestSessions.entries())) {
+        if (session.ownerId === ownerId) {
+            stopAudioIngest(serviceId);
+        }
+    }
+}
+
+export const stopAllAudioIngest = () => {
+    for (const serviceId of Array.from(ingestSessions.keys())) {
+        stopAudioIngest(serviceId);
+    }
+}
+
+export const isAudioIngestActive = (serviceId) => ingestSessions.has(serviceId);
@@ -0,0 +1,50 @@
+#!/usr/bin/env python3
+"""
+Offline speech-to-text for the "local" engine using Vosk (https://alphacephei.com/vosk/)
+
+Reads 16-bit mono PCM from stdin and prints Vosk results, one JSON object per
+line, which the server understands as interim ({"partial": ...}) and final
+({"text": ...}) results.
+
+    pip install vosk
+    STT_LOCAL_COMMAND="python3 src/stt/vosk-stream.py /path/to/vosk-model-small-en-us-0.15"
+
+The sample rate comes from STT_SAMPLE_RATE (set by the server, default 16000).
+"""
+
+import json
+import os
+import sys
+
+from vosk import KaldiRecognizer, Model, SetLogLevel
+
+CHUNK_BYTES = 4000
+
+
+def main():
+    if len(sys.argv) < 2:
+        sys.exit("usage: vosk-stream.py <model directory>")
+
+    SetLogLevel(-1)
+    sample_rate = int(os.environ.get("STT_SAMPLE_RATE", "16000"))
+    recogniser = KaldiRecognizer(Model(sys.argv[1]), sample_rate)
+    last_partial = ""
+
+    while True:
+        data = sys.stdin.buffer.read(CHUNK_BYTES)
+        if not data:
+            break
+        if recogniser.AcceptWaveform(data):
+            print(recogniser.Result().replace("\n", ""), flush=True)
+            last_partial = ""
+        else:
+            partial = json.loads(recogniser.PartialResult()).get("partial", "")
+            if partial and partial != last_partial:
+                print(json.dumps({"partial": partial}), flush=True)
+                last_partial = partial
+
+    print(recogniser.FinalResult().replace("\n", ""), flush=True)
+
+
+if __name__ == "__main__":
+    main()
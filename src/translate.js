@@ -1,193 +1,509 @@
 import * as dotenv from 'dotenv';
-import translate from 'google-translate-api-x';
-import { TranslationServiceClient } from '@google-cloud/translate';
-import { transcriptAvailServiceSub } from './globals.js';
+import { filter } from 'rxjs';
+import { transcriptAvailServiceSub, transcriptInterimServiceSub } from './globals.js';
 import { recordTranslationUsage } from '../db/usage.js';
 import { getServiceByServiceId } from '../db/services.js';
+import { resolveTranslationProviders } from './translation/providers/index.js';
+import { createBatcher } from './translation/batcher.js';
+import { getAvailableProvider, translateWithFallback } from './translation/resilience.js';
+import { cacheTranslation, getCachedTranslation } from './translation/cache.js';
+import { getOrganisationGlossary, protectGlossaryTerms, restoreGlossaryTerms } from './translation/glossary.js';
+import { createReorderBuffer } from './translation/ordering.js';
+import { archiveTranslation } from './archive/transcriptArchive.js';
+import { recordTranslationHistory } from './translation/history.js';
+import { getServiceLanguages, getSubscriberCount } from './state/index.js';
+import { TRANSCRIPT } from './presentation/index.js';
+import {
+    getInterimTranslationInterval,
+    getTranslationBatchMaxSize,
+    getTranslationBatchWindow,
+    getTranslationReorderTimeout
+} from './repositories/translation.js';
 
 dotenv.config();
 
-let TRANSLATE;
-let parent;
-if (process.env.USE_GOOGLE_TRANSLATE_SUBSCRIPTION === "true") {
-    console.log(`Using a subscription based Google Translate Key`);
-    TRANSLATE = new TranslationServiceClient();
-    TRANSLATE.getProjectId().then(result => {
-        parent = `projects/${result}`;
-        console.log(`Setting project to: ${parent}`);
-    });
-} else {
-    console.log(`Using a limited free Google Translate version.`);
+// translation = {seq, text, timestamp, final}
+const distributeTranslation = (data) => {
+    const { io, channel, translation } = data;
+    try {
+        if (process.env.DEBUG_TRANSLATION) console.log(`Sending #${translation.seq} on ${channel}, translated-> ${translation.text}`);
+        io.to(channel).emit("translation", translation);
+    } catch (error) {
+        console.log(`Error in distribute translation: ${error}`);
+    }
 }
 
-const translateText = async (data) => {
-    const { lang, transcript } = data;
-    const request = {
-        contents: [transcript],
-        parent: parent,
-        mimeType: 'text/plain',
-        targetLanguageCode: lang
+// Tell participants in the language room and the control panel that
+// translations are missing, so operators can see a language failing live.
+// data = {io, controlIo, serviceCode, lang, seqs, error}
+const reportTranslationError = (data) => {
+    const { io, controlIo, serviceCode, lang, seqs, error } = data;
+    const payload = {
+        serviceId: serviceCode,
+        language: lang,
+        seqs,
+        message: error?.message || 'Translation failed',
+        timestamp: new Date().toISOString()
     };
     try {
-        const [response] = await TRANSLATE.translateText(request);
-        let translatedText = '';
-        for (const translation of response.translations) {
-            translatedText = translatedText + ' ' + translation.translatedText;
-        }
-        return translatedText;
-    } catch (error) {
-        console.log(`Error in translateText: ${error}`);
+        io.to(`${serviceCode}:${lang}`).emit("translationError", payload);
+        if (controlIo) controlIo.to(`service-${serviceCode}`).emit("translationError", payload);
+    } catch (err) {
+        console.log(`Error reporting translation error: ${err}`);
     }
 }
 
-const distributeTranslation = (data) => {
-    const { io, channel, translation } = data;
+// Participants in a language room on every server
+const getClientCount = async (serviceCode, lang) => {
     try {
-        if (process.env.DEBUG_TRANSLATION) console.log(`Sending on ${channel}, Cloud translated-> ${translation}`);
-        io.to(channel).emit("translation", translation);
-    } catch (error) {
-        console.log(`Error in distribute translation: ${error}`);
+        return await getSubscriberCount(serviceCode, lang);
+    } catch (err) {
+        console.warn(`⚠️  Could not get client count for ${serviceCode}:${lang}:`, err.message);
+        return 0;
     }
 }
 
-async function translateTextAndDistribute(data) {
-    const { io, channel, lang, transcript } = data;
-    try {
-        const translated = await translate(transcript, { to: lang });
-        console.log(`Sending ${lang} to ${channel}, transcript-> ${transcript} : translated-> ${translated.text}`);
-        io.to(channel).emit("translation", translated.text);
-        return translated.text;
-    } catch (error) {
-        console.error(`Caught error in translateTextAndDistribute: ${error}`);
+// Record usage asynchronously (non-blocking).  Characters served from the
+// translation cache are recorded separately because they are never billed.
+const recordUsage = (data) => {
+    const { serviceData, serviceCode, lang, charCount, cachedCharCount = 0, clientCount, provider } = data;
+
+    if (!serviceData || !serviceData.organisations || (charCount === 0 && cachedCharCount === 0)) {
+        console.log(`⏭️  Skipping usage recording: serviceData=${!!serviceData}, organisations=${!!serviceData?.organisations}, charCount=${charCount}`);
+        return;
     }
+
+    console.log(`💾 Recording usage: organisation=${serviceData.organisations.id}, service=${serviceCode}, lang=${lang}, chars=${charCount}, cached=${cachedCharCount}, clients=${clientCount}, provider=${provider}`);
+    recordTranslationUsage({
+        organisation_id: serviceData.organisations.id,
+        service_id: serviceCode,
+        language: lang,
+        character_count: charCount,
+        cached_character_count: cachedCharCount,
+        client_count: clientCount,
+        provider
+    }).then(result => {
+        if (result) {
+            console.log(`✅ Usage recorded successfully for ${serviceCode}:${lang}`);
+        } else {
+            console.warn(`⚠️  Usage recording returned null for ${serviceCode}:${lang}`);
+        }
+    }).catch(err => {
+        console.error(`❌ Error recording usage for ${serviceCode}:${lang}:`, err);
+    });
+}
+
+const countCharacters = (texts) => texts.reduce((sum, text) => sum + (text ? text.length : 0), 0);
+
+// Host languages are stored as locales (en-GB), the cache only needs the language.
+// A service's own host language overrides its organisation's.
+const getSourceLanguage = (serviceData) => (serviceData?.host_language || serviceData?.organisations?.host_language)?.split('-')[0];
+
+// Translate a batch of transcripts into every subscribed language, pass each
+// translation to its serviceId:lang reorder buffer and record the usage per
+// language.  Glossary terms are swapped for placeholders before the cache and
+// the provider see the text, and put back afterwards.  Cached translations
+// are used as-is; the rest are grouped by provider so each provider sees a
+// single batch, and every provider goes through this same flow.  Providers are
+// retried and fall back to the next one in the language's chain; translations
+// that still fail are skipped and reported instead of being sent.
+// data = {io, controlIo, serviceCode, transcripts: [{seq, text, timestamp}], languages, getReorderBuffer}
+const translateBatchAndDistribute = async (data) => {
+    const { io, controlIo, serviceCode, transcripts, languages, getReorderBuffer } = data;
+    const sourceTexts = transcripts.map(({ text }) => text);
+    const seqs = transcripts.map(({ seq }) => seq);
+
+    const failTranslations = (lang, failedSeqs, error) => {
+        getReorderBuffer(`${serviceCode}:${lang}`).skip(failedSeqs);
+        reportTranslationError({ io, controlIo, serviceCode, lang, seqs: failedSeqs, error });
+    }
+
+    // Get service data once for provider selection and usage tracking.
+    // Translations still go out (with the default provider) if the lookup fails.
+    const serviceData = await getServiceByServiceId(serviceCode).catch(error => {
+        console.error(`Error fetching service data, translations will continue without usage tracking: ${error}`);
+        return null;
+    });
+    console.log(`📊 Service data for ${serviceCode}:`, serviceData ? 'Found' : 'Not found');
+    if (serviceData) {
+        console.log(`   Organisation ID: ${serviceData.organisations?.id || 'Missing'}`);
+    }
+    const organisation = serviceData?.organisations;
+    const sourceLanguage = getSourceLanguage(serviceData);
+    const glossary = await getOrganisationGlossary(organisation?.id);
+
+    // Group languages by provider and by the text that still needs translating.
+    // Forced glossary translations differ per language, so the text is part of the key.
+    const groups = new Map();
+    await Promise.all(languages.map(async (lang) => {
+        try {
+            const prepared = sourceTexts.map(text => protectGlossaryTerms({ text, glossary, targetLanguage: lang }));
+            const translations = await Promise.all(prepared.map(({ text }) =>
+                getCachedTranslation({ text, sourceLanguage, targetLanguage: lang })
+            ));
+            const missing = sourceTexts.map((text, index) => index).filter(index => translations[index] === undefined);
+            const chain = missing.length > 0 ? resolveTranslationProviders({ organisation, language: lang }) : [];
+            const provider = getAvailableProvider(chain, lang) || chain[0];
+
+            const texts = missing.map(index => prepared[index].text);
+            const groupKey = `${provider?.name || 'cache'}|${missing.join(',')}|${texts.join('\u0000')}`;
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { missing, texts, languages: [], chains: {}, prepared: {}, translations: {} });
+            }
+            const group = groups.get(groupKey);
+            group.languages.push(lang);
+            group.chains[lang] = chain;
+            group.prepared[lang] = prepared;
+            group.translations[lang] = translations;
+        } catch (error) {
+            console.error(`Error translating to ${lang}:`, error);
+            failTranslations(lang, seqs, error);
+        }
+    }));
+
+    await Promise.all(Array.from(groups.values()).map(async (group) => {
+        const { missing, texts, chains, prepared, translations } = group;
+        try {
+            let providers = {};
+            let errors = {};
+            if (missing.length > 0) {
+                let results;
+                ({ results, providers, errors } = await translateWithFallback({ texts, chains, sourceLanguage }));
+                for (const [lang, translated] of Object.entries(results)) {
+                    missing.forEach((transcriptIndex, resultIndex) => {
+                        const translation = translated[resultIndex];
+                        translations[lang][transcriptIndex] = translation;
+                        cacheTranslation({ text: texts[resultIndex], sourceLanguage, targetLanguage: lang, translation, provider: providers[lang] });
+                    });
+                }
+            }
+
+            for (const lang of group.languages) {
+                const channel = `${serviceCode}:${lang}`;
+                const reorderBuffer = getReorderBuffer(channel);
+                const failedSeqs = [];
+                translations[lang].forEach((translation, index) => {
+                    const { seq, timestamp } = transcripts[index];
+                    if (translation === undefined) {
+                        failedSeqs.push(seq);
+                        return;
+                    }
+                    const { replacements } = prepared[lang][index];
+                    const text = restoreGlossaryTerms({ text: translation, replacements });
+                    reorderBuffer.push(seq, { seq, text, timestamp, final: true });
+                    archiveTranslation({ serviceCode, seq, language: lang, text, timestamp, provider: missing.includes(index) ? providers[lang] : 'cache' });
+                    recordTranslationHistory(serviceCode, lang, { seq, text });
+                });
+                if (failedSeqs.length > 0) {
+                    failTranslations(lang, failedSeqs, errors[lang]);
+                }
+
+                // Get client count for this language AFTER translation is sent
+                const clientCount = await getClientCount(serviceCode, lang);
+                console.log(`👥 Client count for ${channel}: ${clientCount}`);
+
+                const charCount = errors[lang] ? 0 : countCharacters(texts);
+                const cachedCharCount = countCharacters(prepared[lang].map(({ text }) => text)) - countCharacters(texts);
+                recordUsage({ serviceData, serviceCode, lang, charCount, cachedCharCount, clientCount, provider: providers[lang] || 'cache' });
+            }
+        } catch (error) {
+            console.error(`Error translating to ${group.languages.join(', ')}:`, error);
+            group.languages.forEach(lang => failTranslations(lang, seqs, error));
+        }
+    }));
+}
+
+// Translate a partial transcript into every subscribed language and send it
+// straight out, flagged as interim.  Partial lines are replaced within
+// seconds, so they skip the cache and the reorder buffers, and failures are
+// only logged.  Nothing is sent once isStale() says the final line has gone.
+// data = {io, serviceCode, transcript: {seq, text, timestamp}, languages, isStale}
+const translateInterimAndDistribute = async (data) => {
+    const { io, serviceCode, transcript, languages, isStale } = data;
+    const { seq, timestamp } = transcript;
+
+    const serviceData = await getServiceByServiceId(serviceCode).catch(() => null);
+    const organisation = serviceData?.organisations;
+    const sourceLanguage = getSourceLanguage(serviceData);
+    const glossary = await getOrganisationGlossary(organisation?.id);
+
+    // Languages share a request when their protected text is the same
+    const groups = new Map();
+    for (const lang of languages) {
+        try {
+            const prepared = protectGlossaryTerms({ text: transcript.text, glossary, targetLanguage: lang });
+            if (!groups.has(prepared.text)) {
+                groups.set(prepared.text, { chains: {}, prepared: {} });
+            }
+            groups.get(prepared.text).chains[lang] = resolveTranslationProviders({ organisation, language: lang });
+            groups.get(prepared.text).prepared[lang] = prepared;
+        } catch (error) {
+            console.warn(`⚠️  Skipping interim translation to ${lang}: ${error.message}`);
+        }
+    }
+
+    await Promise.all(Array.from(groups.entries()).map(async ([text, { chains, prepared }]) => {
+        const { results, providers, errors } = await translateWithFallback({ texts: [text], chains, sourceLanguage });
+        for (const [lang, error] of Object.entries(errors)) {
+            console.warn(`⚠️  Interim translation to ${lang} failed: ${error.message}`);
+        }
+        if (isStale()) return;
+
+        for (const [lang, [translation]] of Object.entries(results)) {
+            const channel = `${serviceCode}:${lang}`;
+            const { replacements } = prepared[lang];
+            distributeTranslation({ io, channel, translation: { seq, text: restoreGlossaryTerms({ text: translation, replacements }), timestamp, final: false } });
+            recordUsage({ serviceData, serviceCode, lang, charCount: text.length, clientCount: await getClientCount(serviceCode, lang), provider: providers[lang] });
+        }
+    }));
+}
+
+// Translate lines from a service's history for a participant joining a
+// language nobody was listening to when they were spoken.  The translations
+// are cached and kept in the history for the next participant; lines that
+// can't be translated are left out.
+// data = {serviceCode, language, transcripts: [{seq, text, timestamp}]}
+export const translateHistory = async (data) => {
+    const { serviceCode, language, transcripts } = data;
+
+    const serviceData = await getServiceByServiceId(serviceCode).catch(() => null);
+    const organisation = serviceData?.organisations;
+    const sourceLanguage = getSourceLanguage(serviceData);
+    const glossary = await getOrganisationGlossary(organisation?.id);
+
+    const prepared = transcripts.map(({ text }) => protectGlossaryTerms({ text, glossary, targetLanguage: language }));
+    const translations = await Promise.all(prepared.map(({ text }) =>
+        getCachedTranslation({ text, sourceLanguage, targetLanguage: language })
+    ));
+    const missing = transcripts.map((transcript, index) => index).filter(index => translations[index] === undefined);
+    const texts = missing.map(index => prepared[index].text);
+
+    let provider = 'cache';
+    let failed = false;
+    if (missing.length > 0) {
+        const chains = { [language]: resolveTranslationProviders({ organisation, language }) };
+        const { results, providers, errors } = await translateWithFallback({ texts, chains, sourceLanguage });
+        if (errors[language]) {
+            console.warn(`⚠️  Unable to translate the history of ${serviceCode} into ${language}: ${errors[language].message}`);
+            failed = true;
+        }
+        (results[language] || []).forEach((translation, resultIndex) => {
+            translations[missing[resultIndex]] = translation;
+            cacheTranslation({ text: texts[resultIndex], sourceLanguage, targetLanguage: language, translation, provider: providers[language] });
+        });
+        provider = providers[language];
+    }
+
+    const charCount = failed ? 0 : countCharacters(texts);
+    const cachedCharCount = countCharacters(prepared.map(({ text }) => text)) - countCharacters(texts);
+    recordUsage({ serviceData, serviceCode, lang: language, charCount, cachedCharCount, clientCount: await getClientCount(serviceCode, language), provider });
+
+    const lines = [];
+    transcripts.forEach(({ seq, timestamp }, index) => {
+        if (translations[index] === undefined) return;
+        const text = restoreGlossaryTerms({ text: translations[index], replacements: prepared[index].replacements });
+        recordTranslationHistory(serviceCode, language, { seq, text });
+        lines.push({ seq, text, timestamp, final: true });
+    });
+    return lines;
 }
 
 // Service based methods
 
-// data = {io, serviceId} 
+/**
+ * Start translating a service's transcripts.  The returned ServiceSession
+ * owns the service's subscriptions, batches and timers and is kept in
+ * serviceSubscriptionMap until closeServiceSession disposes of it, so a
+ * service is only ever subscribed once however often it is restarted.
+ * Final translations are also passed, in order, to the speech stage if
+ * there is one (see src/tts/stage.js); it is disposed of with the session.
+ * The transcript and final translations are shown on the service's
+ * ProPresenter targets through the presentation outputs, which also add
+ * the languages those targets need (see src/presentation/index.js).
+ * data = {io, controlIo, serviceId, serviceLanguageMap, serviceSubscriptionMap, speech, presentation}
+ * @returns {Object} ServiceSession { serviceId, startedAt, dispose }
+ */
 export const registerForServiceTranscripts = (data) => {
-    const { io, serviceId, serviceLanguageMap, serviceSubscriptionMap } = data;
+    const { io, controlIo, serviceId, serviceLanguageMap, serviceSubscriptionMap, speech, presentation } = data;
 
     // Check if we have already registered
-    if (serviceSubscriptionMap.get(serviceId) !== undefined && serviceSubscriptionMap.get(serviceId) === true) {
+    if (serviceSubscriptionMap.has(serviceId)) {
         console.log(`Already registered so returning.`);
-        return;
+        return serviceSubscriptionMap.get(serviceId);
     }
 
     // Initialize the service  
     console.log(`Initializing language map for service: ${serviceId}`);
     serviceLanguageMap.set(serviceId, []);
-    serviceSubscriptionMap.set(serviceId, true);
+
+    // Translations are sent to each room in sequence order, however long
+    // each batch takes to translate
+    const reorderBuffers = new Map();
+    const getReorderBuffer = (channel) => {
+        if (!reorderBuffers.has(channel)) {
+            reorderBuffers.set(channel, createReorderBuffer({
+                timeoutMs: getTranslationReorderTimeout(),
+                deliver: (translation) => {
+                    distributeTranslation({ io, channel, translation });
+                    // Speech and ProPresenter are closed with the session
+                    if (!disposed) speech?.push(serviceId, channel.slice(serviceId.length + 1), translation);
+                    if (!disposed) presentation?.push(serviceId, channel.slice(serviceId.length + 1), translation);
+                },
+                name: channel
+            }));
+        }
+        return reorderBuffers.get(channel);
+    }
+
+    // Set once the session is disposed; nothing new is started after that
+    let disposed = false;
+
+    // Transcripts that arrive close together are translated in one pass
+    const batcher = createBatcher({
+        windowMs: getTranslationBatchWindow(),
+        maxSize: getTranslationBatchMaxSize(),
+        flush: (serviceCode, transcripts) => {
+            // Languages are read at flush time so late joiners are included,
+            // from every server's participants and the presentation targets
+            Promise.all([
+                getServiceLanguages(serviceCode),
+                presentation ? presentation.getLanguages(serviceCode) : []
+            ]).then(([participantLanguages, presentationLanguages]) => {
+                const languages = [...new Set([...participantLanguages, ...presentationLanguages])];
+                if (languages.length === 0) return;
+                if (process.env.EXTRA_DEBUGGING) console.log(`Translating ${transcripts.length} transcript(s) into ${languages.length} language(s) for ${serviceCode}`);
+
+                // Reserve each room's place in the queue before any translation starts
+                const seqs = transcripts.map(({ seq }) => seq);
+                languages.forEach(lang => getReorderBuffer(`${serviceCode}:${lang}`).expect(seqs));
+
+                translateBatchAndDistribute({ io, controlIo, serviceCode, transcripts, languages, getReorderBuffer }).catch(error => {
+                    console.error(`Error translating batch for ${serviceCode}:`, error);
+                    languages.forEach(lang => {
+                        getReorderBuffer(`${serviceCode}:${lang}`).skip(seqs);
+                        reportTranslationError({ io, controlIo, serviceCode, lang, seqs, error });
+                    });
+                });
+            }).catch(error => {
+                console.error(`Error reading the languages of ${serviceCode}, ${transcripts.length} transcript(s) not translated:`, error);
+            });
+        }
+    });
+
+    // Interim translations go out at most once per interval per service.  The
+    // first partial line is translated straight away, then only the newest
+    // one waiting at the end of each interval.
+    const lastFinalSeqs = new Map();
+    const interimTranslations = new Map();
+    const queueInterimTranslation = (serviceCode, transcript) => {
+        const interval = getInterimTranslationInterval();
+        if (interval <= 0) return;
+        if (!interimTranslations.has(serviceCode)) {
+            interimTranslations.set(serviceCode, { pending: null, timer: null });
+        }
+        const interim = interimTranslations.get(serviceCode);
+        interim.pending = transcript;
+        if (interim.timer) return;
+
+        const translateNext = () => {
+            const next = interim.pending;
+            interim.pending = null;
+            interim.timer = null;
+            if (!next || disposed) return;
+
+            const isStale = () => (lastFinalSeqs.get(serviceCode) || 0) >= next.seq;
+            getServiceLanguages(serviceCode).then((languages) => {
+                if (languages.length === 0 || isStale()) return;
+                return translateInterimAndDistribute({ io, serviceCode, transcript: next, languages, isStale });
+            }).catch(error => {
+                console.warn(`⚠️  Interim translation failed for ${serviceCode}: ${error.message}`);
+            });
+            interim.timer = setTimeout(translateNext, interval);
+        }
+        translateNext();
+    }
+
+    // Only this service's transcripts
+    const forThisService = filter(({ serviceCode }) => serviceCode === serviceId);
+
+    // Partial transcripts are sent as a replaceable line with the sequence
+    // number of the final transcript that will replace them
+    const interimSubscription = transcriptInterimServiceSub.pipe(forThisService).subscribe((data) => {
+        const { serviceCode, transcript, seq, timestamp } = data;
+        if ((lastFinalSeqs.get(serviceCode) || 0) >= seq) return;
+
+        io.to(`${serviceCode}:transcript`).emit("transcript", { seq, text: transcript, timestamp, final: false });
+        queueInterimTranslation(serviceCode, { seq, text: transcript, timestamp });
+    });
 
     // Subscribe to a RxJs Subject to detect when transcripts are available
-    const subscription = transcriptAvailServiceSub.subscribe(async (data) => {
-        const { serviceCode, transcript, serviceLanguageMap } = data;
+    const subscription = transcriptAvailServiceSub.pipe(forThisService).subscribe(async (data) => {
+        const { serviceCode, transcript, seq, timestamp } = data;
+
+        if (process.env.DEBUG_TRANSCRIPT) console.log(`Received transcript #${seq}: ${serviceCode} ${transcript}`);
 
-        if (process.env.DEBUG_TRANSCRIPT) console.log(`Received transcript: ${serviceCode} ${transcript}`);
+        // A partial line waiting to be translated is out of date now
+        lastFinalSeqs.set(serviceCode, seq);
+        const interim = interimTranslations.get(serviceCode);
+        if (interim) interim.pending = null;
 
         // Send the transcript to any subscribers 
         let channel = `${serviceCode}:transcript`;
-        io.to(channel).emit("transcript", transcript);
+        io.to(channel).emit("transcript", { seq, text: transcript, timestamp, final: true });
+        presentation?.push(serviceCode, TRANSCRIPT, { seq, text: transcript });
 
-        // Now send the translation to any subscribers.  First get the array
-        // of currently subscribed languages for this service
-        let languagesForChannel = serviceLanguageMap.get(serviceCode);
+        // Queue the transcript, the batcher translates it into every
+        // language that has participants when the batch is flushed
+        batcher.add(serviceCode, { seq, text: transcript, timestamp });
+    });
 
-        if (typeof languagesForChannel === 'undefined') {
-            return;
+    // Stop listening and drop everything the service holds.  Transcripts
+    // still waiting in a batch are translated first, and translations
+    // already under way are still delivered.
+    const dispose = () => {
+        if (disposed) return;
+        subscription.unsubscribe();
+        interimSubscription.unsubscribe();
+        batcher.flushAll();
+        disposed = true;
+        for (const interim of interimTranslations.values()) {
+            clearTimeout(interim.timer);
         }
-
-        // Now iterate over the languages, getting and emitting the translation
-        if (process.env.EXTRA_DEBUGGING) {
-            console.log(`Current languagesForChannel: `)
-            printLanguageMap(serviceLanguageMap);
+        interimTranslations.clear();
+        lastFinalSeqs.clear();
+        speech?.dispose();
+        presentation?.closeService(serviceId);
+        if (serviceSubscriptionMap.get(serviceId) === session) {
+            serviceSubscriptionMap.delete(serviceId);
+            serviceLanguageMap.delete(serviceId);
         }
+        console.log(`🧹 Closed the translation session for service ${serviceId}`);
+    }
 
-        // Get service data once for usage tracking (async, non-blocking)
-        getServiceByServiceId(serviceCode).then(serviceData => {
-            console.log(`📊 Service data for ${serviceCode}:`, serviceData ? 'Found' : 'Not found');
-            if (serviceData) {
-                console.log(`   Organisation ID: ${serviceData.organisations?.id || 'Missing'}`);
-            }
+    const session = { serviceId, startedAt: new Date().toISOString(), dispose };
+    serviceSubscriptionMap.set(serviceId, session);
+    return session;
+}
 
-            // Process each language
-            for (const lang of languagesForChannel) {
-                // Count characters for this translation
-                const charCount = transcript ? transcript.length : 0;
-
-                // Translate and distribute
-                (async () => {
-                    try {
-                        if (process.env.USE_GOOGLE_TRANSLATE_SUBSCRIPTION === "true") {
-                            let translation = await translateText({ lang, transcript });
-                            const ioChannel = `${serviceCode}:${lang}`;
-                            distributeTranslation({ io, channel: ioChannel, translation });
-                        } else {
-                            const ioChannel = `${serviceCode}:${lang}`;
-                            const data = { io, channel: ioChannel, lang, transcript };
-                            await translateTextAndDistribute(data);
-                        }
-
-                        // Get client count for this language AFTER translation is sent
-                        let clientCount = 0;
-                        try {
-                            const room = `${serviceCode}:${lang}`;
-                            const roomData = io.sockets.adapter.rooms.get(room);
-                            clientCount = roomData ? roomData.size : 0;
-                            console.log(`👥 Client count for ${serviceCode}:${lang}: ${clientCount}`);
-                        } catch (err) {
-                            console.warn(`⚠️  Could not get client count for ${serviceCode}:${lang}:`, err.message);
-                            clientCount = 0;
-                        }
-
-                        // Record usage asynchronously (non-blocking)
-                        if (serviceData && serviceData.organisations && charCount > 0) {
-                            console.log(`💾 Recording usage: organisation=${serviceData.organisations.id}, service=${serviceCode}, lang=${lang}, chars=${charCount}, clients=${clientCount}`);
-                            recordTranslationUsage({
-                                organisation_id: serviceData.organisations.id,
-                                service_id: serviceCode,
-                                language: lang,
-                                character_count: charCount,
-                                client_count: clientCount
-                            }).then(result => {
-                                if (result) {
-                                    console.log(`✅ Usage recorded successfully for ${serviceCode}:${lang}`);
-                                } else {
-                                    console.warn(`⚠️  Usage recording returned null for ${serviceCode}:${lang}`);
-                                }
-                            }).catch(err => {
-                                console.error(`❌ Error recording usage for ${serviceCode}:${lang}:`, err);
-                            });
-                        } else {
-                            console.log(`⏭️  Skipping usage recording: serviceData=${!!serviceData}, organisations=${!!serviceData?.organisations}, charCount=${charCount}`);
-                        }
-                    } catch (error) {
-                        console.error(`Error translating to ${lang}:`, error);
-                    }
-                })();
-            }
-        }).catch(error => {
-            console.error(`Error fetching service data, translations will continue without usage tracking: ${error}`);
-            // Still do translations even if service lookup fails
-            for (const lang of languagesForChannel) {
-                (async () => {
-                    try {
-                        if (process.env.USE_GOOGLE_TRANSLATE_SUBSCRIPTION === "true") {
-                            let translation = await translateText({ lang, transcript });
-                            const ioChannel = `${serviceCode}:${lang}`;
-                            distributeTranslation({ io, channel: ioChannel, translation });
-                        } else {
-                            const ioChannel = `${serviceCode}:${lang}`;
-                            const data = { io, channel: ioChannel, lang, transcript };
-                            await translateTextAndDistribute(data);
-                        }
-                    } catch (error) {
-                        console.error(`Error translating to ${lang}:`, error);
-                    }
-                })();
-            }
-        });
-    });
+/**
+ * Dispose of a service's ServiceSession, e.g. when it is stopped or times out
+ * data = {serviceId, serviceSubscriptionMap}
+ * @returns {boolean} True if the service had a session
+ */
+export const closeServiceSession = (data) => {
+    const { serviceId, serviceSubscriptionMap } = data;
+    const session = serviceSubscriptionMap.get(serviceId);
+    if (!session) return false;
+    session.dispose();
+    return true;
+}
+
+// data = {serviceSubscriptionMap}
+export const closeAllServiceSessions = (data) => {
+    const { serviceSubscriptionMap } = data;
+    for (const session of Array.from(serviceSubscriptionMap.values())) {
+        session.dispose();
+    }
 }
 
 export const printLanguageMap = (myMap) => {
@@ -0,0 +1,68 @@
+/**
+ * Collects items per key (e.g. per service) and flushes them together once
+ * the window has passed or the batch is full.
+ * @param {Object} options
+ * @param {number} options.windowMs - How long to wait for more items
+ * @param {number} options.maxSize - Flush immediately at this many items
+ * @param {Function} options.flush - Called with (key, items)
+ */
+export const createBatcher = ({ windowMs, maxSize, flush }) => {
+    const pending = new Map();
+
+    const flushKey = (key) => {
+        const batch = pending.get(key);
+        if (!batch) return;
+        clearTimeout(batch.timer);
+        pending.delete(key);
+        try {
+            flush(key, batch.items);
+        } catch (error) {
+            console.error(`Error flushing batch for ${key}: ${error}`);
+        }
+    }
+
+    const add = (key, item) => {
+        let batch = pending.get(key);
+        if (!batch) {
+            batch = { items: [], timer: setTimeout(() => flushKey(key), windowMs) };
+            pending.set(key, batch);
+        }
+        batch.items.push(item);
+        if (batch.items.length >= maxSize) {
+            flushKey(key);
+        }
+    }
+
+    const flushAll = () => {
+        for (const key of Array.from(pending.keys())) {
+            flushKey(key);
+        }
+    }
+
+    return { add, flush: flushKey, flushAll };
+}
+
+/**
+ * Translate several texts into several languages in as few provider calls as
+ * the provider allows.  Providers that don't implement translateBatch get one
+ * call per text per language.
+ * @param {Object} provider - Translation provider
+ * @param {Object} data
+ * @param {string[]} data.texts - Source texts, in order
+ * @param {string[]} data.targetLanguages - Languages to translate into
+ * @param {string} [data.sourceLanguage] - Source language, auto-detected if omitted
+ * @returns {Promise<Object>} { [language]: string[] } aligned with texts
+ */
+export const translateBatch = async (provider, { texts, targetLanguages, sourceLanguage }) => {
+    if (typeof provider.translateBatch === 'function') {
+        return provider.translateBatch({ texts, targetLanguages, sourceLanguage });
+    }
+
+    const results = {};
+    await Promise.all(targetLanguages.map(async (targetLanguage) => {
+        results[targetLanguage] = await Promise.all(texts.map(text =>
+            provider.translate({ text, targetLanguage, sourceLanguage })
+        ));
+    }));
+    return results;
+}
@@ -0,0 +1,103 @@
+import { createHash } from 'crypto';
+import { getCachedTranslation as getPersistedTranslation, saveCachedTranslation } from '../../db/translationCache.js';
+import { getTranslationCacheSize, isTranslationCachePersistent } from '../repositories/translation.js';
+
+/**
+ * Minimal LRU cache.  A Map keeps insertion order, so re-inserting on every
+ * read keeps the least recently used entry at the front.
+ * @param {number} maxEntries - Entries kept before the oldest is evicted
+ */
+export const createLruCache = (maxEntries) => {
+    const entries = new Map();
+
+    const get = (key) => {
+        if (!entries.has(key)) return undefined;
+        const value = entries.get(key);
+        entries.delete(key);
+        entries.set(key, value);
+        return value;
+    }
+
+    const set = (key, value) => {
+        if (maxEntries <= 0) return;
+        entries.delete(key);
+        entries.set(key, value);
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return { get, set, clear: () => entries.clear(), size: () => entries.size };
+}
+
+const memoryCache = createLruCache(getTranslationCacheSize());
+
+// Whitespace differences between two runs of the same song shouldn't miss
+const normaliseText = (text) => text.trim().replace(/\s+/g, ' ');
+
+const hashText = (text) => createHash('sha256').update(text).digest('hex');
+
+const getCacheKey = ({ text, sourceLanguage, targetLanguage }) => {
+    return `${sourceLanguage || 'auto'}|${targetLanguage}|${normaliseText(text)}`;
+}
+
+/**
+ * Look up a translation in the memory cache, then the persistent cache
+ * @param {Object} data
+ * @param {string} data.text - Source text
+ * @param {string} [data.sourceLanguage] - Source language code
+ * @param {string} data.targetLanguage - Target language code
+ * @returns {Promise<string|undefined>} Cached translation
+ */
+export const getCachedTranslation = async (data) => {
+    const key = getCacheKey(data);
+    const cached = memoryCache.get(key);
+    if (cached !== undefined || !isTranslationCachePersistent()) {
+        return cached;
+    }
+
+    try {
+        const row = await getPersistedTranslation({
+            source_hash: hashText(normaliseText(data.text)),
+            source_language: data.sourceLanguage || 'auto',
+            target_language: data.targetLanguage
+        });
+        if (row) {
+            memoryCache.set(key, row.translated_text);
+            return row.translated_text;
+        }
+    } catch (error) {
+        console.warn(`⚠️  Persistent translation cache lookup failed: ${error.message}`);
+    }
+    return undefined;
+}
+
+/**
+ * Store a translation in the memory cache and, if enabled, the persistent cache
+ * @param {Object} data
+ * @param {string} data.text - Source text
+ * @param {string} [data.sourceLanguage] - Source language code
+ * @param {string} data.targetLanguage - Target language code
+ * @param {string} data.translation - Translated text
+ * @param {string} data.provider - Provider that produced it
+ */
+export const cacheTranslation = (data) => {
+    const { text, sourceLanguage, targetLanguage, translation, provider } = data;
+    if (typeof translation !== 'string') return;
+
+    memoryCache.set(getCacheKey(data), translation);
+
+    if (isTranslationCachePersistent()) {
+        const sourceText = normaliseText(text);
+        saveCachedTranslation({
+            source_hash: hashText(sourceText),
+            source_language: sourceLanguage || 'auto',
+            target_language: targetLanguage,
+            source_text: sourceText,
+            translated_text: translation,
+            provider
+        }).catch(error => {
+            console.warn(`⚠️  Unable to persist cached translation: ${error.message}`);
+        });
+    }
+}
@@ -0,0 +1,118 @@
+import { getGlossaryTerms } from '../../db/glossary.js';
+
+// Glossaries are read for every batch, so keep them for a short while.  Edits
+// made through the API invalidate the entry straight away.
+const GLOSSARY_TTL_MS = 60 * 1000;
+const glossaries = new Map();
+
+const EMPTY_GLOSSARY = { pattern: null, terms: new Map() };
+
+// Placeholders that providers leave alone.  Some providers add spaces inside
+// them, so restoring is a little more forgiving than creating.
+const toPlaceholder = (index) => `⟦${index}⟧`;
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile glossary rows into a single pattern.  Longer terms come first so
+ * "Holy Spirit Church" wins over "Holy Spirit".
+ * @param {Array} rows - glossary_terms rows
+ * @returns {Object} { pattern, terms } where terms is keyed by lower-cased source term
+ */
+export const compileGlossary = (rows) => {
+    const terms = new Map();
+    for (const row of rows || []) {
+        const source = row.source_term?.trim();
+        if (!source) continue;
+        terms.set(source.toLowerCase(), {
+            translations: row.translations || {},
+            keepVerbatim: row.keep_verbatim === true
+        });
+    }
+    if (terms.size === 0) {
+        return EMPTY_GLOSSARY;
+    }
+
+    const alternatives = Array.from(terms.keys())
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    // Match whole words only, in any script
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    return { pattern, terms };
+}
+
+/**
+ * Get the compiled glossary for an organisation
+ * @param {string} organisationId - Organisation UUID (may be undefined)
+ * @returns {Promise<Object>} Compiled glossary, empty if it can't be loaded
+ */
+export const getOrganisationGlossary = async (organisationId) => {
+    if (!organisationId) {
+        return EMPTY_GLOSSARY;
+    }
+    const cached = glossaries.get(organisationId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.glossary;
+    }
+
+    try {
+        const glossary = compileGlossary(await getGlossaryTerms(organisationId));
+        glossaries.set(organisationId, { glossary, expiresAt: Date.now() + GLOSSARY_TTL_MS });
+        return glossary;
+    } catch (error) {
+        // Translate without the glossary rather than not at all
+        console.warn(`⚠️  Could not load glossary for organisation ${organisationId}: ${error.message}`);
+        return cached?.glossary || EMPTY_GLOSSARY;
+    }
+}
+
+export const invalidateOrganisationGlossary = (organisationId) => {
+    glossaries.delete(organisationId);
+}
+
+/**
+ * Replace glossary terms with placeholders before the text goes to a provider.
+ * A forced translation for the target language (or its base language) wins;
+ * otherwise keep-verbatim terms are kept as spoken.  Terms with neither are
+ * left for the provider to translate.
+ * @param {Object} data
+ * @param {string} data.text - Source text
+ * @param {Object} data.glossary - Compiled glossary
+ * @param {string} data.targetLanguage - Target language code
+ * @returns {Object} { text, replacements } - Text to translate and the placeholder values
+ */
+export const protectGlossaryTerms = (data) => {
+    const { text, glossary, targetLanguage } = data;
+    const replacements = [];
+    if (!glossary?.pattern || !text) {
+        return { text, replacements };
+    }
+
+    const baseLanguage = targetLanguage.split('-')[0];
+    const protectedText = text.replace(glossary.pattern, (match) => {
+        const term = glossary.terms.get(match.toLowerCase());
+        const replacement = term?.translations[targetLanguage] || term?.translations[baseLanguage] || (term?.keepVerbatim ? match : undefined);
+        if (replacement === undefined) {
+            return match;
+        }
+        replacements.push(replacement);
+        return toPlaceholder(replacements.length - 1);
+    });
+    return { text: protectedText, replacements };
+}
+
+/**
+ * Put glossary terms back into a translation
+ * @param {Object} data
+ * @param {string} data.text - Translated text containing placeholders
+ * @param {Array} data.replacements - Values from protectGlossaryTerms
+ * @returns {string} Translation
+ */
+export const restoreGlossaryTerms = (data) => {
+    const { text, replacements } = data;
+    if (!replacements || replacements.length === 0 || typeof text !== 'string') {
+        return text;
+    }
+    return text.replace(PLACEHOLDER_PATTERN, (match, index) => replacements[index] ?? match);
+}
@@ -0,0 +1,83 @@
+import { getTranscriptHistorySize } from '../repositories/translation.js';
+
+// The last few final transcripts of each service with their translations,
+// replayed to participants who join part way through
+// serviceCode -> [{ seq, text, timestamp, translations: { [language]: text } }]
+const histories = new Map();
+
+const findLine = (serviceCode, seq) => {
+    const lines = histories.get(serviceCode) || [];
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (lines[i].seq === seq) return lines[i];
+        if (lines[i].seq < seq) return undefined;
+    }
+    return undefined;
+}
+
+/**
+ * Add a final transcript to a service's history, dropping the oldest line
+ * once the history is full
+ * @param {string} serviceCode - Service ID
+ * @param {Object} transcript - { seq, text, timestamp }
+ */
+export const recordTranscriptHistory = (serviceCode, { seq, text, timestamp }) => {
+    const size = getTranscriptHistorySize();
+    if (size <= 0) return;
+    if (!histories.has(serviceCode)) {
+        histories.set(serviceCode, []);
+    }
+    const lines = histories.get(serviceCode);
+    if (findLine(serviceCode, seq)) return;
+
+    lines.push({ seq, text, timestamp, translations: {} });
+    lines.sort((a, b) => a.seq - b.seq);
+    if (lines.length > size) {
+        lines.splice(0, lines.length - size);
+    }
+}
+
+/**
+ * Keep a translation of a line that is still in the service's history
+ * @param {string} serviceCode - Service ID
+ * @param {string} language - Target language
+ * @param {Object} translation - { seq, text }
+ */
+export const recordTranslationHistory = (serviceCode, language, { seq, text }) => {
+    const line = findLine(serviceCode, seq);
+    if (line) {
+        line.translations[language] = text;
+    }
+}
+
+/**
+ * Get the transcripts in a service's history
+ * @param {string} serviceCode - Service ID
+ * @returns {Array} [{ seq, text, timestamp, final: true }] oldest first
+ */
+export const getTranscriptHistory = (serviceCode) => {
+    return (histories.get(serviceCode) || []).map(({ seq, text, timestamp }) => ({ seq, text, timestamp, final: true }));
+}
+
+/**
+ * Get the translations in a service's history for one language
+ * @param {string} serviceCode - Service ID
+ * @param {string} language - Target language
+ * @returns {Object} { lines: [{ seq, text, timestamp, final: true }], missing: [{ seq, text, timestamp }] }
+ *                   where missing are the transcripts with no translation yet
+ */
+export const getTranslationHistory = (serviceCode, language) => {
+    const lines = [];
+    const missing = [];
+    for (const { seq, text, timestamp, translations } of histories.get(serviceCode) || []) {
+        if (translations[language] !== undefined) {
+            lines.push({ seq, text: translations[language], timestamp, final: true });
+        } else {
+            missing.push({ seq, text, timestamp });
+        }
+    }
+    return { lines, missing };
+}
+
+export const clearHistory = (serviceCode) => {
+    histories.delete(serviceCode);
+}
@@ -0,0 +1,100 @@
+/**
+ * Holds messages for one room until every earlier message has been sent, so
+ * a slow translation can't be overtaken by a faster one.  Sequence numbers
+ * are announced with expect() in the order they must be delivered.  If the
+ * oldest expected message hasn't arrived after timeoutMs it is given up on;
+ * clients see the gap in the sequence numbers.
+ * @param {Object} options
+ * @param {number} options.timeoutMs - How long to wait for a missing message
+ * @param {Function} options.deliver - Called with each message, in order
+ * @param {string} [options.name] - Used in log messages
+ */
+export const createReorderBuffer = ({ timeoutMs, deliver, name = 'room' }) => {
+    const expected = [];
+    const ready = new Map();
+    let lastDelivered = 0;
+    let timer = null;
+    let timerSeq = null;
+
+    const stopTimer = () => {
+        clearTimeout(timer);
+        timer = null;
+        timerSeq = null;
+    }
+
+    const send = (seq, message) => {
+        lastDelivered = Math.max(lastDelivered, seq);
+        try {
+            deliver(message);
+        } catch (error) {
+            console.error(`Error delivering ${name} #${seq}: ${error}`);
+        }
+    }
+
+    const release = () => {
+        while (expected.length > 0 && ready.has(expected[0])) {
+            const seq = expected.shift();
+            const message = ready.get(seq);
+            ready.delete(seq);
+            send(seq, message);
+        }
+
+        // (Re)start the timer whenever a different message is holding up the queue
+        if (expected.length === 0) {
+            stopTimer();
+        } else if (timerSeq !== expected[0]) {
+            stopTimer();
+            timerSeq = expected[0];
+            timer = setTimeout(giveUp, timeoutMs);
+        }
+    }
+
+    // Drop missing messages up to the first one that is ready to go
+    const giveUp = () => {
+        timer = null;
+        timerSeq = null;
+        const firstReady = expected.findIndex(seq => ready.has(seq));
+        const dropped = expected.splice(0, firstReady === -1 ? 1 : firstReady);
+        console.warn(`⚠️  Gave up waiting for ${name} #${dropped.join(', #')} after ${timeoutMs}ms`);
+        release();
+    }
+
+    // Announce sequence numbers that will be pushed (or skipped) later
+    const expect = (seqs) => {
+        for (const seq of seqs) {
+            if (seq > lastDelivered && !expected.includes(seq)) {
+                expected.push(seq);
+            }
+        }
+        release();
+    }
+
+    const push = (seq, message) => {
+        if (expected.includes(seq)) {
+            ready.set(seq, message);
+            release();
+        } else if (seq > lastDelivered) {
+            // Never announced, nothing to wait for
+            send(seq, message);
+        } else {
+            console.warn(`⚠️  Dropping late ${name} #${seq}, already sent #${lastDelivered}`);
+        }
+    }
+
+    // Stop waiting for messages that will never come (e.g. translation failed)
+    const skip = (seqs) => {
+        for (const seq of seqs) {
+            const index = expected.indexOf(seq);
+            if (index !== -1) expected.splice(index, 1);
+        }
+        release();
+    }
+
+    const clear = () => {
+        stopTimer();
+        expected.length = 0;
+        ready.clear();
+    }
+
+    return { expect, push, skip, clear };
+}
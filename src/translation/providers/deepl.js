@@ -0,0 +1,64 @@
+import { getDeeplApiKey } from '../../repositories/translation.js';
+
+// DeepL only accepts a handful of regional variants as targets, everything
+// else has to be sent as the bare (upper case) language code
+const DEEPL_REGIONAL_TARGETS = ['EN-GB', 'EN-US', 'PT-BR', 'PT-PT', 'ZH-HANS', 'ZH-HANT'];
+
+export const toDeeplLanguage = (language) => {
+    const code = language.toUpperCase();
+    if (DEEPL_REGIONAL_TARGETS.includes(code)) return code;
+    if (code === 'ZH-CN') return 'ZH-HANS';
+    if (code === 'ZH-TW') return 'ZH-HANT';
+    if (code === 'EN') return 'EN-US';
+    if (code === 'PT') return 'PT-PT';
+    return code.split('-')[0];
+}
+
+export const createDeeplProvider = () => {
+    const apiKey = getDeeplApiKey();
+    if (!apiKey) {
+        throw new Error('DEEPL_API_KEY is not set');
+    }
+    // Free plan keys end in ":fx" and have their own endpoint
+    const endpoint = apiKey.endsWith(':fx')
+        ? 'https://api-free.deepl.com/v2/translate'
+        : 'https://api.deepl.com/v2/translate';
+
+    const requestTranslations = async ({ texts, targetLanguage, sourceLanguage }) => {
+        const body = {
+            text: texts,
+            target_lang: toDeeplLanguage(targetLanguage)
+        };
+        if (sourceLanguage) body.source_lang = toDeeplLanguage(sourceLanguage).split('-')[0];
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `DeepL-Auth-Key ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`DeepL request failed with status ${response.status}`);
+        }
+        const result = await response.json();
+        return result.translations.map(translation => translation.text);
+    }
+
+    const translate = async ({ text, targetLanguage, sourceLanguage }) => {
+        const translations = await requestTranslations({ texts: [text], targetLanguage, sourceLanguage });
+        return translations.join(' ');
+    }
+
+    // DeepL takes up to 50 texts per request, but only one target language
+    const translateBatch = async ({ texts, targetLanguages, sourceLanguage }) => {
+        const results = {};
+        await Promise.all(targetLanguages.map(async (targetLanguage) => {
+            results[targetLanguage] = await requestTranslations({ texts, targetLanguage, sourceLanguage });
+        }));
+        return results;
+    }
+
+    return { name: 'deepl', translate, translateBatch };
+}
@@ -0,0 +1,47 @@
+import { TranslationServiceClient } from '@google-cloud/translate';
+
+// Subscription based Google Cloud Translation (v3).  Credentials come from
+// GOOGLE_APPLICATION_CREDENTIALS, see generate-google-api-credentials.js
+export const createGoogleCloudProvider = () => {
+    console.log(`Using a subscription based Google Translate Key`);
+    const client = new TranslationServiceClient();
+    const parentPromise = client.getProjectId().then(result => {
+        const parent = `projects/${result}`;
+        console.log(`Setting project to: ${parent}`);
+        return parent;
+    });
+
+    const translate = async ({ text, targetLanguage, sourceLanguage }) => {
+        const request = {
+            contents: [text],
+            parent: await parentPromise,
+            mimeType: 'text/plain',
+            targetLanguageCode: targetLanguage
+        };
+        if (sourceLanguage) request.sourceLanguageCode = sourceLanguage;
+
+        const [response] = await client.translateText(request);
+        return response.translations.map(translation => translation.translatedText).join(' ');
+    }
+
+    // Cloud Translation takes many texts but only one target per request
+    const translateBatch = async ({ texts, targetLanguages, sourceLanguage }) => {
+        const parent = await parentPromise;
+        const results = {};
+        await Promise.all(targetLanguages.map(async (targetLanguage) => {
+            const request = {
+                contents: texts,
+                parent,
+                mimeType: 'text/plain',
+                targetLanguageCode: targetLanguage
+            };
+            if (sourceLanguage) request.sourceLanguageCode = sourceLanguage;
+
+            const [response] = await client.translateText(request);
+            results[targetLanguage] = response.translations.map(translation => translation.translatedText);
+        }));
+        return results;
+    }
+
+    return { name: 'google-cloud', translate, translateBatch };
+}
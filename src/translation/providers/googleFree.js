@@ -0,0 +1,37 @@
+import translate from 'google-translate-api-x';
+
+// Rate limited, unauthenticated Google Translate.  Fine for testing and
+// small services, but not something to rely on for a full congregation.
+export const createGoogleFreeProvider = () => {
+    console.log(`Using a limited free Google Translate version.`);
+
+    return {
+        name: 'google-free',
+        translate: async ({ text, targetLanguage, sourceLanguage }) => {
+            const options = { to: targetLanguage };
+            if (sourceLanguage) options.from = sourceLanguage;
+            const translated = await translate(text, options);
+            return translated.text;
+        },
+        // Every text and language goes out in a single batch request
+        translateBatch: async ({ texts, targetLanguages, sourceLanguage }) => {
+            const queries = [];
+            for (const targetLanguage of targetLanguages) {
+                for (const text of texts) {
+                    const query = { text, to: targetLanguage };
+                    if (sourceLanguage) query.from = sourceLanguage;
+                    queries.push(query);
+                }
+            }
+            const translated = await translate(queries, { forceBatch: true });
+
+            const results = {};
+            targetLanguages.forEach((targetLanguage, langIndex) => {
+                results[targetLanguage] = texts.map((text, textIndex) =>
+                    translated[langIndex * texts.length + textIndex].text
+                );
+            });
+            return results;
+        }
+    };
+}
@@ -0,0 +1,90 @@
+import { getDefaultTranslationProvider, getFallbackTranslationProvider } from '../../repositories/translation.js';
+import { createGoogleCloudProvider } from './googleCloud.js';
+import { createGoogleFreeProvider } from './googleFree.js';
+import { createDeeplProvider } from './deepl.js';
+import { createLibreTranslateProvider } from './libreTranslate.js';
+import { createMockProvider } from './mock.js';
+
+// Provider factories by name.  Providers are only created the first time they
+// are used so that e.g. a missing DeepL key doesn't stop the server starting.
+const providerFactories = new Map();
+const providerInstances = new Map();
+
+/**
+ * Register a translation provider
+ * @param {string} name - Name used in organisations.translation_provider
+ * @param {Function} factory - Returns { name, translate({ text, targetLanguage, sourceLanguage }) }
+ */
+export const registerTranslationProvider = (name, factory) => {
+    providerFactories.set(name, factory);
+    providerInstances.delete(name);
+}
+
+export const getTranslationProviderNames = () => {
+    return Array.from(providerFactories.keys());
+}
+
+/**
+ * Get (creating if needed) a translation provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider or null if unknown or it failed to initialise
+ */
+export const getTranslationProvider = (name) => {
+    if (providerInstances.has(name)) {
+        return providerInstances.get(name);
+    }
+    const factory = providerFactories.get(name);
+    if (!factory) {
+        return null;
+    }
+    try {
+        const provider = factory();
+        providerInstances.set(name, provider);
+        return provider;
+    } catch (error) {
+        console.error(`❌ Unable to initialise translation provider ${name}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Work out which providers may translate into a language for an organisation,
+ * in the order they should be tried.  Per-language overrides win over the
+ * organisation's provider, which wins over the server default; the server's
+ * fallback provider is tried last.
+ * @param {Object} data
+ * @param {Object} data.organisation - Organisation row (may be undefined)
+ * @param {string} data.language - Target language, e.g. "es" or "pt-BR"
+ * @returns {Object[]} Providers, primary first
+ */
+export const resolveTranslationProviders = ({ organisation, language }) => {
+    const overrides = organisation?.translation_provider_overrides || {};
+    const baseLanguage = language.split('-')[0];
+    const candidates = [
+        overrides[language],
+        overrides[baseLanguage],
+        organisation?.translation_provider,
+        getDefaultTranslationProvider(),
+        getFallbackTranslationProvider()
+    ];
+
+    const providers = [];
+    for (const name of new Set(candidates.filter(Boolean))) {
+        const provider = getTranslationProvider(name);
+        if (provider) {
+            providers.push(provider);
+        } else {
+            console.warn(`⚠️  Translation provider ${name} is not available for ${language}`);
+        }
+    }
+    if (providers.length === 0) {
+        throw new Error(`No translation provider available for ${language}`);
+    }
+    return providers;
+}
+
+registerTranslationProvider('google-cloud', createGoogleCloudProvider);
+registerTranslationProvider('google-free', createGoogleFreeProvider);
+registerTranslationProvider('deepl', createDeeplProvider);
+registerTranslationProvider('libretranslate', createLibreTranslateProvider);
+registerTranslationProvider('mock', createMockProvider);
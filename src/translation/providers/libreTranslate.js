@@ -0,0 +1,44 @@
+import { getLibreTranslateApiKey, getLibreTranslateUrl } from '../../repositories/translation.js';
+
+// LibreTranslate can be self hosted, which makes it the cheapest option for
+// languages where its quality is good enough
+export const createLibreTranslateProvider = () => {
+    const baseUrl = getLibreTranslateUrl().replace(/\/$/, '');
+    const apiKey = getLibreTranslateApiKey();
+
+    // q may be a single string or an array, translatedText matches its shape
+    const requestTranslation = async ({ q, targetLanguage, sourceLanguage }) => {
+        const body = {
+            q,
+            source: sourceLanguage ? sourceLanguage.split('-')[0] : 'auto',
+            target: targetLanguage.split('-')[0],
+            format: 'text'
+        };
+        if (apiKey) body.api_key = apiKey;
+
+        const response = await fetch(`${baseUrl}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`LibreTranslate request failed with status ${response.status}`);
+        }
+        const result = await response.json();
+        return result.translatedText;
+    }
+
+    const translate = async ({ text, targetLanguage, sourceLanguage }) => {
+        return requestTranslation({ q: text, targetLanguage, sourceLanguage });
+    }
+
+    const translateBatch = async ({ texts, targetLanguages, sourceLanguage }) => {
+        const results = {};
+        await Promise.all(targetLanguages.map(async (targetLanguage) => {
+            results[targetLanguage] = await requestTranslation({ q: texts, targetLanguage, sourceLanguage });
+        }));
+        return results;
+    }
+
+    return { name: 'libretranslate', translate, translateBatch };
+}
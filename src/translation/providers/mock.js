@@ -0,0 +1,10 @@
+// Local stand-in that never leaves the machine.  Useful for developing the
+// control panel and client apps without burning translation credits.
+export const createMockProvider = () => {
+    return {
+        name: 'mock',
+        translate: async ({ text, targetLanguage }) => {
+            return `[${targetLanguage}] ${text}`;
+        }
+    };
+}
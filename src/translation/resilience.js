@@ -0,0 +1,155 @@
+import { translateBatch } from './batcher.js';
+import {
+    getTranslationCircuitResetTime,
+    getTranslationCircuitThreshold,
+    getTranslationRetries,
+    getTranslationRetryDelay
+} from '../repositories/translation.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call fn until it succeeds, waiting delayMs, 2 * delayMs, 4 * delayMs...
+ * between attempts
+ * @param {Function} fn - Async function to call
+ * @param {Object} options
+ * @param {number} options.retries - Attempts after the first one
+ * @param {number} options.delayMs - Delay before the first retry
+ * @param {string} [options.name] - Used in log messages
+ */
+export const withRetry = async (fn, { retries, delayMs, name = 'request' }) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            const delay = delayMs * 2 ** attempt;
+            console.warn(`⚠️  ${name} failed (${error.message}), retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Circuit breaker: after `threshold` consecutive failures the circuit opens
+ * and requests are refused for `resetMs`.  After that requests are let
+ * through again; one success closes the circuit, one failure re-opens it.
+ * @param {Object} options
+ * @param {number} options.threshold - Consecutive failures before opening
+ * @param {number} options.resetMs - How long to stay open
+ */
+export const createCircuitBreaker = ({ threshold, resetMs }) => {
+    let failures = 0;
+    let openedAt = null;
+
+    const isOpen = () => openedAt !== null && Date.now() - openedAt < resetMs;
+
+    const success = () => {
+        failures = 0;
+        openedAt = null;
+    }
+
+    const failure = () => {
+        failures++;
+        if (failures >= threshold) {
+            openedAt = Date.now();
+        }
+    }
+
+    return { isOpen, success, failure };
+}
+
+// One breaker per provider and language
+const circuitBreakers = new Map();
+
+export const getCircuitBreaker = (providerName, language) => {
+    const key = `${providerName}|${language}`;
+    if (!circuitBreakers.has(key)) {
+        circuitBreakers.set(key, createCircuitBreaker({
+            threshold: getTranslationCircuitThreshold(),
+            resetMs: getTranslationCircuitResetTime()
+        }));
+    }
+    return circuitBreakers.get(key);
+}
+
+// The first provider in a chain that isn't currently failing for a language
+export const getAvailableProvider = (providers, language) => {
+    return providers.find(provider => !getCircuitBreaker(provider.name, language).isOpen());
+}
+
+// Providers must return a string for every text in every language; anything
+// else is treated as a failure rather than sent to participants
+const checkResults = (results, languages, count) => {
+    for (const language of languages) {
+        const translations = results?.[language];
+        if (!Array.isArray(translations) || translations.length !== count || translations.some(text => typeof text !== 'string')) {
+            throw new Error(`Incomplete translation for ${language}`);
+        }
+    }
+}
+
+/**
+ * Translate texts into several languages, retrying each provider and falling
+ * back down each language's provider chain when a provider keeps failing.
+ * Providers whose circuit is open for a language are skipped.
+ * @param {Object} data
+ * @param {string[]} data.texts - Source texts, in order
+ * @param {Object} data.chains - { [language]: Provider[] } in the order to try them
+ * @param {string} [data.sourceLanguage] - Language of the texts; providers detect it when missing
+ * @returns {Promise<Object>} { results: { [language]: string[] }, providers: { [language]: name }, errors: { [language]: Error } }
+ */
+export const translateWithFallback = async (data) => {
+    const { texts, chains, sourceLanguage } = data;
+    const results = {};
+    const providers = {};
+    const errors = {};
+    const tried = {};
+    let pending = Object.keys(chains);
+
+    while (pending.length > 0) {
+        // Languages that still need translating, by the next provider to try
+        const attempts = new Map();
+        for (const language of pending) {
+            tried[language] = tried[language] || new Set();
+            const untried = chains[language].filter(provider => !tried[language].has(provider.name));
+            const provider = getAvailableProvider(untried, language);
+            if (!provider) {
+                errors[language] = errors[language] || new Error(`All translation providers are unavailable for ${language}`);
+                continue;
+            }
+            tried[language].add(provider.name);
+            if (!attempts.has(provider.name)) {
+                attempts.set(provider.name, { provider, languages: [] });
+            }
+            attempts.get(provider.name).languages.push(language);
+        }
+
+        pending = [];
+        await Promise.all(Array.from(attempts.values()).map(async ({ provider, languages }) => {
+            try {
+                const batch = await withRetry(async () => {
+                    const batch = await translateBatch(provider, { texts, targetLanguages: languages, sourceLanguage });
+                    checkResults(batch, languages, texts.length);
+                    return batch;
+                }, { retries: getTranslationRetries(), delayMs: getTranslationRetryDelay(), name: `${provider.name} (${languages.join(', ')})` });
+
+                for (const language of languages) {
+                    getCircuitBreaker(provider.name, language).success();
+                    results[language] = batch[language];
+                    providers[language] = provider.name;
+                    delete errors[language];
+                }
+            } catch (error) {
+                console.error(`❌ ${provider.name} failed for ${languages.join(', ')}: ${error.message}`);
+                for (const language of languages) {
+                    getCircuitBreaker(provider.name, language).failure();
+                    errors[language] = error;
+                    pending.push(language);
+                }
+            }
+        }));
+    }
+
+    return { results, providers, errors };
+}
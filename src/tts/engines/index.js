@@ -0,0 +1,60 @@
+import { getTtsEngineName } from '../../repositories/tts.js';
+import { createLocalEngine } from './local.js';
+import { createMockEngine } from './mock.js';
+
+// Engine factories by name.  As with speech-to-text engines, engines are
+// only created the first time they are used.
+const engineFactories = new Map();
+const engineInstances = new Map();
+
+/**
+ * Register a text-to-speech engine
+ * @param {string} name - Name used in TTS_ENGINE
+ * @param {Function} factory - Returns { name, synthesize({ text, language, signal }) => { audio, mimeType } }
+ */
+export const registerTtsEngine = (name, factory) => {
+    engineFactories.set(name, factory);
+    engineInstances.delete(name);
+}
+
+export const getTtsEngineNames = () => {
+    return Array.from(engineFactories.keys());
+}
+
+/**
+ * Get (creating if needed) a text-to-speech engine by name
+ * @param {string} name - Engine name
+ * @returns {Object|null} Engine or null if unknown or it failed to initialise
+ */
+export const getTtsEngine = (name) => {
+    if (engineInstances.has(name)) {
+        return engineInstances.get(name);
+    }
+    const factory = engineFactories.get(name);
+    if (!factory) {
+        return null;
+    }
+    try {
+        const engine = factory();
+        engineInstances.set(name, engine);
+        return engine;
+    } catch (error) {
+        console.error(`❌ Unable to initialise text-to-speech engine ${name}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * The engine translations are spoken with
+ * @returns {Object|null} Engine, or null if speech is turned off or the engine isn't available
+ */
+export const resolveTtsEngine = () => {
+    const name = getTtsEngineName();
+    if (!name) return null;
+    const engine = getTtsEngine(name);
+    if (!engine) console.warn(`⚠️  Text-to-speech engine ${name} is not available`);
+    return engine;
+}
+
+registerTtsEngine('local', createLocalEngine);
+registerTtsEngine('mock', createMockEngine);
@@ -0,0 +1,40 @@
+import { spawn } from 'child_process';
+import { getLocalTtsCommand } from '../../repositories/tts.js';
+
+/**
+ * Offline text-to-speech: runs TTS_LOCAL_COMMAND for each line, with the
+ * text on stdin and the language in TTS_LANGUAGE, and reads the audio it
+ * writes on stdout.  For example
+ *   espeak-ng -v "$TTS_LANGUAGE" --stdin --stdout
+ *   piper --model "voices/$TTS_LANGUAGE.onnx" --output_file -
+ */
+export const createLocalEngine = () => {
+    const command = getLocalTtsCommand();
+    if (!command) {
+        throw new Error('TTS_LOCAL_COMMAND is not set');
+    }
+
+    const synthesize = ({ text, language, signal }) => new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            stdio: ['pipe', 'pipe', 'inherit'],
+            env: { ...process.env, TTS_LANGUAGE: language },
+            signal
+        });
+        const chunks = [];
+        child.stdout.on('data', (chunk) => chunks.push(chunk));
+        child.stdin.on('error', () => {});
+        child.on('error', (error) => reject(new Error(`Local text-to-speech failed: ${error.message}`)));
+        child.on('close', (code) => {
+            if (code !== 0) return reject(new Error(`Local text-to-speech exited with code ${code}`));
+            // Engines write WAV unless told otherwise; ffmpeg works out which
+            resolve({ audio: Buffer.concat(chunks), mimeType: 'audio/wav' });
+        });
+        child.stdin.end(text);
+    });
+
+    return {
+        name: 'local',
+        synthesize
+    };
+}
@@ -0,0 +1,15 @@
+import { MIME_TYPE, createSilence } from '../mp3.js';
+
+// Local stand-in that "says" each line as silence, about as long as speaking
+// it would take.  Needs neither a speech engine nor ffmpeg, so the audio
+// stream can be tried out anywhere.
+const MS_PER_CHARACTER = 60;
+
+export const createMockEngine = () => {
+    return {
+        name: 'mock',
+        synthesize: async ({ text }) => {
+            return { audio: createSilence(text.length * MS_PER_CHARACTER), mimeType: MIME_TYPE };
+        }
+    };
+}
@@ -0,0 +1,60 @@
+import { spawn } from 'child_process';
+import { getFfmpegPath } from '../repositories/stt.js';
+
+// Every line of speech is sent as constant bitrate MP3 in one format, so the
+// lines (and the silence between them) can be played back to back as one
+// stream: MPEG-2 Layer III, 24kHz mono at 48kbps
+export const MIME_TYPE = 'audio/mpeg';
+const SAMPLE_RATE = 24000;
+const BITRATE_KBPS = 48;
+const FRAME_SAMPLES = 576;
+const FRAME_BYTES = 72 * BITRATE_KBPS * 1000 / SAMPLE_RATE;
+const FRAME_MS = FRAME_SAMPLES * 1000 / SAMPLE_RATE;
+
+/**
+ * @param {number} bytes - Length of audio in the stream format
+ * @returns {number} How long it plays for, in ms
+ */
+export const getDurationMs = (bytes) => Math.round(bytes * 8 / BITRATE_KBPS);
+
+// A frame with an empty side info decodes to silence
+const silentFrame = Buffer.alloc(FRAME_BYTES);
+silentFrame.set([0xff, 0xf3, 0x64, 0xc0]);
+
+/**
+ * Silence in the stream format
+ * @param {number} ms - At least this long
+ * @returns {Buffer}
+ */
+export const createSilence = (ms) => {
+    const frames = Math.max(1, Math.ceil(ms / FRAME_MS));
+    return Buffer.concat(Array(frames).fill(silentFrame));
+}
+
+/**
+ * Turn audio from an engine (e.g. WAV) into the stream format with ffmpeg
+ * @param {Buffer} audio
+ * @param {number} timeoutMs - ffmpeg is stopped after this long
+ * @returns {Promise<Buffer>}
+ */
+export const encodeForStream = (audio, timeoutMs) => new Promise((resolve, reject) => {
+    const ffmpeg = spawn(getFfmpegPath(), [
+        '-loglevel', 'error', '-i', 'pipe:0',
+        '-f', 'mp3', '-ar', String(SAMPLE_RATE), '-ac', '1', '-b:a', `${BITRATE_KBPS}k`,
+        '-write_xing', '0', '-id3v2_version', '0', 'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const chunks = [];
+    const timer = setTimeout(() => ffmpeg.kill(), timeoutMs);
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Unable to run ffmpeg: ${error.message}`));
+    });
+    ffmpeg.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) return reject(new Error(`ffmpeg exited with ${code === null ? 'a timeout' : `code ${code}`}`));
+        resolve(Buffer.concat(chunks));
+    });
+    ffmpeg.stdin.end(audio);
+});
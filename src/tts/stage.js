@@ -0,0 +1,72 @@
+import { resolveTtsEngine } from './engines/index.js';
+import { MIME_TYPE, encodeForStream, getDurationMs } from './mp3.js';
+import { getTtsMaxQueue, getTtsTimeoutMs } from '../repositories/tts.js';
+
+/**
+ * Speak a service's final translations.  Each serviceId:lang channel has its
+ * own queue, so lines are spoken one at a time and in order; languages
+ * nobody is listening to are skipped.  Lines that fail or time out are
+ * logged and skipped.
+ * @param {Object} deps
+ * @param {Function} deps.hasListeners - (serviceId, language) => true if anyone wants the audio
+ * @param {Function} deps.deliver - (serviceId, language, { seq, audio, mimeType, durationMs })
+ * @returns {Object} { push(serviceId, language, translation), dispose }
+ */
+export const createSpeechStage = ({ hasListeners, deliver }) => {
+    // channel -> { lines: [translation], running }
+    const queues = new Map();
+    const abort = new AbortController();
+
+    const speak = async (serviceId, language, { seq, text }) => {
+        const engine = resolveTtsEngine();
+        if (!engine || !(await hasListeners(serviceId, language))) return;
+
+        const signal = AbortSignal.any([abort.signal, AbortSignal.timeout(getTtsTimeoutMs())]);
+        const { audio, mimeType } = await engine.synthesize({ text, language, signal });
+        if (abort.signal.aborted) return;
+        const encoded = mimeType === MIME_TYPE ? audio : await encodeForStream(audio, getTtsTimeoutMs());
+        if (encoded.length === 0 || abort.signal.aborted) return;
+        deliver(serviceId, language, { seq, audio: encoded, mimeType: MIME_TYPE, durationMs: getDurationMs(encoded.length) });
+    }
+
+    const drain = async (serviceId, language, queue) => {
+        queue.running = true;
+        while (queue.lines.length > 0 && !abort.signal.aborted) {
+            const translation = queue.lines.shift();
+            try {
+                await speak(serviceId, language, translation);
+            } catch (error) {
+                console.warn(`⚠️  Unable to speak #${translation.seq} for ${serviceId}:${language}: ${error.message}`);
+            }
+        }
+        queue.running = false;
+    }
+
+    return {
+        /**
+         * Queue a final translation to be spoken
+         * @param {string} serviceId
+         * @param {string} language
+         * @param {Object} translation - { seq, text }
+         */
+        push: (serviceId, language, translation) => {
+            if (abort.signal.aborted || !translation.text) return;
+            const channel = `${serviceId}:${language}`;
+            if (!queues.has(channel)) queues.set(channel, { lines: [], running: false });
+            const queue = queues.get(channel);
+
+            queue.lines.push(translation);
+            const dropped = queue.lines.splice(0, Math.max(0, queue.lines.length - getTtsMaxQueue()));
+            if (dropped.length > 0) {
+                console.warn(`⚠️  Speech for ${channel} is behind, skipping #${dropped.map(({ seq }) => seq).join(', #')}`);
+            }
+            if (!queue.running) drain(serviceId, language, queue);
+        },
+
+        // Stop speaking, including lines being synthesised
+        dispose: () => {
+            abort.abort();
+            queues.clear();
+        }
+    };
+}
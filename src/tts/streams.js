@@ -0,0 +1,98 @@
+import { MIME_TYPE, createSilence } from './mp3.js';
+
+// Players stall (and phones with the screen locked may give up) when a
+// stream goes quiet, so silence is sent whenever less than this much audio
+// is left to play
+const KEEPALIVE_MS = 1000;
+const keepaliveSilence = createSilence(KEEPALIVE_MS);
+
+/**
+ * Continuous audio streams of spoken translations, for HTTP listeners
+ * connected to this server.  Speech and silence are written to each
+ * listener back to back, paced so the player never runs dry and never gets
+ * far ahead of the service.
+ * @returns {Object} { addListener, send, closeService, closeAll }
+ */
+export const createSpeechStreams = () => {
+    // channel -> Set of { res, playsUntil }
+    const channels = new Map();
+    let keepaliveTimer = null;
+
+    const write = (listener, audio, durationMs) => {
+        listener.res.write(audio);
+        listener.playsUntil = Math.max(listener.playsUntil, Date.now()) + durationMs;
+    }
+
+    const keepalive = () => {
+        const now = Date.now();
+        for (const listeners of channels.values()) {
+            for (const listener of listeners) {
+                if (listener.playsUntil - now < KEEPALIVE_MS / 2) write(listener, keepaliveSilence, KEEPALIVE_MS);
+            }
+        }
+    }
+
+    const remove = (channel, listener) => {
+        const listeners = channels.get(channel);
+        if (!listeners?.delete(listener)) return false;
+        if (listeners.size === 0) channels.delete(channel);
+        if (channels.size === 0) {
+            clearInterval(keepaliveTimer);
+            keepaliveTimer = null;
+        }
+        return true;
+    }
+
+    return {
+        /**
+         * Start streaming a language of a service to an HTTP response
+         * @param {string} serviceId
+         * @param {string} language
+         * @param {Object} res - Express response, kept open until the listener goes
+         * @param {Function} onClose - Called once when the listener has gone
+         */
+        addListener: (serviceId, language, res, onClose) => {
+            const channel = `${serviceId}:${language}`;
+            const listener = { res, playsUntil: 0 };
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPE,
+                'Cache-Control': 'no-cache, no-store',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            if (!channels.has(channel)) channels.set(channel, new Set());
+            channels.get(channel).add(listener);
+            write(listener, keepaliveSilence, KEEPALIVE_MS);
+            if (!keepaliveTimer) {
+                keepaliveTimer = setInterval(keepalive, KEEPALIVE_MS / 4);
+                keepaliveTimer.unref();
+            }
+            res.on('close', () => {
+                if (remove(channel, listener)) onClose();
+            });
+        },
+
+        /**
+         * Send a spoken line to a channel's listeners
+         * @param {Object} speech - { audio, durationMs }
+         */
+        send: (serviceId, language, { audio, durationMs }) => {
+            for (const listener of channels.get(`${serviceId}:${language}`) || []) {
+                write(listener, audio, durationMs);
+            }
+        },
+
+        // End the streams of a service, e.g. when it is stopped
+        closeService: (serviceId) => {
+            for (const [channel, listeners] of Array.from(channels)) {
+                if (!channel.startsWith(`${serviceId}:`)) continue;
+                for (const listener of Array.from(listeners)) listener.res.end();
+            }
+        },
+
+        closeAll: () => {
+            for (const listeners of Array.from(channels.values())) {
+                for (const listener of Array.from(listeners)) listener.res.end();
+            }
+        }
+    };
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import WebSocket from 'ws';
+
+// A database holding one private service, whatever is asked for
+let service = null;
+const database = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(service));
+});
+await new Promise(resolve => database.listen(0, '127.0.0.1', resolve));
+database.unref();
+
+process.env.STATE_STORE = 'memory';
+process.env.MAX_ACCESS_ATTEMPTS = '3';
+process.env.ACCESS_LOCKOUT_SECONDS = '60';
+process.env.SUPABASE_URL = `http://127.0.0.1:${database.address().port}`;
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test';
+process.env.SUPABASE_ANON_KEY = 'test';
+// The Supabase client wants a WebSocket, which Node 20 doesn't have built in
+globalThis.WebSocket ??= WebSocket;
+
+const { checkServiceAccess, hashPin } = await import('../src/services/access.js');
+service = { visibility: 'private', access_pin_hash: await hashPin('4321') };
+
+test('wrong PINs lock an address out of a service, whatever it reconnects with', async () => {
+    const serviceId = 'locked-service';
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const { code } = await checkServiceAccess(serviceId, { pin: '0000' }, '203.0.113.1');
+        assert.equal(code, 'invalid_pin');
+    }
+
+    const locked = await checkServiceAccess(serviceId, { pin: '4321' }, '203.0.113.1');
+    assert.equal(locked.allowed, false);
+    assert.equal(locked.code, 'too_many_attempts');
+    assert.ok(locked.retryAfter > 0 && locked.retryAfter <= 60);
+
+    // Other addresses and other services are not affected
+    assert.deepEqual(await checkServiceAccess(serviceId, { pin: '4321' }, '203.0.113.2'), { allowed: true });
+    assert.deepEqual(await checkServiceAccess('another-service', { pin: '4321' }, '203.0.113.1'), { allowed: true });
+});
+
+test('the right PIN forgets earlier wrong ones', async () => {
+    const serviceId = 'forgiving-service';
+    const client = '203.0.113.3';
+    for (let round = 0; round < 2; round++) {
+        await checkServiceAccess(serviceId, { pin: '0000' }, client);
+        await checkServiceAccess(serviceId, { pin: '0000' }, client);
+        assert.deepEqual(await checkServiceAccess(serviceId, { pin: '4321' }, client), { allowed: true });
+    }
+    assert.equal((await checkServiceAccess(serviceId, {}, client)).code, 'access_required');
+});
+
+test('guesses made at the same time count towards the limit', async () => {
+    const serviceId = 'raced-service';
+    const client = '203.0.113.4';
+    const pins = Array.from({ length: 50 }, (_, index) => String(5000 + index));
+    pins[40] = '4321';
+
+    const results = await Promise.all(pins.map(pin => checkServiceAccess(serviceId, { pin }, client)));
+    const checked = results.filter(({ code }) => code !== 'too_many_attempts');
+    assert.ok(checked.length <= 3, `${checked.length} PINs were checked`);
+    assert.equal(results[40].allowed, false);
+    assert.equal((await checkServiceAccess(serviceId, { pin: '4321' }, client)).code, 'too_many_attempts');
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { handleNativeParticipant, sendNativeMessage } from '../src/controllers/websocket/participantHandler.js';
+
+// Enough of a ws WebSocket: what the server sends is kept, parsed if JSON
+const createFakeSocket = () => {
+    const ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.sent = [];
+    ws.send = (data) => ws.sent.push(typeof data === 'string' ? JSON.parse(data) : data);
+    ws.receive = (message) => ws.emit('message', Buffer.from(JSON.stringify(message)), false);
+    return ws;
+}
+
+const wait = () => new Promise(resolve => setImmediate(resolve));
+
+const connect = (handlers) => {
+    const ws = createFakeSocket();
+    const calls = [];
+    const connection = handleNativeParticipant({
+        ws,
+        serviceId: '1234',
+        credentials: { token: null, pin: '4321' },
+        handshake: { headers: {}, address: '203.0.113.1' },
+        createHandlers: (socket) => ({
+            join: async (data) => {
+                calls.push(['join', data]);
+                socket.join(`${data.serviceId}:${data.language}`);
+                return { room: `${data.serviceId}:${data.language}` };
+            },
+            leave: async (data) => {
+                calls.push(['leave', data]);
+                throw Object.assign(new Error('Not in that room'), { code: 'not_joined' });
+            },
+            disconnect: () => calls.push(['disconnect']),
+            ...handlers
+        })
+    });
+    return { ws, calls, connection };
+}
+
+test('subscribe joins the URL\'s service with the URL\'s credentials', async () => {
+    const { ws, calls, connection } = connect();
+    ws.receive({ type: 'subscribe', id: 1, language: 'es', audio: true });
+    await wait();
+
+    assert.deepEqual(calls, [['join', { token: null, pin: '4321', language: 'es', audio: true, serviceId: '1234' }]]);
+    assert.deepEqual(ws.sent, [{ type: 'ack', id: 1, ok: true, room: '1234:es' }]);
+    assert.ok(connection.rooms.has('1234:es'));
+});
+
+test('failed handlers and bad messages are acknowledged with errors', async () => {
+    const { ws, calls } = connect();
+    ws.receive({ type: 'unsubscribe', id: 1, language: 'es' });
+    ws.receive({ type: 'subscribe', id: 2, language: 'not a language' });
+    ws.receive({ type: 'join', id: 3, language: 'es' });
+    ws.emit('message', Buffer.from('not json'), false);
+    await wait();
+
+    assert.deepEqual(ws.sent.map(({ id, ok, error }) => [id, ok, error.code]), [
+        [2, false, 'invalid_payload'],
+        [3, false, 'unknown_message'],
+        [undefined, false, 'invalid_message'],
+        [1, false, 'not_joined']
+    ]);
+    assert.deepEqual(calls.map(([name]) => name), ['leave']);
+});
+
+test('ping is answered with pong', async () => {
+    const { ws } = connect();
+    ws.receive({ type: 'ping', id: 7 });
+    await wait();
+    assert.equal(ws.sent[0].type, 'pong');
+    assert.equal(ws.sent[0].id, 7);
+});
+
+test('subscribing from the URL works like a subscribe message', async () => {
+    const { ws, calls, connection } = connect();
+    connection.subscribe({ language: 'fr' });
+    await wait();
+    assert.equal(calls[0][1].language, 'fr');
+    assert.equal(ws.sent[0].ok, true);
+});
+
+test('events reach the client as JSON, with audio in a binary message after', () => {
+    const ws = createFakeSocket();
+    const audio = Buffer.from([1, 2, 3]);
+    sendNativeMessage(ws, { type: 'translation', language: 'es', text: 'Hola' });
+    sendNativeMessage(ws, { type: 'audio', language: 'es', seq: 1, audio });
+    ws.readyState = 3;
+    sendNativeMessage(ws, { type: 'translation', language: 'es', text: 'Adiós' });
+
+    assert.deepEqual(ws.sent, [
+        { type: 'translation', language: 'es', text: 'Hola' },
+        { type: 'audio', language: 'es', seq: 1, bytes: 3 },
+        audio
+    ]);
+});
+
+test('closing the connection cleans up', () => {
+    const { ws, calls } = connect();
+    ws.emit('close');
+    assert.deepEqual(calls, [['disconnect']]);
+});
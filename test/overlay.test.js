@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OVERLAY_DEFAULTS, parseOverlayOptions, renderOverlayPage } from '../src/services/overlay.js';
+
+test('an overlay URL without options gets the defaults', () => {
+    assert.deepEqual(parseOverlayOptions(), OVERLAY_DEFAULTS);
+    assert.deepEqual(parseOverlayOptions({}), OVERLAY_DEFAULTS);
+});
+
+test('overlay options are read from the query', () => {
+    assert.deepEqual(parseOverlayOptions({
+        font: 'Verdana',
+        size: '36',
+        lines: '3',
+        color: 'ffff00',
+        background: 'transparent',
+        outline: '333',
+        position: 'top',
+        align: 'left',
+        margin: '0',
+        width: '50',
+        interim: 'false',
+        hold: '10'
+    }), {
+        font: 'Verdana',
+        size: 36,
+        lines: 3,
+        color: 'ffff00',
+        background: 'transparent',
+        outline: '333',
+        position: 'top',
+        align: 'left',
+        margin: 0,
+        width: 50,
+        interim: false,
+        hold: 10
+    });
+});
+
+test('options that can\'t be used fall back to the defaults', () => {
+    const options = parseOverlayOptions({
+        font: 'Arial; } body { display: none',
+        size: 'big',
+        color: '#fff',
+        background: ['000', 'fff'],
+        position: 'centre',
+        align: '',
+        margin: '',
+        interim: 'no'
+    });
+    assert.equal(options.font, OVERLAY_DEFAULTS.font);
+    assert.equal(options.size, OVERLAY_DEFAULTS.size);
+    assert.equal(options.color, OVERLAY_DEFAULTS.color);
+    assert.equal(options.background, OVERLAY_DEFAULTS.background);
+    assert.equal(options.position, OVERLAY_DEFAULTS.position);
+    assert.equal(options.align, OVERLAY_DEFAULTS.align);
+    assert.equal(options.margin, OVERLAY_DEFAULTS.margin);
+    // Anything but "false" keeps partial lines
+    assert.equal(options.interim, true);
+});
+
+test('numbers are kept within their limits', () => {
+    const options = parseOverlayOptions({ size: '1000', lines: '2.6', margin: '-5', width: '5', hold: '99999' });
+    assert.equal(options.size, 200);
+    assert.equal(options.lines, 3);
+    assert.equal(options.margin, 0);
+    assert.equal(options.width, 10);
+    assert.equal(options.hold, 3600);
+});
+
+test('the overlay page can\'t be broken out of by the language', async () => {
+    const html = await renderOverlayPage({
+        serviceId: '1234',
+        language: '</script><script>alert(1)</script>',
+        options: parseOverlayOptions({ color: 'ffff00' })
+    });
+    assert.ok(html.includes('--caption-color: #ffff00;'));
+    assert.ok(!html.includes('</script><script>alert(1)'));
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isLanguageCode, participantEvents } from '../src/protocol/index.js';
+import { validatePayload } from '../src/protocol/validate.js';
+
+test('language codes are checked the same way everywhere', () => {
+    for (const language of ['es', 'pt-BR', 'zh-Hant-TW', 'haw']) {
+        assert.equal(isLanguageCode(language), true, language);
+    }
+    for (const language of ['e', 'es_ES', 'unknown', 'transcript', `en-${'x'.repeat(40)}`, 7, null]) {
+        assert.equal(isLanguageCode(language), false, String(language));
+    }
+});
+
+test('rooms take a language code, "transcript" or "heartbeat"', () => {
+    const join = (language) => validatePayload(participantEvents.join, { serviceId: '1234', language });
+    for (const language of ['es', 'transcript', 'heartbeat']) {
+        assert.deepEqual(join(language), { data: { serviceId: '1234', language } });
+    }
+    assert.deepEqual(join('unknown'), { error: 'language is not valid' });
+    // Version 1 joins without a language follow the livestream status
+    assert.deepEqual(participantEvents.join.legacy('1234'), { serviceId: '1234', language: 'heartbeat' });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextOccurrence, getSlotOccurrence, isValidTimeZone, parseTime, zonedTimeToDate } from '../src/schedule/time.js';
+
+const iso = (occurrence) => occurrence && Object.fromEntries(Object.entries(occurrence)
+    .map(([name, value]) => [name, value instanceof Date ? value.toISOString() : value]));
+
+test('slot times are HH:MM or HH:MM:SS on a 24 hour clock', () => {
+    assert.deepEqual(parseTime('10:30'), { hours: 10, minutes: 30 });
+    assert.deepEqual(parseTime('23:59:59'), { hours: 23, minutes: 59 });
+    assert.deepEqual(parseTime('00:00'), { hours: 0, minutes: 0 });
+    for (const time of ['24:00', '9:30', '10:60', '10:30:60', '10.30', '', undefined, null, 1030]) {
+        assert.equal(parseTime(time), null, String(time));
+    }
+});
+
+test('time zones are the ones Intl knows', () => {
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Europe/Atlantis'), false);
+});
+
+test('wall clock times follow daylight saving', () => {
+    assert.equal(zonedTimeToDate('Europe/London', 2026, 0, 4, 10, 30).toISOString(), '2026-01-04T10:30:00.000Z');
+    assert.equal(zonedTimeToDate('Europe/London', 2026, 6, 5, 10, 30).toISOString(), '2026-07-05T09:30:00.000Z');
+    assert.equal(zonedTimeToDate('America/New_York', 2026, 6, 5, 10, 30).toISOString(), '2026-07-05T14:30:00.000Z');
+    // 01:30 doesn't happen when the clocks go forward, so it is an hour later
+    assert.equal(zonedTimeToDate('Europe/London', 2026, 2, 29, 1, 30).toISOString(), '2026-03-29T01:30:00.000Z');
+    // Days past the end of the month roll over
+    assert.equal(zonedTimeToDate('UTC', 2026, 0, 32, 9, 0).toISOString(), '2026-02-01T09:00:00.000Z');
+});
+
+test('the next run of a weekly slot is found in the slot\'s time zone', () => {
+    const slot = { weekday: 0, start_time: '10:30', end_time: '12:00', waiting_minutes: 15 };
+    // A Monday in summer time; the next Sunday is after the clocks go back
+    assert.deepEqual(iso(getSlotOccurrence(slot, 'Europe/London', new Date('2026-10-19T20:00:00Z'))), {
+        waitingFrom: '2026-10-25T10:15:00.000Z',
+        startsAt: '2026-10-25T10:30:00.000Z',
+        endsAt: '2026-10-25T12:00:00.000Z'
+    });
+    // A run under way is the one returned
+    assert.equal(iso(getSlotOccurrence(slot, 'Europe/London', new Date('2026-10-25T11:59:00Z'))).startsAt,
+        '2026-10-25T10:30:00.000Z');
+    assert.equal(iso(getSlotOccurrence(slot, 'Europe/London', new Date('2026-10-25T12:00:00Z'))).startsAt,
+        '2026-11-01T10:30:00.000Z');
+});
+
+test('a slot ending at or before its start ends the next day', () => {
+    const slot = { weekday: 6, start_time: '23:00', end_time: '01:00' };
+    // Early on Sunday, Saturday night's run is still going
+    assert.deepEqual(iso(getSlotOccurrence(slot, 'UTC', new Date('2026-10-25T00:30:00Z'))), {
+        waitingFrom: '2026-10-24T23:00:00.000Z',
+        startsAt: '2026-10-24T23:00:00.000Z',
+        endsAt: '2026-10-25T01:00:00.000Z'
+    });
+});
+
+test('slots with times that can\'t be read have no runs', () => {
+    const now = new Date('2026-10-19T20:00:00Z');
+    assert.equal(getSlotOccurrence({ weekday: 0, start_time: '25:00', end_time: '12:00' }, 'UTC', now), null);
+    assert.equal(getSlotOccurrence({ weekday: 0, start_time: '10:00' }, 'UTC', now), null);
+});
+
+test('the earliest run of a service\'s slots is next', () => {
+    const slots = [
+        { id: 'sunday', weekday: 0, start_time: '10:30', end_time: '12:00' },
+        { id: 'wednesday', weekday: 3, start_time: '19:00', end_time: '20:30' },
+        { id: 'broken', weekday: 1, start_time: 'soon', end_time: '20:30' }
+    ];
+    const next = getNextOccurrence(slots, 'UTC', new Date('2026-10-19T20:00:00Z'));
+    assert.equal(next.slotId, 'wednesday');
+    assert.equal(next.startsAt.toISOString(), '2026-10-21T19:00:00.000Z');
+    assert.equal(getNextOccurrence([], 'UTC', new Date()), null);
+});
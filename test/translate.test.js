@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import WebSocket from 'ws';
+
+// A database that finds nothing, so translations go out without usage
+// tracking.  It answers straight away; one that can't be reached is retried.
+const database = createServer((req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code: 'PGRST116', message: 'Not found' }));
+});
+await new Promise(resolve => database.listen(0, '127.0.0.1', resolve));
+database.unref();
+
+// Set up before the modules read them: the mock provider, state in memory
+// and no archive
+process.env.TRANSLATION_PROVIDER = 'mock';
+process.env.STATE_STORE = 'memory';
+process.env.TRANSCRIPT_ARCHIVE = 'false';
+process.env.TRANSLATION_BATCH_WINDOW_MS = '10';
+process.env.SUPABASE_URL = `http://127.0.0.1:${database.address().port}`;
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test';
+process.env.SUPABASE_ANON_KEY = 'test';
+// The Supabase client wants a WebSocket, which Node 20 doesn't have built in
+globalThis.WebSocket ??= WebSocket;
+
+const { registerForServiceTranscripts, closeServiceSession } = await import('../src/translate.js');
+const { transcriptAvailServiceSub } = await import('../src/globals.js');
+const { addSubscriber, removeSubscriber } = await import('../src/state/index.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Collects what is emitted to each room
+const createFakeIo = () => {
+    const emitted = [];
+    return {
+        emitted,
+        to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+    };
+}
+
+test('restarting a service gives exactly one translation per transcript', async () => {
+    const serviceId = 'restart-test';
+    const languages = ['fr', 'de'];
+    const transcripts = ['Good morning', 'Welcome to the service', 'Let us pray'];
+    const io = createFakeIo();
+    const serviceLanguageMap = new Map();
+    const serviceSubscriptionMap = new Map();
+    const register = () => registerForServiceTranscripts({ io, serviceId, serviceLanguageMap, serviceSubscriptionMap });
+
+    for (const language of languages) await addSubscriber(serviceId, language);
+    try {
+        const first = register();
+        assert.equal(closeServiceSession({ serviceId, serviceSubscriptionMap }), true);
+        assert.equal(serviceSubscriptionMap.has(serviceId), false);
+
+        const second = register();
+        assert.notEqual(second, first);
+        assert.equal(register(), second);
+
+        transcripts.forEach((transcript, index) => {
+            transcriptAvailServiceSub.next({ serviceCode: serviceId, transcript, seq: index + 1, timestamp: new Date().toISOString() });
+        });
+        // Transcripts for another service are ignored
+        transcriptAvailServiceSub.next({ serviceCode: 'another-service', transcript: 'Ignored', seq: 1, timestamp: new Date().toISOString() });
+
+        const translations = (language) => io.emitted.filter(({ room, event }) => room === `${serviceId}:${language}` && event === 'translation');
+        for (let waited = 0; waited < 5000 && languages.some(language => translations(language).length < transcripts.length); waited += 50) {
+            await wait(50);
+        }
+        // Give duplicates from a session that wasn't disposed time to arrive
+        await wait(200);
+
+        for (const language of languages) {
+            assert.deepEqual(
+                translations(language).map(({ payload }) => [payload.seq, payload.text]),
+                transcripts.map((transcript, index) => [index + 1, `[${language}] ${transcript}`])
+            );
+        }
+        const sent = io.emitted.filter(({ event }) => event === 'transcript');
+        assert.equal(sent.length, transcripts.length);
+    } finally {
+        closeServiceSession({ serviceId, serviceSubscriptionMap });
+        for (const language of languages) await removeSubscriber(serviceId, language);
+    }
+});
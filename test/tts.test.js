@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Set up before the modules read them: a test engine and a short queue
+process.env.TTS_ENGINE = 'test';
+process.env.TTS_MAX_QUEUE = '2';
+
+const { registerTtsEngine } = await import('../src/tts/engines/index.js');
+const { createSpeechStage } = await import('../src/tts/stage.js');
+const { MIME_TYPE, createSilence } = await import('../src/tts/mp3.js');
+
+// An engine whose lines are finished (or failed) by the test, one at a time
+const pending = [];
+registerTtsEngine('test', () => ({
+    name: 'test',
+    synthesize: ({ text, language }) => new Promise((resolve, reject) => {
+        pending.push({ text, language, resolve, reject });
+    })
+}));
+
+const wait = (ms = 10) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Finish the line being synthesised
+const finishLine = async () => {
+    await wait();
+    const line = pending.shift();
+    line.resolve({ audio: createSilence(100), mimeType: MIME_TYPE });
+    await wait();
+    return line.text;
+}
+
+const createStage = (listening = () => true) => {
+    const delivered = [];
+    const stage = createSpeechStage({
+        hasListeners: async (serviceId, language) => listening(language),
+        deliver: (serviceId, language, speech) => delivered.push({ serviceId, language, ...speech })
+    });
+    return { stage, delivered };
+}
+
+test('lines are spoken one at a time and in order', async () => {
+    const { stage, delivered } = createStage();
+    stage.push('1234', 'es', { seq: 1, text: 'Uno' });
+    stage.push('1234', 'es', { seq: 2, text: 'Dos' });
+    await wait();
+    assert.equal(pending.length, 1);
+
+    assert.equal(await finishLine(), 'Uno');
+    assert.equal(await finishLine(), 'Dos');
+    assert.deepEqual(delivered.map(({ seq }) => seq), [1, 2]);
+    assert.equal(delivered[0].mimeType, MIME_TYPE);
+    assert.ok(delivered[0].durationMs > 0);
+    stage.dispose();
+});
+
+test('speech that falls behind skips the oldest waiting lines', async () => {
+    const { stage, delivered } = createStage();
+    for (let seq = 1; seq <= 5; seq++) stage.push('1234', 'es', { seq, text: `Line ${seq}` });
+
+    // Line 1 was being spoken; of 2 to 5 only the newest two are kept
+    for (const text of ['Line 1', 'Line 4', 'Line 5']) assert.equal(await finishLine(), text);
+    assert.deepEqual(delivered.map(({ seq }) => seq), [1, 4, 5]);
+    assert.equal(pending.length, 0);
+    stage.dispose();
+});
+
+test('each language has its own queue, and unheard ones are skipped', async () => {
+    const { stage, delivered } = createStage(language => language !== 'de');
+    stage.push('1234', 'es', { seq: 1, text: 'Uno' });
+    stage.push('1234', 'fr', { seq: 1, text: 'Un' });
+    stage.push('1234', 'de', { seq: 1, text: 'Eins' });
+    stage.push('1234', 'es', { seq: 2, text: '' });
+    await wait();
+
+    assert.deepEqual(pending.map(({ language }) => language), ['es', 'fr']);
+    await finishLine();
+    await finishLine();
+    assert.deepEqual(delivered.map(({ language, seq }) => `${language}#${seq}`), ['es#1', 'fr#1']);
+    stage.dispose();
+});
+
+test('a line that fails is skipped', async () => {
+    const { stage, delivered } = createStage();
+    stage.push('1234', 'es', { seq: 1, text: 'Uno' });
+    stage.push('1234', 'es', { seq: 2, text: 'Dos' });
+    await wait();
+    pending.shift().reject(new Error('Engine failed'));
+
+    assert.equal(await finishLine(), 'Dos');
+    assert.deepEqual(delivered.map(({ seq }) => seq), [2]);
+    stage.dispose();
+});
+
+test('nothing is delivered once the stage is disposed', async () => {
+    const { stage, delivered } = createStage();
+    stage.push('1234', 'es', { seq: 1, text: 'Uno' });
+    stage.push('1234', 'es', { seq: 2, text: 'Dos' });
+    await wait();
+    stage.dispose();
+    stage.push('1234', 'es', { seq: 3, text: 'Tres' });
+
+    await finishLine();
+    await wait();
+    assert.deepEqual(delivered, []);
+    assert.equal(pending.length, 0);
+});